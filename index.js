@@ -22,6 +22,14 @@ import connectionRequestsRoutes from "./routes/connection-requests.routes.js";
 import adminRoutes from "./routes/admin.routes.js";
 import waitlistRoutes from "./routes/waitlist.routes.js";
 import hubspotDebugRoutes from "./routes/hubspot-debug.routes.js";
+import savedSearchesRoutes from "./routes/saved-searches.routes.js";
+import screeningsRoutes from "./routes/screenings.routes.js";
+import trialHistoryRoutes from "./routes/trial-history.routes.js";
+import trialInterestsRoutes from "./routes/trial-interests.routes.js";
+import citationsRoutes from "./routes/citations.routes.js";
+import externalExpertsRoutes from "./routes/external-experts.routes.js";
+import orcidRoutes from "./routes/orcid.routes.js";
+import availabilityRoutes from "./routes/availability.routes.js";
 import { optionalSession } from "./middleware/auth.js";
 import { searchLimitMiddleware } from "./middleware/searchLimit.js";
 
@@ -81,6 +89,14 @@ app.use("/api", meetingRequestsRoutes);
 app.use("/api", connectionRequestsRoutes);
 app.use("/api", adminRoutes);
 app.use("/api", waitlistRoutes);
+app.use("/api", savedSearchesRoutes);
+app.use("/api", screeningsRoutes);
+app.use("/api", trialHistoryRoutes);
+app.use("/api", trialInterestsRoutes);
+app.use("/api", citationsRoutes);
+app.use("/api", externalExpertsRoutes);
+app.use("/api", orcidRoutes);
+app.use("/api", availabilityRoutes);
 app.use("/api", hubspotDebugRoutes); // Debug route - remove in production
 
 // Connect to MongoDB (connection will be reused across serverless invocations)
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const weeklySlotSchema = new mongoose.Schema(
+  {
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // Sunday = 0
+    start: { type: String, required: true }, // "HH:MM" in timeZone
+    end: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// When a researcher takes meetings, see availability.service.js
+const expertAvailabilitySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    timeZone: { type: String, required: true }, // IANA, e.g. "America/Toronto"
+    weeklySlots: { type: [weeklySlotSchema], default: [] },
+    // "YYYY-MM-DD" days (in timeZone) with no bookings
+    blackoutDates: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+export const ExpertAvailability = mongoose.models.ExpertAvailability || mongoose.model("ExpertAvailability", expertAvailabilitySchema);
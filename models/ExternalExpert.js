@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Only index string ids so records without one don't collide on null
+const uniqueId = (field) => [
+  { [field]: 1 },
+  { unique: true, partialFilterExpression: { [field]: { $type: "string" } } },
+];
+
+// A researcher found outside CuraLink, with identities resolved across sources
+// (see resolveExternalExpert in externalExpert.service.js)
+const externalExpertSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    // Normalized forms of every name the sources use for this person
+    nameVariants: { type: [String], default: [], index: true },
+    openAlexId: { type: String }, // short form, e.g. "A5023888391"
+    semanticScholarId: { type: String },
+    orcid: { type: String },
+    affiliations: { type: [String], default: [] },
+    location: { type: String, default: "" },
+    biography: { type: String, default: "" },
+    researchInterests: { type: [String], default: [] },
+    // "gemini", "openalex", "semanticscholar", "profile"
+    sources: { type: [String], default: [] },
+    // Confirmed by OpenAlex or Semantic Scholar
+    verified: { type: Boolean, default: false },
+    // Source totals and publication/trial metrics, see expertDiscoveryV2.service.js
+    metrics: { type: Object, default: {} },
+    // Per-source match details as returned by searchVerifiedExpertsV2
+    verification: { type: Object, default: null },
+    metricsUpdatedAt: { type: Date },
+    // Set when a registered researcher proves this is them (see expertClaim.service.js)
+    claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    claimedAt: { type: Date },
+    claimMethod: { type: String, enum: ["orcid", "email_domain"] },
+    // Last profile built by getExpertProfile
+    profile: { type: Object, default: null },
+    profileUpdatedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+externalExpertSchema.index(...uniqueId("openAlexId"));
+externalExpertSchema.index(...uniqueId("semanticScholarId"));
+externalExpertSchema.index(...uniqueId("orcid"));
+externalExpertSchema.index({ verified: 1, metricsUpdatedAt: 1 });
+// A user can claim one external identity
+externalExpertSchema.index(
+  { claimedBy: 1 },
+  { unique: true, partialFilterExpression: { claimedBy: { $type: "objectId" } } }
+);
+
+export const ExternalExpert = mongoose.models.ExternalExpert || mongoose.model("ExternalExpert", externalExpertSchema);
@@ -16,6 +16,14 @@ const meetingRequestSchema = new mongoose.Schema(
     respondedAt: { type: Date },
     meetingDate: { type: Date },
     meetingNotes: { type: String },
+    // Reserved half-hour slot from the expert's availability
+    slotStart: { type: Date },
+    slotEnd: { type: Date },
+    // "<expertId>:<slotStart ISO>" while the request is pending or accepted;
+    // unique so a slot can only be held once
+    slotKey: { type: String },
+    // Trial pre-screenings the patient shared with the expert
+    screeningIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "TrialScreening" }],
   },
   { timestamps: true }
 );
@@ -23,6 +31,11 @@ const meetingRequestSchema = new mongoose.Schema(
 // Index for quick lookup of meeting requests
 meetingRequestSchema.index({ patientId: 1, expertId: 1, status: 1 });
 meetingRequestSchema.index({ expertId: 1, status: 1 });
+meetingRequestSchema.index(
+  { slotKey: 1 },
+  { unique: true, partialFilterExpression: { slotKey: { $type: "string" } } }
+);
+meetingRequestSchema.index({ expertId: 1, slotStart: 1 });
 
 export const MeetingRequest = mongoose.models.MeetingRequest || mongoose.model("MeetingRequest", meetingRequestSchema);
 
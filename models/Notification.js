@@ -9,6 +9,7 @@ const notificationSchema = new mongoose.Schema(
         "new_reply",
         "new_follower",
         "new_trial_match",
+        "trial_update",
         "thread_upvoted",
         "reply_upvoted",
         "new_publication",
@@ -22,6 +23,9 @@ const notificationSchema = new mongoose.Schema(
         "meeting_request_accepted",
         "meeting_request_rejected",
         "meeting_request_cancelled",
+        "trial_interest",
+        "trial_interest_accepted",
+        "trial_interest_declined",
       ],
       required: true,
     },
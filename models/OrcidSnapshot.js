@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Last public ORCID record fetched for a researcher, so profile pages don't
+// call pub.orcid.org per view (see orcidLink.service.js)
+const orcidSnapshotSchema = new mongoose.Schema(
+  {
+    orcid: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    // fetchFullORCIDProfile output
+    data: { type: Object, required: true },
+    fetchedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+orcidSnapshotSchema.index({ fetchedAt: 1 });
+
+export const OrcidSnapshot = mongoose.models.OrcidSnapshot || mongoose.model("OrcidSnapshot", orcidSnapshotSchema);
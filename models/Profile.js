@@ -28,11 +28,40 @@ const educationSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const employmentSchema = new mongoose.Schema(
+  {
+    organization: String,
+    roleTitle: String,
+    department: String,
+    startDate: String,
+    endDate: String,
+  },
+  { _id: false }
+);
+
+const workSchema = new mongoose.Schema(
+  {
+    title: String,
+    year: String,
+    journal: String,
+    type: String,
+    doi: String,
+    pmid: String,
+    url: String,
+  },
+  { _id: false }
+);
+
 const researcherSchema = new mongoose.Schema(
   {
     specialties: [{ type: String }],
     interests: [{ type: String }],
     orcid: String,
+    // Set when the iD was confirmed through ORCID sign-in rather than typed in
+    orcidVerified: { type: Boolean, default: false },
+    orcidVerifiedAt: Date,
+    // One-time import of employments, education and works after linking
+    orcidImportedAt: Date,
     researchGate: String,
     institutionAffiliation: String,
     available: { type: Boolean, default: false },
@@ -43,9 +72,13 @@ const researcherSchema = new mongoose.Schema(
     // New fields for enhanced researcher profile
     education: [educationSchema],
     skills: [{ type: String }],
+    employments: [employmentSchema],
+    works: [workSchema],
     meetingRate: Number, // Rate per 30 minutes in USD
     interestedInMeetings: { type: Boolean, default: false },
     interestedInForums: { type: Boolean, default: false },
+    // External expert record this researcher claimed
+    externalExpertId: { type: mongoose.Schema.Types.ObjectId, ref: "ExternalExpert" },
   },
   { _id: false }
 );
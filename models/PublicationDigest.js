@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// AI plain-language digest of a publication, cached per PMID and reading level
+const publicationDigestSchema = new mongoose.Schema(
+  {
+    pmid: { type: String, required: true },
+    level: { type: String, required: true },
+    // simplifiedDetails as returned by simplifyPublicationDetails
+    details: { type: Object, required: true },
+    generatedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+publicationDigestSchema.index({ pmid: 1, level: 1 }, { unique: true });
+// Regenerate periodically so prompt and abstract updates flow through
+publicationDigestSchema.index(
+  { generatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 } // 30 days
+);
+
+export const PublicationDigest = mongoose.models.PublicationDigest || mongoose.model("PublicationDigest", publicationDigestSchema);
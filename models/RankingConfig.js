@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Expert ranking weights set from the admin panel (see rankingConfig.service.js).
+// One document per key; "default" is the one search and recommendations read.
+const rankingConfigSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, default: "default" },
+    // { weights, caps } for scoreExpert in expertDiscoveryV2.service.js
+    expertDiscovery: { type: Object, default: {} },
+    // { weights, specialtyWeights } for calculateExpertMatch in matching.service.js
+    expertMatch: { type: Object, default: {} },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+export const RankingConfig = mongoose.models.RankingConfig || mongoose.model("RankingConfig", rankingConfigSchema);
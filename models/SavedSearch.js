@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    // Exact parameter set passed to searchClinicalTrials
+    params: { type: Object, required: true, default: {} },
+    frequency: { type: String, enum: ["daily", "weekly"], default: "weekly" },
+    alertsEnabled: { type: Boolean, default: true },
+    // NCT IDs returned by the last run, used to diff the next run
+    lastResultIds: [{ type: String }],
+    lastResultCount: { type: Number, default: 0 },
+    lastNewMatchCount: { type: Number, default: 0 },
+    lastRunAt: { type: Date },
+    nextRunAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+
+export const SavedSearch = mongoose.models.SavedSearch || mongoose.model("SavedSearch", savedSearchSchema);
@@ -9,20 +9,74 @@ const contactSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const siteSchema = new mongoose.Schema(
+  {
+    facility: String,
+    city: String,
+    state: String,
+    country: String,
+    lat: Number,
+    lon: Number,
+  },
+  { _id: false }
+);
+
+const divergenceSchema = new mongoose.Schema(
+  {
+    field: String,
+    local: mongoose.Schema.Types.Mixed,
+    source: mongoose.Schema.Types.Mixed,
+    detectedAt: Date,
+  },
+  { _id: false }
+);
+
+// Researcher-hosted trials; lifecycle rules live in hostedTrial.service.js
 const trialSchema = new mongoose.Schema(
   {
-    ownerResearcherId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    title: { type: String, required: true },
-    status: String,
+    ownerResearcherId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    title: { type: String, required: true, trim: true },
+    status: {
+      type: String,
+      enum: ["draft", "published", "recruiting", "closed"],
+      default: "draft",
+      index: true,
+    },
     phase: String,
-    location: String,
-    eligibility: String,
+    conditions: [{ type: String }],
+    location: String, // e.g. "Boston, MA, United States"
+    sites: [siteSchema], // Individual sites, filled for imported trials
+    eligibility: String, // Free-text inclusion/exclusion criteria
+    gender: { type: String, enum: ["All", "Female", "Male"], default: "All" },
+    minimumAge: Number,
+    maximumAge: Number,
     description: String,
     contacts: [contactSchema],
+    statusHistory: [statusChangeSchema],
+    publishedAt: Date,
+    closedAt: Date,
+    // Set when the trial was imported from an external registry (see trialImport.service.js)
+    source: {
+      registry: String, // "clinicaltrials.gov"
+      nctId: { type: String, index: { unique: true, sparse: true } },
+      url: String,
+      importedAt: Date,
+      lastSyncedAt: Date,
+      lastUpdated: String, // Registry's last update date at the last sync
+      data: Object, // Mapped registry fields at the last sync
+      divergences: [divergenceSchema],
+    },
   },
   { timestamps: true }
 );
 
 export const Trial = mongoose.models.Trial || mongoose.model("Trial", trialSchema);
-
-
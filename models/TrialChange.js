@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true }, // e.g. "status", "locations", "eligibility.criteria"
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    added: [{ type: String }], // List fields (locations, contacts)
+    removed: [{ type: String }],
+    material: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const trialChangeSchema = new mongoose.Schema(
+  {
+    nctId: { type: String, required: true },
+    changes: [fieldChangeSchema],
+    material: { type: Boolean, default: false, index: true },
+    notifiedUserCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+trialChangeSchema.index({ nctId: 1, createdAt: -1 });
+
+export const TrialChange = mongoose.models.TrialChange || mongoose.model("TrialChange", trialChangeSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const trialInterestSchema = new mongoose.Schema(
+  {
+    trialId: { type: mongoose.Schema.Types.ObjectId, ref: "Trial", required: true, index: true },
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // Owner of the trial at registration time, for the researcher inbox
+    researcherId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    message: { type: String, maxlength: 2000 },
+    // Which profile fields the patient agreed to share
+    consent: {
+      conditions: { type: Boolean, default: false },
+      location: { type: Boolean, default: false },
+      ageRange: { type: Boolean, default: false },
+    },
+    // Copy of the consented fields only
+    sharedProfile: {
+      conditions: [{ type: String }],
+      location: {
+        city: String,
+        country: String,
+      },
+      ageRange: String,
+    },
+    status: {
+      type: String,
+      enum: ["new", "accepted", "declined", "contacted", "withdrawn"],
+      default: "new",
+      index: true,
+    },
+    researcherNote: { type: String },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+trialInterestSchema.index({ trialId: 1, patientId: 1 }, { unique: true });
+trialInterestSchema.index({ researcherId: 1, status: 1, createdAt: -1 });
+
+export const TrialInterest = mongoose.models.TrialInterest || mongoose.model("TrialInterest", trialInterestSchema);
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+const screeningQuestionSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    criterionType: { type: String, enum: ["inclusion", "exclusion", "demographic"], required: true },
+    criterion: { type: String, required: true },
+    question: { type: String, required: true },
+    requiresClinician: { type: Boolean, default: false }, // Lab values, imaging, etc.
+  },
+  { _id: false }
+);
+
+const screeningResultSchema = new mongoose.Schema(
+  {
+    questionId: { type: String, required: true },
+    criterionType: { type: String, enum: ["inclusion", "exclusion", "demographic"], required: true },
+    criterion: { type: String, required: true },
+    answer: { type: String, enum: ["yes", "no", "unknown"], default: "unknown" },
+    verdict: { type: String, enum: ["met", "not_met", "needs_review"], required: true },
+  },
+  { _id: false }
+);
+
+const trialScreeningSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    nctId: { type: String, required: true, index: true },
+    trialTitle: { type: String },
+    questions: [screeningQuestionSchema],
+    results: [screeningResultSchema],
+    overallStatus: {
+      type: String,
+      enum: ["likely_eligible", "likely_ineligible", "needs_review"],
+      required: true,
+    },
+    summary: {
+      met: { type: Number, default: 0 },
+      notMet: { type: Number, default: 0 },
+      needsReview: { type: Number, default: 0 },
+    },
+    meetingRequestIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "MeetingRequest" }],
+  },
+  { timestamps: true }
+);
+
+trialScreeningSchema.index({ userId: 1, nctId: 1, createdAt: -1 });
+
+export const TrialScreening = mongoose.models.TrialScreening || mongoose.model("TrialScreening", trialScreeningSchema);
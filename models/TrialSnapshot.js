@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+const trialSnapshotSchema = new mongoose.Schema(
+  {
+    nctId: { type: String, required: true, unique: true },
+    title: { type: String },
+    // Normalized tracked fields, see buildTrialSnapshot in trialTracking.service.js
+    data: { type: Object, required: true },
+    fetchedAt: { type: Date, default: Date.now },
+    lastChangedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+trialSnapshotSchema.index({ fetchedAt: 1 });
+
+export const TrialSnapshot = mongoose.models.TrialSnapshot || mongoose.model("TrialSnapshot", trialSnapshotSchema);
@@ -2,6 +2,13 @@ import { Router } from "express";
 import { Profile } from "../models/Profile.js";
 import { User } from "../models/User.js";
 import { SearchLimit } from "../models/SearchLimit.js";
+import {
+  DEFAULT_RANKING_CONFIG,
+  getRankingConfig,
+  parseRankingConfigInput,
+  saveRankingConfig,
+  resetRankingConfig,
+} from "../services/rankingConfig.service.js";
 
 const router = Router();
 
@@ -166,6 +173,49 @@ router.get("/admin/search/config", verifyAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// EXPERT RANKING CONFIGURATION ENDPOINTS
+// ============================================
+
+// Get the expert ranking weights in use, with the defaults for comparison
+router.get("/admin/ranking-config", verifyAdmin, async (req, res) => {
+  try {
+    const config = await getRankingConfig({ fresh: true });
+    res.json({ config, defaults: DEFAULT_RANKING_CONFIG });
+  } catch (error) {
+    console.error("Error getting ranking config:", error);
+    res.status(500).json({ error: "Failed to get ranking configuration" });
+  }
+});
+
+// Update expert ranking weights; only the settings sent are changed
+router.put("/admin/ranking-config", verifyAdmin, async (req, res) => {
+  try {
+    const current = await getRankingConfig({ fresh: true });
+    const { config, error } = parseRankingConfigInput(req.body, current);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const saved = await saveRankingConfig(config, { updatedBy: "admin" });
+    res.json({ success: true, config: saved });
+  } catch (error) {
+    console.error("Error updating ranking config:", error);
+    res.status(500).json({ error: "Failed to update ranking configuration" });
+  }
+});
+
+// Go back to the default expert ranking weights
+router.delete("/admin/ranking-config", verifyAdmin, async (req, res) => {
+  try {
+    const config = await resetRankingConfig();
+    res.json({ success: true, config });
+  } catch (error) {
+    console.error("Error resetting ranking config:", error);
+    res.status(500).json({ error: "Failed to reset ranking configuration" });
+  }
+});
+
 // Reset verification email limit for a user (admin only)
 router.post("/admin/users/:userId/reset-verification-email-limit", verifyAdmin, async (req, res) => {
   try {
@@ -1,4 +1,5 @@
 import { Router } from "express";
+import mongoose from "mongoose";
 import {
   summarizeText,
   extractConditions,
@@ -9,6 +10,8 @@ import {
   simplifyTrialSummary,
 } from "../services/summary.service.js";
 import { generateSummaryReport } from "../services/summaryReport.service.js";
+import { optionalSession } from "../middleware/auth.js";
+import { TrialScreening } from "../models/TrialScreening.js";
 
 const router = Router();
 
@@ -55,7 +58,7 @@ router.post("/ai/extract-expert-info", async (req, res) => {
   res.json({ info });
 });
 
-router.post("/ai/generate-summary-report", async (req, res) => {
+router.post("/ai/generate-summary-report", optionalSession, async (req, res) => {
   try {
     const { selectedItems, patientContext } = req.body || {};
 
@@ -63,8 +66,21 @@ router.post("/ai/generate-summary-report", async (req, res) => {
       return res.status(400).json({ error: "selectedItems is required" });
     }
 
+    // Stored trial pre-screenings can only be included by their owner
+    let screenings = [];
+    if (req.user && Array.isArray(selectedItems.screeningIds)) {
+      screenings = await TrialScreening.find({
+        _id: {
+          $in: selectedItems.screeningIds.filter((id) =>
+            mongoose.Types.ObjectId.isValid(id)
+          ),
+        },
+        userId: req.user._id,
+      }).lean();
+    }
+
     const report = await generateSummaryReport(
-      selectedItems,
+      { ...selectedItems, screenings },
       patientContext || {}
     );
     res.json({ report });
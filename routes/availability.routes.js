@@ -0,0 +1,76 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { ExpertAvailability } from "../models/ExpertAvailability.js";
+import { Profile } from "../models/Profile.js";
+import { verifySession } from "../middleware/auth.js";
+import {
+  parseAvailabilityInput,
+  listOpenSlots,
+} from "../services/availability.service.js";
+
+const router = Router();
+
+// Set the signed-in researcher's weekly meeting hours and blackout dates
+router.put("/availability", verifySession, async (req, res) => {
+  try {
+    const profile = await Profile.findOne({ userId: req.user._id }).select("role").lean();
+    if (!profile || profile.role !== "researcher") {
+      return res.status(403).json({ error: "Only researchers can set meeting availability" });
+    }
+
+    const { availability, error } = parseAvailabilityInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const doc = await ExpertAvailability.findOneAndUpdate(
+      { userId: req.user._id },
+      { ...availability, userId: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+    res.json({ ok: true, availability: doc });
+  } catch (error) {
+    console.error("Error saving availability:", error);
+    res.status(500).json({ error: "Failed to save availability" });
+  }
+});
+
+// A researcher's weekly meeting hours
+router.get("/availability/:userId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.json({ availability: null });
+    }
+    const availability = await ExpertAvailability.findOne({ userId: req.params.userId }).lean();
+    res.json({ availability });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({ error: "Failed to fetch availability" });
+  }
+});
+
+// Open half-hour slots between from and to (default: the next two weeks)
+router.get("/availability/:userId/slots", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: "from and to must be dates" });
+    }
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.json({ availability: null, slots: [] });
+    }
+
+    const result = await listOpenSlots(req.params.userId, { from: fromDate, to: toDate });
+    if (!result) {
+      return res.json({ availability: null, slots: [] });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching open slots:", error);
+    res.status(500).json({ error: "Failed to fetch open slots" });
+  }
+});
+
+export default router;
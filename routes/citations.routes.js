@@ -0,0 +1,88 @@
+import { Router } from "express";
+import { Favorite } from "../models/Favorite.js";
+import { fetchPubMedRecords } from "../services/pubmed.service.js";
+import {
+  CITATION_FORMATS,
+  formatCitations,
+  normalizeCitationFormat,
+  resolvePublicationsForExport,
+} from "../services/citationExport.service.js";
+
+const router = Router();
+
+function sendCitations(res, publications, format, filename) {
+  const { body, contentType, extension } = formatCitations(publications, format);
+  res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${extension}"`
+  );
+  res.send(body);
+}
+
+function invalidFormat(res) {
+  return res.status(400).json({
+    error: `format must be one of ${Object.keys(CITATION_FORMATS).join(", ")}`,
+  });
+}
+
+// Export a single PubMed publication
+// ?format=ris|bibtex|csl-json
+router.get("/search/publication/:pmid/citation", async (req, res) => {
+  try {
+    const pmid = req.params.pmid?.trim();
+    const format = normalizeCitationFormat(req.query.format);
+    if (!/^\d+$/.test(pmid || "")) {
+      return res.status(400).json({ error: "A numeric PMID is required" });
+    }
+    if (!format) return invalidFormat(res);
+
+    const [publication] = await fetchPubMedRecords([pmid]);
+    if (!publication) {
+      return res
+        .status(404)
+        .json({ error: `Publication with ID ${pmid} not found` });
+    }
+
+    sendCitations(res, [publication], format, `pubmed-${pmid}`);
+  } catch (error) {
+    console.error("Error exporting publication citation:", error);
+    res.status(500).json({ error: "Failed to export citation" });
+  }
+});
+
+// Bulk export of a user's favorited publications
+// ?format=ris|bibtex|csl-json&ids=pmid1,pmid2 (ids optional; defaults to the whole list)
+router.get("/favorites/:userId/export", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const format = normalizeCitationFormat(req.query.format);
+    if (!format) return invalidFormat(res);
+
+    const favorites = await Favorite.find({ userId, type: "publication" })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    let items = favorites.map((f) => f.item);
+    if (req.query.ids) {
+      const wanted = new Set(
+        String(req.query.ids).split(",").map((id) => id.trim()).filter(Boolean)
+      );
+      items = items.filter((item) =>
+        [item.pmid, item.id, item._id].some((id) => id && wanted.has(String(id)))
+      );
+    }
+
+    if (items.length === 0) {
+      return res.status(404).json({ error: "No favorited publications to export" });
+    }
+
+    const publications = await resolvePublicationsForExport(items);
+    sendCitations(res, publications, format, "curalink-favorites");
+  } catch (error) {
+    console.error("Error exporting favorite citations:", error);
+    res.status(500).json({ error: "Failed to export favorites" });
+  }
+});
+
+export default router;
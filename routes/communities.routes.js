@@ -8,6 +8,7 @@ import { Reply } from "../models/Reply.js";
 import { User } from "../models/User.js";
 import { Profile } from "../models/Profile.js";
 import { Notification } from "../models/Notification.js";
+import { searchThreads } from "../services/threadSearch.service.js";
 
 const router = Router();
 
@@ -597,46 +598,10 @@ router.get("/communities/search/threads", async (req, res) => {
       return res.status(400).json({ error: "Search query must be at least 2 characters" });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    let matchQuery = {
-      $or: [
-        { title: { $regex: q, $options: "i" } },
-        { body: { $regex: q, $options: "i" } },
-      ],
-    };
-
-    if (communityId) {
-      matchQuery.communityId = new mongoose.Types.ObjectId(communityId);
-    }
-
-    const threads = await Thread.find(matchQuery)
-      .populate("authorUserId", "username email")
-      .populate("communityId", "name slug icon color")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
-
-    // Get reply counts
-    const threadIds = threads.map((t) => t._id);
-    const replyCounts = await Reply.aggregate([
-      { $match: { threadId: { $in: threadIds } } },
-      { $group: { _id: "$threadId", count: { $sum: 1 } } },
-    ]);
-    const replyCountMap = {};
-    replyCounts.forEach((item) => {
-      replyCountMap[item._id.toString()] = item.count;
-    });
-
-    const total = await Thread.countDocuments(matchQuery);
+    const { threads, total } = await searchThreads({ q, communityId, page, limit });
 
     res.json({
-      threads: threads.map((t) => ({
-        ...t,
-        replyCount: replyCountMap[t._id.toString()] || 0,
-        voteScore: (t.upvotes?.length || 0) - (t.downvotes?.length || 0),
-      })),
+      threads,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -0,0 +1,107 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { ExternalExpert } from "../models/ExternalExpert.js";
+import { Profile } from "../models/Profile.js";
+import { verifySession } from "../middleware/auth.js";
+import { refreshExternalExpertMetrics } from "../services/expertDiscoveryV2.service.js";
+import {
+  verifyExpertClaim,
+  claimExternalExpert,
+} from "../services/expertClaim.service.js";
+
+const router = Router();
+
+// Scheduled refresh of stored expert metrics (Vercel cron, see vercel.json)
+router.get("/external-experts/refresh", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.replace("Bearer ", "");
+  if (!secret || token !== secret) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const results = await refreshExternalExpertMetrics();
+    res.json({
+      ok: true,
+      processed: results.length,
+      updated: results.filter((r) => r.updated).length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error refreshing external experts:", error);
+    res.status(500).json({ error: "Failed to refresh external experts" });
+  }
+});
+
+// Stored identity and metrics for an external expert
+router.get("/external-experts/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Expert not found" });
+    }
+    const expert = await ExternalExpert.findById(req.params.id).select("-profile").lean();
+    if (!expert) {
+      return res.status(404).json({ error: "Expert not found" });
+    }
+    res.json({ expert });
+  } catch (error) {
+    console.error("Error fetching external expert:", error);
+    res.status(500).json({ error: "Failed to fetch expert" });
+  }
+});
+
+// Claim an external expert as your own researcher profile. Proof is a matching
+// ORCID iD linked through ORCID sign-in or a verified email at the expert's institution.
+router.post("/external-experts/:id/claim", verifySession, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Expert not found" });
+    }
+    const expert = await ExternalExpert.findById(req.params.id).select("-profile").lean();
+    if (!expert) {
+      return res.status(404).json({ error: "Expert not found" });
+    }
+
+    const profile = await Profile.findOne({ userId: req.user._id }).lean();
+    if (!profile || profile.role !== "researcher") {
+      return res
+        .status(400)
+        .json({ error: "Create a researcher profile before claiming an expert profile" });
+    }
+
+    if (expert.claimedBy) {
+      if (String(expert.claimedBy) === String(req.user._id)) {
+        return res.json({ ok: true, expert, method: expert.claimMethod, migratedFavorites: 0 });
+      }
+      return res.status(409).json({ error: "This expert profile has already been claimed" });
+    }
+    const existingClaim = await ExternalExpert.exists({ claimedBy: req.user._id });
+    if (existingClaim) {
+      return res
+        .status(409)
+        .json({ error: "You have already claimed another expert profile" });
+    }
+
+    const { method, reasons } = await verifyExpertClaim(expert, req.user, profile);
+    if (!method) {
+      return res.status(403).json({ error: "Could not verify that this is you", reasons });
+    }
+
+    const result = await claimExternalExpert(expert, req.user, profile, method);
+    if (!result.expert) {
+      return res.status(409).json({ error: "This expert profile has already been claimed" });
+    }
+
+    res.json({ ok: true, method, ...result });
+  } catch (error) {
+    console.error("Error claiming external expert:", error);
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "You have already claimed another expert profile" });
+    }
+    res.status(500).json({ error: "Failed to claim expert profile" });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import { Favorite } from "../models/Favorite.js";
 import { fetchDataFromUrl } from "../services/urlParser.service.js";
+import { findExternalExpert } from "../services/externalExpert.service.js";
 
 const router = Router();
 
@@ -30,6 +31,22 @@ router.post("/favorites/:userId", async (req, res) => {
     id: itemId,
     _id: item._id || itemId,
   };
+
+  // Link experts to their stored identity so favorites survive name variants
+  if (type === "expert" && !normalizedItem.externalExpertId) {
+    try {
+      const stored = await findExternalExpert({
+        name: item.name,
+        affiliation: item.affiliation,
+        orcid: item.orcid,
+        openAlexId: item.openAlexId,
+        semanticScholarId: item.semanticScholarId,
+      });
+      if (stored) normalizedItem.externalExpertId = String(stored._id);
+    } catch (error) {
+      console.error("Error linking favorite to stored expert:", error.message);
+    }
+  }
   
   // Check if favorite already exists (check multiple ID fields)
   const existsQuery = {
@@ -44,10 +61,13 @@ router.post("/favorites/:userId", async (req, res) => {
     ]
   };
   
-  // For experts, also check by name (exact match)
+  // For experts, also check by name (exact match) and stored identity
   if (type === "expert" && item?.name) {
     existsQuery.$or.push({ "item.name": item.name });
   }
+  if (type === "expert" && normalizedItem.externalExpertId) {
+    existsQuery.$or.push({ "item.externalExpertId": normalizedItem.externalExpertId });
+  }
   
   // For forum/thread types, also check the alternate type
   if (type === "forum" || type === "thread") {
@@ -81,9 +101,9 @@ router.delete("/favorites/:userId", async (req, res) => {
     ]
   };
   
-  // For experts, also check by name (exact match)
+  // For experts, also check by name (exact match) and stored identity
   if (type === "expert") {
-    deleteQuery.$or.push({ "item.name": id });
+    deleteQuery.$or.push({ "item.name": id }, { "item.externalExpertId": id });
   }
   
   // For forum/thread types, allow matching between both types
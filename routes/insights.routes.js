@@ -7,6 +7,7 @@ import { Thread } from "../models/Thread.js";
 import { Trial } from "../models/Trial.js";
 import { Profile } from "../models/Profile.js";
 import { Favorite } from "../models/Favorite.js";
+import { TrialInterest } from "../models/TrialInterest.js";
 
 const router = Router();
 
@@ -37,11 +38,17 @@ router.get("/insights/:userId", async (req, res) => {
       const threadUpvotes = threads.reduce((sum, t) => sum + (t.upvotes?.length || 0), 0);
       const replyUpvotes = replies.reduce((sum, r) => sum + (r.upvotes?.length || 0), 0);
       
+      const trialInterestsRegistered = await TrialInterest.countDocuments({
+        patientId: userId,
+        status: { $ne: "withdrawn" },
+      });
+
       metrics = {
         threadsCreated: threads.length,
         repliesCreated: replies.length,
         totalUpvotes: threadUpvotes + replyUpvotes,
         threadViews: threads.reduce((sum, t) => sum + (t.viewCount || 0), 0),
+        trialInterestsRegistered,
       };
     } else if (userRole === "researcher") {
       const threads = await Thread.find({ authorUserId: userId }).lean();
@@ -57,6 +64,16 @@ router.get("/insights/:userId", async (req, res) => {
         type: "trial",
         "item.id": { $in: trialIds },
       });
+
+      // Interest registrations from patients on the researcher's hosted trials
+      const trialInterests = await TrialInterest.countDocuments({
+        trialId: { $in: trials.map((t) => t._id) },
+        status: { $ne: "withdrawn" },
+      });
+      const newTrialInterests = await TrialInterest.countDocuments({
+        trialId: { $in: trials.map((t) => t._id) },
+        status: "new",
+      });
       
       metrics = {
         followers: followerCount,
@@ -66,6 +83,8 @@ router.get("/insights/:userId", async (req, res) => {
         totalUpvotes: threadUpvotes + replyUpvotes,
         threadViews: threads.reduce((sum, t) => sum + (t.viewCount || 0), 0),
         trialFavorites: trialFavorites,
+        trialInterests,
+        newTrialInterests,
       };
     }
 
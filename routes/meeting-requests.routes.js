@@ -3,13 +3,30 @@ import mongoose from "mongoose";
 import { MeetingRequest } from "../models/MeetingRequest.js";
 import { Notification } from "../models/Notification.js";
 import { User } from "../models/User.js";
+import { TrialScreening } from "../models/TrialScreening.js";
+import { validateSlotRequest } from "../services/availability.service.js";
+import { verifySession, optionalSession } from "../middleware/auth.js";
 
 const router = Router();
 
+// A meeting moved off its booked slot gives the slot back
+async function slotReleaseFor(requestId, meetingDate) {
+  const current = await MeetingRequest.findById(requestId).select("slotStart").lean();
+  if (!current?.slotStart || current.slotStart.getTime() === meetingDate.getTime()) return null;
+  return { slotKey: 1, slotStart: 1, slotEnd: 1 };
+}
+
 // Send a meeting request (patient to expert)
-router.post("/meeting-requests", async (req, res) => {
+router.post("/meeting-requests", optionalSession, async (req, res) => {
   try {
-    const { patientId, expertId, message, preferredDate, preferredTime } = req.body;
+    const { expertId, message, preferredDate, preferredTime, screeningIds, slotStart } = req.body;
+
+    // Booking a slot holds it for everyone else, so only a signed-in patient
+    // can do it, and only for themselves
+    if (slotStart && !req.user) {
+      return res.status(401).json({ error: "Sign in to book a time slot" });
+    }
+    const patientId = slotStart ? String(req.user._id) : req.body.patientId;
 
     if (!patientId || !expertId || !message) {
       return res.status(400).json({ error: "Missing required fields" });
@@ -38,15 +55,41 @@ router.post("/meeting-requests", async (req, res) => {
       return res.status(400).json({ error: "A pending meeting request already exists" });
     }
 
+    // Reserve a half-hour slot from the expert's availability
+    let slot = null;
+    if (slotStart) {
+      slot = await validateSlotRequest(expertIdObj, slotStart);
+      if (slot.error) {
+        return res.status(slot.conflict ? 409 : 400).json({ error: slot.error });
+      }
+    }
+
+    // Only the patient's own screenings can be shared with the expert
+    const screenings = Array.isArray(screeningIds) && screeningIds.length > 0
+      ? await TrialScreening.find({
+          _id: { $in: screeningIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) },
+          userId: patientIdObj,
+        }).select("_id").lean()
+      : [];
+
     const meetingRequest = await MeetingRequest.create({
       patientId: patientIdObj,
       expertId: expertIdObj,
       message,
-      preferredDate: preferredDate ? new Date(preferredDate) : null,
+      preferredDate: slot ? slot.slotStart : preferredDate ? new Date(preferredDate) : null,
       preferredTime: preferredTime || null,
+      ...(slot && { slotStart: slot.slotStart, slotEnd: slot.slotEnd, slotKey: slot.slotKey }),
       status: "pending",
+      screeningIds: screenings.map((s) => s._id),
     });
 
+    if (screenings.length > 0) {
+      await TrialScreening.updateMany(
+        { _id: { $in: screenings.map((s) => s._id) } },
+        { $addToSet: { meetingRequestIds: meetingRequest._id } }
+      );
+    }
+
     // Create notification for expert
     const patient = await User.findById(patientIdObj).lean();
     await Notification.create({
@@ -66,16 +109,25 @@ router.post("/meeting-requests", async (req, res) => {
     res.json({ ok: true, meetingRequest });
   } catch (error) {
     console.error("Error sending meeting request:", error);
+    // Another request holds the slot (unique slotKey)
+    if (error.code === 11000 && error.keyPattern?.slotKey) {
+      return res.status(409).json({ error: "That time slot has already been booked" });
+    }
     res.status(500).json({ error: "Failed to send meeting request" });
   }
 });
 
 // Get meeting requests for an expert
-router.get("/meeting-requests/:expertId", async (req, res) => {
+router.get("/meeting-requests/:expertId", verifySession, async (req, res) => {
   try {
     const { expertId } = req.params;
     const { status } = req.query;
 
+    // Requests carry the patient's shared screening answers
+    if (String(req.user._id) !== expertId) {
+      return res.status(403).json({ error: "You can only view your own meeting requests" });
+    }
+
     // Convert string ID to ObjectId
     const expertIdObj = mongoose.Types.ObjectId.isValid(expertId) 
       ? new mongoose.Types.ObjectId(expertId) 
@@ -89,6 +141,7 @@ router.get("/meeting-requests/:expertId", async (req, res) => {
     const requests = await MeetingRequest.find(query)
       .populate("patientId", "username email")
       .populate("expertId", "username email")
+      .populate("screeningIds", "nctId trialTitle overallStatus summary results createdAt")
       .sort({ createdAt: -1 })
       .lean();
 
@@ -100,11 +153,15 @@ router.get("/meeting-requests/:expertId", async (req, res) => {
 });
 
 // Get meeting requests sent by a patient
-router.get("/meeting-requests/patient/:patientId", async (req, res) => {
+router.get("/meeting-requests/patient/:patientId", verifySession, async (req, res) => {
   try {
     const { patientId } = req.params;
     const { status } = req.query;
 
+    if (String(req.user._id) !== patientId) {
+      return res.status(403).json({ error: "You can only view your own meeting requests" });
+    }
+
     // Convert string ID to ObjectId
     const patientIdObj = mongoose.Types.ObjectId.isValid(patientId) 
       ? new mongoose.Types.ObjectId(patientId) 
@@ -118,6 +175,7 @@ router.get("/meeting-requests/patient/:patientId", async (req, res) => {
     const requests = await MeetingRequest.find(query)
       .populate("patientId", "username email")
       .populate("expertId", "username email")
+      .populate("screeningIds", "nctId trialTitle overallStatus summary results createdAt")
       .sort({ createdAt: -1 })
       .lean();
 
@@ -180,6 +238,13 @@ router.patch("/meeting-requests/:requestId", async (req, res) => {
 
     if (action === "accept" && meetingDate) {
       updateData.meetingDate = new Date(meetingDate);
+      const release = await slotReleaseFor(requestId, updateData.meetingDate);
+      if (release) updateData.$unset = release;
+    }
+
+    // Rejected and cancelled requests free their slot
+    if (status !== "accepted") {
+      updateData.$unset = { slotKey: 1 };
     }
 
     if (meetingNotes) {
@@ -197,6 +262,12 @@ router.patch("/meeting-requests/:requestId", async (req, res) => {
       return res.status(404).json({ error: "Meeting request not found" });
     }
 
+    // Accepting a booked slot schedules the meeting for it
+    if (status === "accepted" && !meetingRequest.meetingDate && meetingRequest.slotStart) {
+      meetingRequest.meetingDate = meetingRequest.slotStart;
+      await meetingRequest.save();
+    }
+
     // Create notification for patient
     const expert = await User.findById(meetingRequest.expertId).lean();
     await Notification.create({
@@ -236,13 +307,17 @@ router.patch("/meeting-requests/:requestId/accept-time", async (req, res) => {
       return res.status(400).json({ error: "Meeting date is required" });
     }
 
+    const update = {
+      meetingDate: new Date(meetingDate),
+      meetingNotes: meetingNotes || null,
+      status: "accepted",
+    };
+    const release = await slotReleaseFor(requestId, update.meetingDate);
+    if (release) update.$unset = release;
+
     const meetingRequest = await MeetingRequest.findByIdAndUpdate(
       requestId,
-      { 
-        meetingDate: new Date(meetingDate),
-        meetingNotes: meetingNotes || null,
-        status: "accepted",
-      },
+      update,
       { new: true }
     ).populate("patientId", "username email")
      .populate("expertId", "username email");
@@ -0,0 +1,118 @@
+import { Router } from "express";
+import { Profile } from "../models/Profile.js";
+import { verifySession } from "../middleware/auth.js";
+import {
+  isOrcidOAuthConfigured,
+  buildOrcidAuthorizeUrl,
+  verifyOrcidState,
+  exchangeOrcidCode,
+  linkVerifiedOrcid,
+  resyncOrcidSnapshots,
+} from "../services/orcidLink.service.js";
+
+const router = Router();
+
+// Scheduled resync of stored ORCID records (Vercel cron, see vercel.json)
+router.get("/orcid/resync", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.replace("Bearer ", "");
+  if (!secret || token !== secret) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const results = await resyncOrcidSnapshots();
+    res.json({
+      ok: true,
+      processed: results.length,
+      updated: results.filter((r) => r.updated).length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error resyncing ORCID records:", error);
+    res.status(500).json({ error: "Failed to resync ORCID records" });
+  }
+});
+
+// Start ORCID sign-in; the client redirects the browser to the returned URL
+router.get("/orcid/connect", verifySession, async (req, res) => {
+  try {
+    if (!isOrcidOAuthConfigured()) {
+      return res.status(503).json({ error: "ORCID sign-in is not configured" });
+    }
+    const profile = await Profile.findOne({ userId: req.user._id }).select("role").lean();
+    if (!profile || profile.role !== "researcher") {
+      return res.status(400).json({ error: "Only researcher profiles can link an ORCID iD" });
+    }
+    res.json({ url: buildOrcidAuthorizeUrl(req.user._id) });
+  } catch (error) {
+    console.error("Error starting ORCID sign-in:", error);
+    res.status(500).json({ error: "Failed to start ORCID sign-in" });
+  }
+});
+
+// Finish ORCID sign-in with the code and state ORCID redirected back with
+router.post("/orcid/callback", verifySession, async (req, res) => {
+  try {
+    const { code, state } = req.body || {};
+    if (!code || !state) {
+      return res.status(400).json({ error: "code and state are required" });
+    }
+    if (!isOrcidOAuthConfigured()) {
+      return res.status(503).json({ error: "ORCID sign-in is not configured" });
+    }
+    if (!verifyOrcidState(state, req.user._id)) {
+      return res.status(400).json({ error: "ORCID sign-in expired or was started by another account" });
+    }
+
+    const profile = await Profile.findOne({ userId: req.user._id }).lean();
+    if (!profile || profile.role !== "researcher") {
+      return res.status(400).json({ error: "Only researcher profiles can link an ORCID iD" });
+    }
+
+    let orcid;
+    try {
+      ({ orcid } = await exchangeOrcidCode(code));
+    } catch (error) {
+      console.error("Error exchanging ORCID code:", error.response?.data || error.message);
+      return res.status(502).json({ error: "ORCID sign-in failed, please try again" });
+    }
+    if (!orcid) {
+      return res.status(502).json({ error: "ORCID sign-in failed, please try again" });
+    }
+
+    const linkedElsewhere = await Profile.exists({
+      userId: { $ne: req.user._id },
+      "researcher.orcid": orcid,
+      "researcher.orcidVerified": true,
+    });
+    if (linkedElsewhere) {
+      return res.status(409).json({ error: "This ORCID iD is linked to another account" });
+    }
+
+    const { imported, snapshot } = await linkVerifiedOrcid(profile, orcid);
+    res.json({ ok: true, orcid, imported, synced: Boolean(snapshot) });
+  } catch (error) {
+    console.error("Error linking ORCID iD:", error);
+    res.status(500).json({ error: "Failed to link ORCID iD" });
+  }
+});
+
+// Remove the verified status; the iD stays on the profile as self-reported
+router.delete("/orcid/link", verifySession, async (req, res) => {
+  try {
+    await Profile.updateOne(
+      { userId: req.user._id },
+      {
+        $set: { "researcher.orcidVerified": false },
+        $unset: { "researcher.orcidVerifiedAt": 1 },
+      }
+    );
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error unlinking ORCID iD:", error);
+    res.status(500).json({ error: "Failed to unlink ORCID iD" });
+  }
+});
+
+export default router;
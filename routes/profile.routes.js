@@ -3,10 +3,49 @@ import { Profile } from "../models/Profile.js";
 import { User } from "../models/User.js";
 import { Thread } from "../models/Thread.js";
 import { Reply } from "../models/Reply.js";
-import { fetchFullORCIDProfile } from "../services/orcid.service.js";
+import { getOrcidSnapshot } from "../services/orcidLink.service.js";
+import { normalizeOrcid } from "../services/externalExpert.service.js";
+import { listOpenSlots } from "../services/availability.service.js";
+import { verifySession } from "../middleware/auth.js";
 
 const router = Router();
 
+// Researcher fields set by the server (ORCID sign-in, expert claims), never
+// taken from the client
+const MANAGED_RESEARCHER_FIELDS = ["externalExpertId", "orcidVerified", "orcidVerifiedAt", "orcidImportedAt"];
+const ORCID_VERIFICATION_FIELDS = ["orcidVerified", "orcidVerifiedAt", "orcidImportedAt"];
+// Profile sections a client may write; everything else in the body is ignored
+const PROFILE_SECTIONS = ["patient", "researcher"];
+
+// Keys Mongo would read as operators or dotted paths, at any depth
+function hasUnsafeKeys(value) {
+  if (!value || typeof value !== "object") return false;
+  return Object.entries(value).some(
+    ([key, nested]) => key.startsWith("$") || key.includes(".") || hasUnsafeKeys(nested)
+  );
+}
+
+// Dotted $set paths for the researcher fields the client sent. Fields it
+// omits (e.g. the ORCID import's employments, education and works, which the
+// profile form doesn't know about) are left as they are.
+function researcherUpdate(researcher, existing = {}) {
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(researcher)) {
+    if (MANAGED_RESEARCHER_FIELDS.includes(field)) continue;
+    $set[`researcher.${field}`] = value;
+  }
+  // Editing the iD by hand drops the verification
+  if (
+    "orcid" in researcher &&
+    existing.orcidVerified &&
+    normalizeOrcid(researcher.orcid) !== normalizeOrcid(existing.orcid)
+  ) {
+    for (const field of ORCID_VERIFICATION_FIELDS) $unset[`researcher.${field}`] = 1;
+  }
+  return { $set, $unset };
+}
+
 // GET /api/profile/:userId
 router.get("/profile/:userId", async (req, res) => {
   const { userId } = req.params;
@@ -15,13 +54,36 @@ router.get("/profile/:userId", async (req, res) => {
 });
 
 // POST /api/profile/:userId
-router.post("/profile/:userId", async (req, res) => {
+router.post("/profile/:userId", verifySession, async (req, res) => {
   const { userId } = req.params;
+  if (String(req.user._id) !== userId) {
+    return res.status(403).json({ error: "You can only update your own profile" });
+  }
   const payload = req.body || {};
   if (!payload.role) return res.status(400).json({ error: "role is required" });
+  if (hasUnsafeKeys(payload)) {
+    return res.status(400).json({ error: "Profile fields can't start with $ or contain dots" });
+  }
+
+  const update = { $set: { role: payload.role, userId }, $unset: {} };
+  for (const section of PROFILE_SECTIONS) {
+    if (payload[section] === undefined) continue;
+    if (!payload[section] || typeof payload[section] !== "object" || Array.isArray(payload[section])) {
+      return res.status(400).json({ error: `${section} must be an object` });
+    }
+    if (section === "researcher") continue;
+    update.$set[section] = payload[section];
+  }
+  if (payload.researcher) {
+    const existing = await Profile.findOne({ userId }).select("researcher").lean();
+    const { $set, $unset } = researcherUpdate(payload.researcher, existing?.researcher);
+    Object.assign(update.$set, $set);
+    Object.assign(update.$unset, $unset);
+  }
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
   const doc = await Profile.findOneAndUpdate(
     { userId },
-    { ...payload, userId },
+    update,
     { new: true, upsert: true }
   );
   return res.json({ ok: true, profile: doc });
@@ -52,6 +114,7 @@ router.get("/curalink-expert/profile/:userId", async (req, res) => {
       name: user.username || "Unknown Researcher",
       email: user.email,
       orcid: researcher.orcid || null,
+      orcidVerified: researcher.orcidVerified || false,
       bio: researcher.bio || null,
       location: researcher.location || null,
       specialties: researcher.specialties || [],
@@ -62,12 +125,15 @@ router.get("/curalink-expert/profile/:userId", async (req, res) => {
       contactable: true, // They can be contacted (via message request)
     };
 
-    // If ORCID exists, fetch ORCID profile data
+    // If ORCID exists, use the stored ORCID record (fetched once, then kept
+    // current by the /orcid/resync cron)
     if (researcher.orcid) {
       try {
         // Normalize ORCID ID (remove spaces, ensure proper format)
         const normalizedOrcid = researcher.orcid.trim().replace(/\s+/g, "");
-        const orcidProfileData = await fetchFullORCIDProfile(normalizedOrcid);
+        const orcidProfileData = await getOrcidSnapshot(normalizedOrcid, {
+          userId: researcher.orcidVerified ? user._id : undefined,
+        });
         if (orcidProfileData) {
           // Merge ALL ORCID data with database data (keep database name, ORCID takes precedence for other fields)
           profileData = {
@@ -136,7 +202,7 @@ router.get("/curalink-expert/profile/:userId", async (req, res) => {
             totalWorks: orcidProfileData.totalWorks || orcidProfileData.publications?.length || 0,
           };
         } else {
-          // Even if fetchFullORCIDProfile returns null, still include publications count as 0
+          // Even if the ORCID record is unavailable, still include publications count as 0
           profileData.publications = [];
           profileData.works = [];
           profileData.impactMetrics = {
@@ -202,6 +268,15 @@ router.get("/curalink-expert/profile/:userId", async (req, res) => {
     profileData.forums = formattedForums;
     profileData.totalForums = formattedForums.length;
 
+    // Open meeting slots for the next two weeks
+    profileData.meetingRate = researcher.meetingRate ?? null;
+    try {
+      profileData.availability = await listOpenSlots(user._id);
+    } catch (error) {
+      console.error("Error fetching open slots:", error.message);
+      profileData.availability = null;
+    }
+
     res.json({ profile: profileData });
   } catch (error) {
     console.error("Error fetching CuraLink expert profile:", error);
@@ -9,6 +9,7 @@ import {
   calculatePublicationMatch,
   calculateExpertMatch,
 } from "../services/matching.service.js";
+import { getRankingConfig } from "../services/rankingConfig.service.js";
 
 const router = Router();
 
@@ -263,21 +264,24 @@ router.get("/recommendations/:userId", async (req, res) => {
       };
     });
 
+    const { expertMatch: expertMatchWeights } = await getRankingConfig();
     const expertsWithMatch = experts.map((expert) => {
-      const match = calculateExpertMatch(expert, profile);
+      const match = calculateExpertMatch(expert, profile, expertMatchWeights);
       return {
         ...expert,
         matchPercentage: match.matchPercentage,
         matchExplanation: match.matchExplanation,
+        matchBreakdown: match.matchBreakdown,
       };
     });
 
     const globalExpertsWithMatch = (globalExperts || []).map((expert) => {
-      const match = calculateExpertMatch(expert, profile);
+      const match = calculateExpertMatch(expert, profile, expertMatchWeights);
       return {
         ...expert,
         matchPercentage: match.matchPercentage,
         matchExplanation: match.matchExplanation,
+        matchBreakdown: match.matchBreakdown,
       };
     });
 
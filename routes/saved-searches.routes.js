@@ -0,0 +1,206 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { verifySession } from "../middleware/auth.js";
+import {
+  sanitizeSavedSearchParams,
+  computeNextRunAt,
+  runSavedSearch,
+  runDueSavedSearches,
+} from "../services/savedSearch.service.js";
+
+const router = Router();
+
+const FREQUENCIES = ["daily", "weekly"];
+
+// Scheduled re-run of all due saved searches (Vercel cron, see vercel.json)
+// Vercel sends "Authorization: Bearer <CRON_SECRET>" with cron invocations
+router.get("/saved-searches/run-due", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.replace("Bearer ", "");
+  if (!secret || token !== secret) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const results = await runDueSavedSearches();
+    res.json({
+      ok: true,
+      processed: results.length,
+      newMatches: results.reduce((sum, r) => sum + (r.newCount || 0), 0),
+      results,
+    });
+  } catch (error) {
+    console.error("Error running due saved searches:", error);
+    res.status(500).json({ error: "Failed to run saved searches" });
+  }
+});
+
+// List the current user's saved searches
+router.get("/saved-searches", verifySession, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id })
+      .select("-lastResultIds")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ savedSearches });
+  } catch (error) {
+    console.error("Error fetching saved searches:", error);
+    res.status(500).json({ error: "Failed to fetch saved searches" });
+  }
+});
+
+// Save a trial search parameter set
+router.post("/saved-searches", verifySession, async (req, res) => {
+  try {
+    const { name, params, frequency = "weekly", alertsEnabled = true } = req.body || {};
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      return res
+        .status(400)
+        .json({ error: "frequency must be 'daily' or 'weekly'" });
+    }
+
+    const cleanParams = sanitizeSavedSearchParams(params || {});
+    if (Object.keys(cleanParams).length === 0) {
+      return res
+        .status(400)
+        .json({ error: "At least one search parameter is required" });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId: req.user._id,
+      name: name.trim(),
+      params: cleanParams,
+      frequency,
+      alertsEnabled: Boolean(alertsEnabled),
+      nextRunAt: new Date(),
+    });
+
+    res.status(201).json({ ok: true, savedSearch });
+  } catch (error) {
+    console.error("Error creating saved search:", error);
+    res.status(500).json({ error: "Failed to create saved search" });
+  }
+});
+
+// Update a saved search (only owner)
+router.put("/saved-searches/:id", verifySession, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, params, frequency, alertsEnabled } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const savedSearch = await SavedSearch.findById(id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+    if (savedSearch.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to update this saved search" });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: "name cannot be empty" });
+      }
+      savedSearch.name = name.trim();
+    }
+    if (params !== undefined) {
+      const cleanParams = sanitizeSavedSearchParams(params || {});
+      if (Object.keys(cleanParams).length === 0) {
+        return res
+          .status(400)
+          .json({ error: "At least one search parameter is required" });
+      }
+      savedSearch.params = cleanParams;
+      // Parameters changed, so the previous result set is no longer comparable
+      savedSearch.lastResultIds = [];
+      savedSearch.lastRunAt = undefined;
+      savedSearch.nextRunAt = new Date();
+    }
+    if (frequency !== undefined) {
+      if (!FREQUENCIES.includes(frequency)) {
+        return res
+          .status(400)
+          .json({ error: "frequency must be 'daily' or 'weekly'" });
+      }
+      savedSearch.frequency = frequency;
+      if (savedSearch.lastRunAt) {
+        savedSearch.nextRunAt = computeNextRunAt(frequency, savedSearch.lastRunAt);
+      }
+    }
+    if (alertsEnabled !== undefined) {
+      savedSearch.alertsEnabled = Boolean(alertsEnabled);
+    }
+
+    await savedSearch.save();
+    res.json({ ok: true, savedSearch });
+  } catch (error) {
+    console.error("Error updating saved search:", error);
+    res.status(500).json({ error: "Failed to update saved search" });
+  }
+});
+
+// Delete a saved search (only owner)
+router.delete("/saved-searches/:id", verifySession, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const savedSearch = await SavedSearch.findById(id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+    if (savedSearch.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to delete this saved search" });
+    }
+
+    await SavedSearch.findByIdAndDelete(id);
+    res.json({ ok: true, message: "Saved search deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting saved search:", error);
+    res.status(500).json({ error: "Failed to delete saved search" });
+  }
+});
+
+// Re-run a saved search now (only owner)
+router.post("/saved-searches/:id/run", verifySession, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const savedSearch = await SavedSearch.findById(id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+    if (savedSearch.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to run this saved search" });
+    }
+
+    const result = await runSavedSearch(savedSearch);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("Error running saved search:", error);
+    res.status(500).json({ error: "Failed to run saved search" });
+  }
+});
+
+export default router;
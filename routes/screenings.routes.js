@@ -0,0 +1,174 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { TrialScreening } from "../models/TrialScreening.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import { verifySession } from "../middleware/auth.js";
+import { fetchTrialById } from "../services/urlParser.service.js";
+import {
+  generateScreeningQuestions,
+  evaluateScreening,
+} from "../services/trialScreening.service.js";
+
+const router = Router();
+
+// Get the pre-screening questionnaire for a trial
+router.get("/search/trial/:nctId/screening", async (req, res) => {
+  try {
+    const cleanNctId = req.params.nctId.trim().toUpperCase();
+    const trial = await fetchTrialById(cleanNctId);
+
+    if (!trial) {
+      return res
+        .status(404)
+        .json({ error: `Trial with ID ${cleanNctId} not found` });
+    }
+
+    res.json({
+      nctId: cleanNctId,
+      trialTitle: trial.title,
+      questions: generateScreeningQuestions(trial),
+      answerOptions: ["yes", "no", "unknown"],
+    });
+  } catch (error) {
+    console.error("Error generating screening questionnaire:", error);
+    res.status(500).json({ error: "Failed to generate screening questionnaire" });
+  }
+});
+
+// Submit answers, evaluate them and store the completed screening
+router.post("/search/trial/:nctId/screening", verifySession, async (req, res) => {
+  try {
+    const cleanNctId = req.params.nctId.trim().toUpperCase();
+    const { answers } = req.body || {};
+
+    if (!answers || typeof answers !== "object") {
+      return res.status(400).json({ error: "answers are required" });
+    }
+
+    const trial = await fetchTrialById(cleanNctId);
+    if (!trial) {
+      return res
+        .status(404)
+        .json({ error: `Trial with ID ${cleanNctId} not found` });
+    }
+
+    // Regenerate questions server-side so verdicts always match the trial criteria
+    const questions = generateScreeningQuestions(trial);
+    const { results, overallStatus, summary } = evaluateScreening(
+      questions,
+      answers
+    );
+
+    const screening = await TrialScreening.create({
+      userId: req.user._id,
+      nctId: cleanNctId,
+      trialTitle: trial.title,
+      questions,
+      results,
+      overallStatus,
+      summary,
+    });
+
+    res.json({ ok: true, screening });
+  } catch (error) {
+    console.error("Error submitting screening:", error);
+    res.status(500).json({ error: "Failed to submit screening" });
+  }
+});
+
+// List the current user's completed screenings
+router.get("/screenings", verifySession, async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.nctId) {
+      query.nctId = req.query.nctId.trim().toUpperCase();
+    }
+
+    const screenings = await TrialScreening.find(query)
+      .select("-questions")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ screenings });
+  } catch (error) {
+    console.error("Error fetching screenings:", error);
+    res.status(500).json({ error: "Failed to fetch screenings" });
+  }
+});
+
+// Get a single screening
+router.get("/screenings/:id", verifySession, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid screening ID" });
+    }
+
+    const screening = await TrialScreening.findById(id).lean();
+    if (!screening) {
+      return res.status(404).json({ error: "Screening not found" });
+    }
+    if (screening.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to view this screening" });
+    }
+
+    res.json({ screening });
+  } catch (error) {
+    console.error("Error fetching screening:", error);
+    res.status(500).json({ error: "Failed to fetch screening" });
+  }
+});
+
+// Attach a screening to one of the user's meeting requests
+router.patch("/screenings/:id/attach", verifySession, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { meetingRequestId } = req.body || {};
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(meetingRequestId)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Valid screening ID and meetingRequestId are required" });
+    }
+
+    const screening = await TrialScreening.findById(id);
+    if (!screening) {
+      return res.status(404).json({ error: "Screening not found" });
+    }
+    if (screening.userId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to attach this screening" });
+    }
+
+    const meetingRequest = await MeetingRequest.findById(meetingRequestId);
+    if (!meetingRequest) {
+      return res.status(404).json({ error: "Meeting request not found" });
+    }
+    if (meetingRequest.patientId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to modify this meeting request" });
+    }
+
+    await TrialScreening.updateOne(
+      { _id: screening._id },
+      { $addToSet: { meetingRequestIds: meetingRequest._id } }
+    );
+    await MeetingRequest.updateOne(
+      { _id: meetingRequest._id },
+      { $addToSet: { screeningIds: screening._id } }
+    );
+
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Error attaching screening:", error);
+    res.status(500).json({ error: "Failed to attach screening" });
+  }
+});
+
+export default router;
@@ -1,11 +1,12 @@
 import { Router } from "express";
-import { searchClinicalTrials } from "../services/clinicalTrials.service.js";
-import { searchPubMed } from "../services/pubmed.service.js";
+import { searchClinicalTrials, DEFAULT_TRIAL_STATUS } from "../services/clinicalTrials.service.js";
+import { searchHostedTrials } from "../services/hostedTrial.service.js";
 import { searchORCID } from "../services/orcid.service.js";
 import { findResearchersWithGemini } from "../services/geminiExperts.service.js";
 import { searchGoogleScholarPublications } from "../services/googleScholar.service.js";
 import { getExpertProfile } from "../services/expertProfile.service.js";
 import { searchVerifiedExpertsV2 } from "../services/expertDiscoveryV2.service.js";
+import { linkExternalExperts } from "../services/externalExpert.service.js";
 import {
   fetchTrialById,
   fetchPublicationById,
@@ -15,18 +16,52 @@ import {
   simplifyTrialTitle,
 } from "../services/trialSimplification.service.js";
 import {
-  simplifyPublicationDetails,
+  getPublicationDigest,
+  normalizeReadingLevel,
+  READING_LEVELS,
   simplifyPublicationTitle,
 } from "../services/publicationSimplification.service.js";
+import { recordTrialSnapshot } from "../services/trialTracking.service.js";
+import {
+  applyTrialFacets,
+  parseTrialFacetFilters,
+} from "../services/trialFacets.service.js";
+import {
+  applyPublicationFacets,
+  parsePublicationFacetFilters,
+} from "../services/publicationFacets.service.js";
+import { rankPublicationsByEvidence } from "../services/evidenceRanking.service.js";
+import { getRelatedPublications } from "../services/relatedPublications.service.js";
+import { attachOpenAccess } from "../services/openAccess.service.js";
+import { searchThreads } from "../services/threadSearch.service.js";
+import {
+  getPublicationSourceNames,
+  isPreprintSource,
+  parsePublicationSources,
+  publicationItemId,
+  searchPublicationsFederated,
+} from "../services/federatedSearch.service.js";
+import { attachPublishedVersions } from "../services/preprints.service.js";
 import { ReadItem } from "../models/ReadItem.js";
 import {
   calculateTrialMatch,
   calculatePublicationMatch,
   calculateExpertMatch,
 } from "../services/matching.service.js";
+import { getRankingConfig } from "../services/rankingConfig.service.js";
 import { Profile } from "../models/Profile.js";
 import { User } from "../models/User.js";
-import { parseQuery } from "../utils/queryParser.js";
+import {
+  parseQuery,
+  parseQueryAST,
+  compileToPubMed,
+  compileToClinicalTrials,
+  isAdvancedQuery,
+  hasQueryFields,
+  extractQueryTerms,
+  isPlainTermQuery,
+  QuerySyntaxError,
+} from "../utils/queryParser.js";
 import {
   extractBiomarkers,
   expandQueryWithSynonyms,
@@ -70,8 +105,18 @@ function tokenizeForRelevance(text = "") {
     .filter((term) => term.length > 2 && !PUBLICATION_STOP_WORDS.has(term));
 }
 
-function buildATMQuery(rawQuery = "") {
-  const hasFieldTags = /\[[A-Za-z]{2,}\]/.test(rawQuery || "");
+// /search/all checks and counts the anonymous search limit once for all of
+// its sub-searches, so they skip their own checks
+const countsAgainstSearchLimit = (req) => !req.user && !req.searchLimitHandled;
+
+// Malformed search queries get a 400 pointing at the offending token
+function sendQueryError(res, error) {
+  return res.status(400).json({ error: error.message, queryError: error.toJSON() });
+}
+
+function buildATMQuery(rawQuery = "", queryAst = null) {
+  const hasFieldTags =
+    /\[[A-Za-z]{2,}\]/.test(rawQuery || "") || hasQueryFields(queryAst);
   const parsedQuery = rawQuery ? parseQuery(rawQuery) : "";
   const atmParts = [];
 
@@ -243,10 +288,23 @@ function calculatePublicationRelevanceSignals(pub, queryMeta) {
   };
 }
 
-router.get("/search/trials", async (req, res) => {
+async function searchTrials(req, res) {
   try {
+    // Validate the query before it counts against the search limit
+    let queryAst = null;
+    let trialsQueryTerm;
+    try {
+      queryAst = parseQueryAST(req.query.q || "");
+      if (isAdvancedQuery(queryAst)) {
+        trialsQueryTerm = compileToClinicalTrials(queryAst);
+      }
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) return sendQueryError(res, error);
+      throw error;
+    }
+
     // Check search limit for anonymous users (browser-based deviceId)
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       if (!limitCheck.canSearch) {
         return res.status(429).json({
@@ -264,7 +322,6 @@ router.get("/search/trials", async (req, res) => {
       q,
       status,
       location,
-      phase,
       userId,
       conditions,
       keywords,
@@ -272,6 +329,12 @@ router.get("/search/trials", async (req, res) => {
       eligibilitySex,
       eligibilityAgeMin,
       eligibilityAgeMax,
+      eligibilityEcog,
+      eligibilityPriorLines,
+      eligibilityPregnant,
+      eligibilityBiomarkers,
+      radiusMiles,
+      sortBy = "match", // "match" or "distance"
       page = "1",
       pageSize = "9",
     } = req.query;
@@ -321,6 +384,15 @@ router.get("/search/trials", async (req, res) => {
     // Remove duplicates
     biomarkers = [...new Set(biomarkers)];
 
+    // Origin for nearest-site distances: explicit userLocation, else the profile location
+    const profileLocation =
+      userProfile?.patient?.location || userProfile?.researcher?.location;
+    const distanceOrigin =
+      userLocation ||
+      (profileLocation?.city || profileLocation?.country
+        ? profileLocation
+        : undefined);
+
     // Fetch a larger batch to sort by match percentage before pagination
     // This ensures results are sorted across all pages, not just within each page
     const requestedPage = parseInt(page, 10);
@@ -328,19 +400,97 @@ router.get("/search/trials", async (req, res) => {
     // Fetch up to 500 results for sorting (covers ~83 pages with 6 results per page)
     const batchSize = Math.min(500, Math.max(100, requestedPageSize * 50));
 
-    const result = await searchClinicalTrials({
-      q,
+    // Advanced queries go to ClinicalTrials.gov compiled; their plain terms
+    // drive synonym-free relevance scoring and hosted trial matching
+    const searchText = trialsQueryTerm ? extractQueryTerms(queryAst).join(" ") : q;
+
+    const trialSearch = {
+      q: searchText,
+      queryTerm: trialsQueryTerm,
       status,
+      phase: req.query.phase,
       location,
-      phase,
       eligibilitySex,
       eligibilityAgeMin,
       eligibilityAgeMax,
+      eligibilityEcog,
+      eligibilityPriorLines,
+      eligibilityPregnant,
+      eligibilityBiomarkers,
+      radiusMiles,
+      userLocation: distanceOrigin,
       biomarkers, // Layer 3: Pass extracted biomarkers
       page: 1, // Always fetch from page 1 for the batch
       pageSize: batchSize, // Fetch larger batch for sorting
-    });
-    const allResults = result.items || [];
+    };
+    const result = await searchClinicalTrials(trialSearch);
+
+    // CuraLink-hosted trials are listed alongside ClinicalTrials.gov results
+    let hostedResults = [];
+    try {
+      hostedResults = await searchHostedTrials({
+        q: searchText,
+        status,
+        eligibilitySex,
+        eligibilityAgeMin,
+        eligibilityAgeMax,
+        eligibilityEcog,
+        eligibilityPriorLines,
+        eligibilityPregnant,
+        eligibilityBiomarkers,
+        radiusMiles,
+        userLocation: distanceOrigin,
+      });
+    } catch (error) {
+      console.error("Error searching hosted trials:", error);
+    }
+    // Imported trials replace their ClinicalTrials.gov listing
+    const importedNctIds = new Set(
+      hostedResults.map((t) => t.nctId).filter(Boolean)
+    );
+    const batchResults = [
+      ...hostedResults,
+      ...(result.items || []).filter((t) => !importedNctIds.has(t.id)),
+    ];
+
+    // Facet counts cover the fetched batch, each facet counted with the other
+    // facets' selections applied but not its own. Status and phase selections
+    // are sent to ClinicalTrials.gov, so the batch only holds the selected
+    // values; those two facets are counted on a batch fetched without their
+    // own selection (usually cached from the search before the chip was
+    // picked). Status alternatives are the default statuses plus the selected.
+    const facetFilters = parseTrialFacetFilters(req.query);
+    const facetBatchSearches = {};
+    if (facetFilters.phase) {
+      facetBatchSearches.phase = { ...trialSearch, phase: undefined };
+    }
+    if (facetFilters.status) {
+      const statuses = new Set([
+        ...DEFAULT_TRIAL_STATUS.split(","),
+        ...facetFilters.status.map((s) => s.toUpperCase()),
+      ]);
+      facetBatchSearches.status = { ...trialSearch, status: [...statuses].join(",") };
+    }
+    const facetBatches = {};
+    await Promise.all(
+      Object.entries(facetBatchSearches).map(async ([facet, search]) => {
+        try {
+          const facetResult = await searchClinicalTrials(search);
+          facetBatches[facet] = [
+            ...hostedResults,
+            ...(facetResult.items || []).filter((t) => !importedNctIds.has(t.id)),
+          ];
+        } catch (error) {
+          // Counted over the main batch instead
+          console.error(`Error fetching trials for ${facet} facet counts:`, error.message);
+        }
+      })
+    );
+    const { items: allResults, facets } = applyTrialFacets(
+      batchResults,
+      facetFilters,
+      facetBatches
+    );
 
     // Build user profile for matching (reuse if already fetched for biomarkers)
     if (!userProfile) {
@@ -384,10 +534,19 @@ router.get("/search/trials", async (req, res) => {
         })
       : allResults;
 
-    // Sort by match percentage (descending - highest first) before pagination
-    const sortedResults = resultsWithMatch.sort(
-      (a, b) => (b.matchPercentage || -1) - (a.matchPercentage || -1)
-    );
+    // Sort by match percentage (descending - highest first) before pagination,
+    // or by nearest-site distance (ascending, unknown distances last)
+    const sortedResults =
+      sortBy === "distance"
+        ? resultsWithMatch.sort((a, b) => {
+            const aDist = a.distanceMiles ?? Infinity;
+            const bDist = b.distanceMiles ?? Infinity;
+            if (aDist !== bDist) return aDist - bDist;
+            return (b.matchPercentage || -1) - (a.matchPercentage || -1);
+          })
+        : resultsWithMatch.sort(
+            (a, b) => (b.matchPercentage || -1) - (a.matchPercentage || -1)
+          );
 
     // Simplify titles for all trials in parallel (only for the batch we fetched)
     // This adds simplified titles to each trial object
@@ -443,13 +602,13 @@ router.get("/search/trials", async (req, res) => {
     }
 
     // Increment search count for anonymous users only after results are successfully loaded and processed
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       await incrementSearchCount(req);
     }
 
     // Get remaining searches for anonymous users
     let remaining = null;
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       remaining = limitCheck.remaining;
     }
@@ -461,22 +620,43 @@ router.get("/search/trials", async (req, res) => {
     res.json({
       results: resultsWithReadStatus,
       totalCount: Math.min(
-        result.totalCount || 0,
+        (result.totalCount || 0) + hostedResults.length,
         resultsWithSimplifiedTitles.length
       ), // Use batch size as total count for pagination purposes
       hasMore: hasMore,
+      sortBy: sortBy === "distance" ? "distance" : "match",
+      facets,
       ...(remaining !== null && { remaining }),
     });
   } catch (error) {
     console.error("Error searching trials:", error);
     res.status(500).json({ error: "Failed to search trials", results: [] });
   }
-});
+}
+router.get("/search/trials", searchTrials);
 
-router.get("/search/publications", async (req, res) => {
+async function searchPublications(req, res) {
   try {
+    // Validate the query before it counts against the search limit
+    let queryAst = null;
+    try {
+      queryAst = parseQueryAST(req.query.q || "");
+      compileToPubMed(queryAst);
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) return sendQueryError(res, error);
+      throw error;
+    }
+
+    // ?sources=pubmed,openalex,semanticscholar,medrxiv,biorxiv (default: the first three)
+    const publicationSources = parsePublicationSources(req.query.sources);
+    if (!publicationSources) {
+      return res.status(400).json({
+        error: `sources must be a comma-separated list of: ${getPublicationSourceNames().join(", ")}`,
+      });
+    }
+
     // Check search limit for anonymous users (browser-based deviceId)
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       if (!limitCheck.canSearch) {
         return res.status(429).json({
@@ -499,6 +679,9 @@ router.get("/search/publications", async (req, res) => {
       userLocation,
       mindate,
       maxdate,
+      sortBy = "relevance", // "relevance" or "evidence"
+      openAccess, // "true" keeps only free-to-read papers
+      includePreprints, // "true" adds medRxiv / bioRxiv preprints, "false" leaves them out
       page = "1",
       pageSize = "9",
     } = req.query;
@@ -514,7 +697,7 @@ router.get("/search/publications", async (req, res) => {
     });
 
     // Build query with ATM-style expansion (MeSH + synonyms) unless user forces field tags
-    const atmQueryMeta = buildATMQuery(q || "");
+    const atmQueryMeta = buildATMQuery(q || "", queryAst);
     let pubmedQuery = atmQueryMeta.pubmedQuery;
 
     // Add location (country) to query if provided and not already in advanced query
@@ -530,22 +713,40 @@ router.get("/search/publications", async (req, res) => {
     // Fetch up to 500 results for sorting (covers ~83 pages with 6 results per page)
     const batchSize = Math.min(500, Math.max(100, requestedPageSize * 50));
 
-    const pubmedResult = await searchPubMed({
-      q: pubmedQuery,
+    // Preprints are opt-in, through includePreprints or by naming a preprint server
+    const withPreprints =
+      includePreprints === "true" ||
+      (includePreprints !== "false" && publicationSources.some(isPreprintSource));
+    const searchSources = withPreprints
+      ? [...new Set([...publicationSources, ...getPublicationSourceNames().filter(isPreprintSource)])]
+      : publicationSources;
+
+    // PubMed gets the compiled query; the other sources get its plain terms,
+    // and only when those say the same thing
+    const searchResult = await searchPublicationsFederated({
+      pubmedQuery,
+      text: extractQueryTerms(queryAst).join(" "),
+      plainQuery: isPlainTermQuery(queryAst),
       mindate: mindate || "",
       maxdate: maxdate || "",
-      page: 1, // Always fetch from page 1 for the batch
-      pageSize: batchSize, // Fetch larger batch for sorting
+      limit: batchSize, // Fetch larger batch for sorting
+      sources: searchSources,
+      includePreprints: withPreprints,
     });
 
     console.log(
-      "PubMed result count:",
-      pubmedResult.totalCount,
+      "Publication result count:",
+      searchResult.totalCount,
       "items fetched:",
-      pubmedResult.items?.length
+      searchResult.items?.length
     );
 
-    const allResults = pubmedResult.items || [];
+    // Facet counts over the whole batch; article type and MeSH major topic
+    // selections are multi-select filters
+    const { items: allResults, facets } = applyPublicationFacets(
+      searchResult.items || [],
+      parsePublicationFacetFilters(req.query)
+    );
 
     // Build user profile for matching
     let userProfile = null;
@@ -627,7 +828,7 @@ router.get("/search/publications", async (req, res) => {
 
     // Layer 5: Rank by query relevance FIRST, then other factors
     // Sort priority: Query relevance > NCT linkage > recency > profile match (matching trials backend)
-    const sortedResults = scoredResults.sort((a, b) => {
+    let sortedResults = scoredResults.sort((a, b) => {
       // First: Query relevance (PRIMARY - most important)
       const aQuery = a.queryRelevanceScore || 0;
       const bQuery = b.queryRelevanceScore || 0;
@@ -648,6 +849,20 @@ router.get("/search/publications", async (req, res) => {
       return (b.matchPercentage || -1) - (a.matchPercentage || -1);
     });
 
+    // sortBy=evidence re-ranks by evidence level, query relevance, citation counts and recency
+    if (sortBy === "evidence") {
+      sortedResults = await rankPublicationsByEvidence(sortedResults);
+    }
+
+    // openAccess=true needs the whole batch resolved before paginating;
+    // otherwise only the page being returned is resolved below
+    const freeToReadOnly = openAccess === "true";
+    if (freeToReadOnly) {
+      sortedResults = (await attachOpenAccess(sortedResults)).filter(
+        (publication) => publication.openAccess === true
+      );
+    }
+
     // Simplify titles for all publications in parallel (only for the batch we fetched)
     // This adds simplified titles to each publication object
     const resultsWithSimplifiedTitles = await Promise.all(
@@ -675,16 +890,29 @@ router.get("/search/publications", async (req, res) => {
     // Paginate the sorted results
     const startIndex = (requestedPage - 1) * requestedPageSize;
     const endIndex = startIndex + requestedPageSize;
-    const paginatedResults = resultsWithSimplifiedTitles.slice(
+    let paginatedResults = resultsWithSimplifiedTitles.slice(
       startIndex,
       endIndex
     );
+    if (!freeToReadOnly) {
+      paginatedResults = await attachOpenAccess(paginatedResults);
+    }
+    if (withPreprints) {
+      paginatedResults = await attachPublishedVersions(paginatedResults);
+    }
+
+    // Results without a PMID (OpenAlex / Semantic Scholar only) are keyed by
+    // DOI or source id; itemId tells the client what to mark as read
+    paginatedResults = paginatedResults.map((publication) => ({
+      ...publication,
+      itemId: publicationItemId(publication),
+    }));
 
     // Add read status for signed-in users (only for paginated results to reduce DB queries)
     let resultsWithReadStatus = paginatedResults;
     if (req.user && req.user._id) {
       const publicationIds = paginatedResults
-        .map((p) => p.pmid || p.id || p._id)
+        .map((p) => p.itemId)
         .filter(Boolean);
       if (publicationIds.length > 0) {
         const readItems = await ReadItem.find({
@@ -696,21 +924,19 @@ router.get("/search/publications", async (req, res) => {
         const readItemIds = new Set(readItems.map((r) => r.itemId));
         resultsWithReadStatus = paginatedResults.map((publication) => ({
           ...publication,
-          isRead: readItemIds.has(
-            String(publication.pmid || publication.id || publication._id)
-          ),
+          isRead: Boolean(publication.itemId) && readItemIds.has(publication.itemId),
         }));
       }
     }
 
     // Increment search count for anonymous users only after results are successfully loaded and processed
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       await incrementSearchCount(req);
     }
 
     // Get remaining searches for anonymous users
     let remaining = null;
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       remaining = limitCheck.remaining;
     }
@@ -722,12 +948,17 @@ router.get("/search/publications", async (req, res) => {
     res.json({
       results: resultsWithReadStatus,
       totalCount: Math.min(
-        pubmedResult.totalCount || 0,
+        searchResult.totalCount || 0,
         resultsWithSimplifiedTitles.length
       ), // Use batch size as total count for pagination purposes
       page: requestedPage,
       pageSize: requestedPageSize,
       hasMore: hasMore,
+      sortBy: sortBy === "evidence" ? "evidence" : "relevance",
+      openAccess: freeToReadOnly,
+      includePreprints: withPreprints,
+      sources: searchResult.sources,
+      facets,
       ...(remaining !== null && { remaining }),
     });
   } catch (error) {
@@ -739,12 +970,13 @@ router.get("/search/publications", async (req, res) => {
       hasMore: false,
     });
   }
-});
+}
+router.get("/search/publications", searchPublications);
 
-router.get("/search/experts", async (req, res) => {
+async function searchExperts(req, res) {
   try {
     // Check search limit for anonymous users (browser-based deviceId)
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       if (!limitCheck.canSearch) {
         return res.status(429).json({
@@ -812,11 +1044,14 @@ router.get("/search/experts", async (req, res) => {
       expertsQuery = `${q.trim()} global`;
     }
 
-    // Use Gemini to find researchers based on the search query
-    const experts = await findResearchersWithGemini(expertsQuery);
+    // Use Gemini to find researchers based on the search query, then attach
+    // identities already stored for them
+    const experts = await linkExternalExperts(
+      await findResearchersWithGemini(expertsQuery)
+    );
 
     // Increment search count for anonymous users after successful search
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       await incrementSearchCount(req);
     }
 
@@ -898,20 +1133,22 @@ router.get("/search/experts", async (req, res) => {
     }
 
     // Calculate match percentages if user profile is available
+    const { expertMatch: expertMatchWeights } = await getRankingConfig();
     const resultsWithMatch = userProfile
       ? experts.map((expert) => {
-          const match = calculateExpertMatch(expert, userProfile);
+          const match = calculateExpertMatch(expert, userProfile, expertMatchWeights);
           return {
             ...expert,
             matchPercentage: match.matchPercentage,
             matchExplanation: match.matchExplanation,
+            matchBreakdown: match.matchBreakdown,
           };
         })
       : experts;
 
     // Get remaining searches for anonymous users
     let remaining = null;
-    if (!req.user) {
+    if (countsAgainstSearchLimit(req)) {
       const limitCheck = await checkSearchLimit(req);
       remaining = limitCheck.remaining;
     }
@@ -940,6 +1177,158 @@ router.get("/search/experts", async (req, res) => {
       results: [],
     });
   }
+}
+router.get("/search/experts", searchExperts);
+
+// Entity types /search/all can run, in response order
+const UNIFIED_SEARCH_TYPES = ["trials", "publications", "experts", "threads"];
+const UNIFIED_SEARCH_TIMEOUT_MS = 25000;
+
+// Run a search handler in-process and resolve with its status and JSON body
+function runSearchHandler(handler, req, query) {
+  const subRequest = {
+    query,
+    user: req.user,
+    headers: req.headers,
+    searchLimitHandled: true,
+  };
+  const response = new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    Promise.resolve(handler(subRequest, res)).catch(reject);
+  });
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("Search timed out")), UNIFIED_SEARCH_TIMEOUT_MS);
+  });
+  return Promise.race([response, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One query across trials, publications, experts and community threads.
+// Counts as a single search against the anonymous limit; a failing group is
+// reported in its own entry without failing the others.
+// ?types=trials,publications limits the groups; ?limit= is results per group
+router.get("/search/all", async (req, res) => {
+  try {
+    const { q = "", types, limit = "5" } = req.query;
+    if (!q.trim()) {
+      return res.status(400).json({ error: "Search query is required" });
+    }
+
+    const requestedTypes = types
+      ? String(types).split(",").map((t) => t.trim()).filter(Boolean)
+      : UNIFIED_SEARCH_TYPES;
+    const unknownTypes = requestedTypes.filter((t) => !UNIFIED_SEARCH_TYPES.includes(t));
+    if (unknownTypes.length > 0 || requestedTypes.length === 0) {
+      return res.status(400).json({
+        error: `types must be a comma-separated list of: ${UNIFIED_SEARCH_TYPES.join(", ")}`,
+      });
+    }
+    const perGroup = Math.min(Math.max(parseInt(limit, 10) || 5, 1), 20);
+
+    if (!req.user) {
+      const limitCheck = await checkSearchLimit(req);
+      if (!limitCheck.canSearch) {
+        return res.status(429).json({
+          error:
+            limitCheck.message ||
+            "You've used all your free searches! Sign in to continue searching.",
+          remaining: 0,
+          groups: {},
+          showSignUpPrompt: limitCheck.showSignUpPrompt,
+        });
+      }
+    }
+
+    // Profile and location parameters are shared by every sub-search
+    const shared = {};
+    for (const key of ["location", "userId", "conditions", "keywords", "userLocation"]) {
+      if (req.query[key] !== undefined) shared[key] = req.query[key];
+    }
+    const pageQuery = { ...shared, q, page: "1", pageSize: String(perGroup) };
+
+    const searches = {
+      trials: async () => {
+        const { status, body } = await runSearchHandler(searchTrials, req, pageQuery);
+        return { status, body, results: body.results, total: body.totalCount };
+      },
+      publications: async () => {
+        const { status, body } = await runSearchHandler(searchPublications, req, pageQuery);
+        return { status, body, results: body.results, total: body.totalCount };
+      },
+      experts: async () => {
+        const { status, body } = await runSearchHandler(searchExperts, req, { ...shared, q });
+        const results = body.results || [];
+        return { status, body, results: results.slice(0, perGroup), total: results.length };
+      },
+      threads: async () => {
+        if (q.trim().length < 2) return { status: 200, results: [], total: 0 };
+        const { threads, total } = await searchThreads({ q, page: 1, limit: perGroup });
+        return { status: 200, results: threads, total };
+      },
+    };
+
+    const settled = await Promise.allSettled(
+      requestedTypes.map((type) => searches[type]())
+    );
+
+    const groups = {};
+    requestedTypes.forEach((type, index) => {
+      const outcome = settled[index];
+      if (outcome.status === "fulfilled" && outcome.value.status < 400) {
+        groups[type] = {
+          ok: true,
+          results: outcome.value.results || [],
+          total: outcome.value.total ?? (outcome.value.results || []).length,
+        };
+        return;
+      }
+      const error =
+        outcome.status === "rejected"
+          ? `Failed to search ${type}`
+          : outcome.value.body?.error || `Failed to search ${type}`;
+      console.error(
+        `Error in unified ${type} search:`,
+        outcome.status === "rejected" ? outcome.reason : error
+      );
+      groups[type] = {
+        ok: false,
+        results: [],
+        total: 0,
+        error,
+        ...(outcome.value?.body?.queryError && { queryError: outcome.value.body.queryError }),
+      };
+    });
+
+    const anySucceeded = Object.values(groups).some((group) => group.ok);
+
+    // One search against the anonymous limit, and only if something came back
+    let remaining = null;
+    if (!req.user) {
+      if (anySucceeded) await incrementSearchCount(req);
+      const limitCheck = await checkSearchLimit(req);
+      remaining = limitCheck.remaining;
+    }
+
+    res.status(anySucceeded ? 200 : 502).json({
+      query: q,
+      groups,
+      ...(!anySucceeded && { error: "All searches failed" }),
+      ...(remaining !== null && { remaining }),
+    });
+  } catch (error) {
+    console.error("Error in unified search:", error);
+    res.status(500).json({ error: "Failed to run search", groups: {} });
+  }
 });
 
 // New endpoint to search for experts on the platform (from database)
@@ -999,6 +1388,8 @@ router.get("/search/experts/platform", async (req, res) => {
             : null,
           available: researcher.available || false,
           isVerified: researcher.isVerified || false,
+          // Claimed external expert record, so clients can merge duplicates
+          externalExpertId: researcher.externalExpertId || null,
           // Store raw location for filtering
           _locationObj: locationObj,
           // Store raw data for matching
@@ -1113,13 +1504,15 @@ router.get("/search/experts/platform", async (req, res) => {
     }
 
     // Calculate match percentages if user profile is available
+    const { expertMatch: expertMatchWeights } = await getRankingConfig();
     const resultsWithMatch = userProfile
       ? experts.map((expert) => {
-          const match = calculateExpertMatch(expert, userProfile);
+          const match = calculateExpertMatch(expert, userProfile, expertMatchWeights);
           return {
             ...expert,
             matchPercentage: match.matchPercentage,
             matchExplanation: match.matchExplanation,
+            matchBreakdown: match.matchBreakdown,
           };
         })
       : experts;
@@ -1224,8 +1617,15 @@ router.get("/search/expert/publications", async (req, res) => {
 // New endpoint to get comprehensive expert profile
 router.get("/expert/profile", async (req, res) => {
   try {
-    const { name, affiliation, location, orcid, biography, researchInterests } =
-      req.query;
+    const {
+      name,
+      affiliation,
+      location,
+      orcid,
+      biography,
+      researchInterests,
+      externalExpertId,
+    } = req.query;
 
     if (!name || !name.trim()) {
       return res.status(400).json({ error: "Expert name is required" });
@@ -1253,6 +1653,7 @@ router.get("/expert/profile", async (req, res) => {
       orcid: orcid || null,
       biography: biography || null,
       researchInterests: parsedResearchInterests,
+      externalExpertId: externalExpertId || null,
     };
 
     const profile = await getExpertProfile(expertData);
@@ -1328,6 +1729,11 @@ router.get("/search/trial/:nctId", async (req, res) => {
       });
     }
 
+    // Keep the change-tracking snapshot current without delaying the response
+    recordTrialSnapshot(trial).catch((error) =>
+      console.error(`Error recording snapshot for ${cleanNctId}:`, error)
+    );
+
     res.json({ trial });
   } catch (error) {
     console.error("Error fetching trial details:", error);
@@ -1398,7 +1804,8 @@ router.get("/search/publication/:pmid", async (req, res) => {
       });
     }
 
-    res.json({ publication });
+    const [publicationWithAccess] = await attachOpenAccess([publication]);
+    res.json({ publication: publicationWithAccess });
   } catch (error) {
     console.error("Error fetching publication details:", error);
     res.status(500).json({
@@ -1408,6 +1815,33 @@ router.get("/search/publication/:pmid", async (req, res) => {
   }
 });
 
+// Similar articles, citing papers and references for a PMID, with a graph for rendering.
+// Signed-in users get each paper scored against their own profile.
+router.get("/search/publication/:pmid/related", async (req, res) => {
+  try {
+    const pmid = req.params.pmid?.trim();
+    if (!/^\d+$/.test(pmid || "")) {
+      return res.status(400).json({ error: "A numeric PMID is required" });
+    }
+
+    const userProfile = req.user
+      ? await Profile.findOne({ userId: req.user._id }).lean()
+      : null;
+
+    const related = await getRelatedPublications(pmid, { userProfile });
+    if (!related) {
+      return res
+        .status(404)
+        .json({ error: `Publication with ID ${pmid} not found` });
+    }
+
+    res.json(related);
+  } catch (error) {
+    console.error("Error fetching related publications:", error);
+    res.status(500).json({ error: "Failed to fetch related publications" });
+  }
+});
+
 // Endpoint to fetch simplified publication details by PMID
 router.get("/search/publication/:pmid/simplified", async (req, res) => {
   try {
@@ -1417,6 +1851,14 @@ router.get("/search/publication/:pmid/simplified", async (req, res) => {
       return res.status(400).json({ error: "PMID is required" });
     }
 
+    // ?level=grade6|grade10|clinician (default grade10)
+    const level = normalizeReadingLevel(req.query.level);
+    if (!level) {
+      return res.status(400).json({
+        error: `level must be one of: ${Object.keys(READING_LEVELS).join(", ")}`,
+      });
+    }
+
     // Clean up PMID (remove whitespace)
     const cleanPmid = pmid.trim();
 
@@ -1430,12 +1872,15 @@ router.get("/search/publication/:pmid/simplified", async (req, res) => {
       });
     }
 
-    // Simplify publication details using AI
-    const simplifiedResult = await simplifyPublicationDetails(publication);
+    // Simplify publication details using AI (cached per PMID + reading level)
+    const simplifiedResult = await getPublicationDigest(publication, level);
 
     res.json({
       publication: simplifiedResult.publication,
       simplified: simplifiedResult.simplified,
+      readingLevel: simplifiedResult.readingLevel,
+      digest: simplifiedResult.publication.simplifiedDetails?.digest || null,
+      cached: simplifiedResult.cached,
     });
   } catch (error) {
     console.error("Error fetching simplified publication details:", error);
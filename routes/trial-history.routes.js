@@ -0,0 +1,71 @@
+import { Router } from "express";
+import { TrialSnapshot } from "../models/TrialSnapshot.js";
+import { TrialChange } from "../models/TrialChange.js";
+import { refreshFavoritedTrials } from "../services/trialTracking.service.js";
+
+const router = Router();
+
+// Scheduled refresh of favorited trials (Vercel cron, see vercel.json)
+router.get("/trial-history/refresh", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.replace("Bearer ", "");
+  if (!secret || token !== secret) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const results = await refreshFavoritedTrials();
+    res.json({
+      ok: true,
+      processed: results.length,
+      changed: results.filter((r) => r.changed).length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error refreshing favorited trials:", error);
+    res.status(500).json({ error: "Failed to refresh trials" });
+  }
+});
+
+// Status and field-level change history for a trial, as stored. Snapshots are
+// taken when a trial's detail page is viewed and refreshed by the cron above.
+router.get("/search/trial/:nctId/history", async (req, res) => {
+  try {
+    const cleanNctId = req.params.nctId.trim().toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const snapshot = await TrialSnapshot.findOne({ nctId: cleanNctId }).lean();
+    if (!snapshot) {
+      return res.status(404).json({
+        error: `No history recorded yet for trial ${cleanNctId}`,
+        history: [],
+      });
+    }
+
+    const history = await TrialChange.find({ nctId: cleanNctId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      nctId: cleanNctId,
+      title: snapshot.title,
+      current: snapshot.data,
+      trackedSince: snapshot.createdAt,
+      lastCheckedAt: snapshot.fetchedAt,
+      lastChangedAt: snapshot.lastChangedAt || null,
+      statusHistory: history
+        .flatMap((h) =>
+          h.changes
+            .filter((c) => c.field === "status")
+            .map((c) => ({ from: c.before, to: c.after, changedAt: h.createdAt }))
+        ),
+      history,
+    });
+  } catch (error) {
+    console.error("Error fetching trial history:", error);
+    res.status(500).json({ error: "Failed to fetch trial history", history: [] });
+  }
+});
+
+export default router;
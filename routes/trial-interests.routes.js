@@ -0,0 +1,263 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import { TrialInterest } from "../models/TrialInterest.js";
+import { Trial } from "../models/Trial.js";
+import { Profile } from "../models/Profile.js";
+import { Notification } from "../models/Notification.js";
+import { verifySession } from "../middleware/auth.js";
+
+const router = Router();
+
+const AGE_RANGES = ["under 18", "18-29", "30-39", "40-49", "50-59", "60-69", "70+"];
+const TRIAGE_STATUSES = ["accepted", "declined", "contacted"];
+// Trials in these lifecycle states accept new interest registrations
+const OPEN_TRIAL_STATUSES = ["published", "recruiting"];
+
+// Register interest in a CuraLink-hosted trial (patient)
+router.post("/trials/:trialId/interest", verifySession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    const { consent = {}, ageRange, message } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+    if (req.user.role !== "patient") {
+      return res
+        .status(403)
+        .json({ error: "Only patients can register interest in trials" });
+    }
+    if (consent.ageRange && !AGE_RANGES.includes(ageRange)) {
+      return res.status(400).json({
+        error: `ageRange must be one of ${AGE_RANGES.join(", ")}`,
+      });
+    }
+
+    const trial = await Trial.findById(trialId).lean();
+    if (!trial || trial.status === "draft") {
+      return res.status(404).json({ error: "Trial not found" });
+    }
+    if (!OPEN_TRIAL_STATUSES.includes(trial.status)) {
+      return res
+        .status(400)
+        .json({ error: "This trial is no longer accepting interest" });
+    }
+    // Trials without an owning researcher have nobody to triage interest
+    if (!trial.ownerResearcherId) {
+      return res
+        .status(409)
+        .json({ error: "This trial isn't accepting interest" });
+    }
+    if (trial.ownerResearcherId.toString() === req.user._id.toString()) {
+      return res
+        .status(400)
+        .json({ error: "Cannot register interest in your own trial" });
+    }
+
+    const existing = await TrialInterest.findOne({
+      trialId,
+      patientId: req.user._id,
+    });
+    if (existing && existing.status !== "withdrawn") {
+      return res
+        .status(400)
+        .json({ error: "You have already registered interest in this trial" });
+    }
+
+    // Only copy the profile fields the patient consented to share
+    const profile = await Profile.findOne({ userId: req.user._id }).lean();
+    const patientProfile = profile?.patient || {};
+    const consentFlags = {
+      conditions: Boolean(consent.conditions),
+      location: Boolean(consent.location),
+      ageRange: Boolean(consent.ageRange),
+    };
+    const sharedProfile = {
+      conditions: consentFlags.conditions ? patientProfile.conditions || [] : [],
+      location: consentFlags.location ? patientProfile.location || {} : {},
+      ageRange: consentFlags.ageRange ? ageRange : undefined,
+    };
+
+    const fields = {
+      researcherId: trial.ownerResearcherId,
+      message: message?.trim() || undefined,
+      consent: consentFlags,
+      sharedProfile,
+      status: "new",
+      researcherNote: undefined,
+      respondedAt: undefined,
+    };
+
+    // A withdrawn registration is reopened rather than duplicated
+    let interest;
+    if (existing) {
+      existing.set(fields);
+      interest = await existing.save();
+    } else {
+      interest = await TrialInterest.create({
+        trialId,
+        patientId: req.user._id,
+        ...fields,
+      });
+    }
+
+    await Notification.create({
+      userId: trial.ownerResearcherId,
+      type: "trial_interest",
+      relatedUserId: req.user._id,
+      relatedItemId: interest._id,
+      relatedItemType: "trial_interest",
+      title: "New Trial Interest",
+      message: `${req.user.username || "A patient"} is interested in "${trial.title}"`,
+      metadata: {
+        trialId: trial._id.toString(),
+        trialTitle: trial.title,
+        interestId: interest._id.toString(),
+      },
+    });
+
+    res.json({ ok: true, interest });
+  } catch (error) {
+    console.error("Error registering trial interest:", error);
+    res.status(500).json({ error: "Failed to register interest" });
+  }
+});
+
+// Withdraw interest (patient)
+router.delete("/trials/:trialId/interest", verifySession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+
+    const interest = await TrialInterest.findOneAndUpdate(
+      { trialId, patientId: req.user._id, status: { $ne: "withdrawn" } },
+      { status: "withdrawn" },
+      { new: true }
+    );
+    if (!interest) {
+      return res.status(404).json({ error: "Interest not found" });
+    }
+
+    res.json({ ok: true, interest });
+  } catch (error) {
+    console.error("Error withdrawing trial interest:", error);
+    res.status(500).json({ error: "Failed to withdraw interest" });
+  }
+});
+
+// Trials the current patient has registered interest in
+router.get("/trial-interests/mine", verifySession, async (req, res) => {
+  try {
+    const interests = await TrialInterest.find({ patientId: req.user._id })
+      .populate("trialId", "title status phase location")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ interests });
+  } catch (error) {
+    console.error("Error fetching trial interests:", error);
+    res.status(500).json({ error: "Failed to fetch trial interests" });
+  }
+});
+
+// Researcher triage inbox for interest in their trials
+router.get("/trial-interests/inbox", verifySession, async (req, res) => {
+  try {
+    const { status, trialId } = req.query;
+    const query = {
+      researcherId: req.user._id,
+      status: { $ne: "withdrawn" },
+    };
+    if (status) query.status = status;
+    if (trialId && mongoose.Types.ObjectId.isValid(trialId)) {
+      query.trialId = trialId;
+    }
+
+    const interests = await TrialInterest.find(query)
+      .populate("patientId", "username")
+      .populate("trialId", "title status")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const statusCounts = await TrialInterest.aggregate([
+      { $match: { researcherId: req.user._id, status: { $ne: "withdrawn" } } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      interests,
+      counts: Object.fromEntries(statusCounts.map((c) => [c._id, c.count])),
+    });
+  } catch (error) {
+    console.error("Error fetching trial interest inbox:", error);
+    res.status(500).json({ error: "Failed to fetch trial interest inbox" });
+  }
+});
+
+// Triage an interest registration (owning researcher)
+router.patch("/trial-interests/:interestId", verifySession, async (req, res) => {
+  try {
+    const { interestId } = req.params;
+    const { status, note } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(interestId)) {
+      return res.status(400).json({ error: "Invalid interest ID" });
+    }
+    if (!TRIAGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${TRIAGE_STATUSES.join(", ")}`,
+      });
+    }
+
+    const interest = await TrialInterest.findById(interestId);
+    if (!interest) {
+      return res.status(404).json({ error: "Interest not found" });
+    }
+    if (interest.researcherId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to update this interest" });
+    }
+    if (interest.status === "withdrawn") {
+      return res
+        .status(400)
+        .json({ error: "The patient has withdrawn this interest" });
+    }
+
+    const previousStatus = interest.status;
+    interest.status = status;
+    interest.respondedAt = new Date();
+    if (note !== undefined) interest.researcherNote = note;
+    await interest.save();
+
+    // Let the patient know about accept/decline decisions
+    if (status !== previousStatus && (status === "accepted" || status === "declined")) {
+      const trial = await Trial.findById(interest.trialId).select("title").lean();
+      await Notification.create({
+        userId: interest.patientId,
+        type: status === "accepted" ? "trial_interest_accepted" : "trial_interest_declined",
+        relatedUserId: req.user._id,
+        relatedItemId: interest._id,
+        relatedItemType: "trial_interest",
+        title: status === "accepted" ? "Trial Interest Accepted" : "Trial Interest Declined",
+        message:
+          status === "accepted"
+            ? `The research team for "${trial?.title || "a trial"}" would like to follow up with you`
+            : `The research team for "${trial?.title || "a trial"}" is unable to move forward with your interest`,
+        metadata: {
+          trialId: interest.trialId.toString(),
+          trialTitle: trial?.title,
+          interestId: interest._id.toString(),
+        },
+      });
+    }
+
+    res.json({ ok: true, interest });
+  } catch (error) {
+    console.error("Error updating trial interest:", error);
+    res.status(500).json({ error: "Failed to update trial interest" });
+  }
+});
+
+export default router;
@@ -1,30 +1,318 @@
 import { Router } from "express";
+import mongoose from "mongoose";
 import { Trial } from "../models/Trial.js";
+import { Profile } from "../models/Profile.js";
+import { verifySession, optionalSession } from "../middleware/auth.js";
+import {
+  validateTrialPayload,
+  getPublishErrors,
+  canTransition,
+  TRIAL_STATUS_TRANSITIONS,
+  PUBLIC_TRIAL_STATUSES,
+} from "../services/hostedTrial.service.js";
+import {
+  compareTrials,
+  parseCompareIds,
+  MIN_COMPARE_TRIALS,
+  MAX_COMPARE_TRIALS,
+} from "../services/trialComparison.service.js";
+import {
+  importTrialFromClinicalTrials,
+  syncImportedTrial,
+} from "../services/trialImport.service.js";
 
 const router = Router();
 
-// Create
-router.post("/trials", async (req, res) => {
-  const payload = req.body || {};
-  if (!payload.title) return res.status(400).json({ error: "title required" });
-  const trial = await Trial.create(payload);
-  res.json({ ok: true, trial });
+// Compare 2-4 ClinicalTrials.gov trials side by side
+// ?ids=NCT...,NCT...&ai=true&userLocation={"city":"Boston","country":"United States"}
+router.get("/trials/compare", async (req, res) => {
+  try {
+    const { ids, ai, userId, userLocation } = req.query;
+    const { nctIds, invalid } = parseCompareIds(ids);
+
+    let location = null;
+    if (userLocation) {
+      try {
+        location = typeof userLocation === "string" ? JSON.parse(userLocation) : userLocation;
+      } catch {
+        return res.status(400).json({ error: "userLocation must be valid JSON" });
+      }
+    }
+
+    if (invalid.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Invalid NCT IDs: ${invalid.join(", ")}` });
+    }
+    if (nctIds.length < MIN_COMPARE_TRIALS || nctIds.length > MAX_COMPARE_TRIALS) {
+      return res.status(400).json({
+        error: `Provide between ${MIN_COMPARE_TRIALS} and ${MAX_COMPARE_TRIALS} different NCT IDs`,
+      });
+    }
+
+    const profileUserId = req.user?._id || userId;
+    const userProfile = profileUserId
+      ? await Profile.findOne({ userId: profileUserId }).lean()
+      : null;
+
+    const comparison = await compareTrials(nctIds, {
+      userProfile,
+      userLocation: location,
+      ai: ai === "true" || ai === true,
+    });
+
+    if (comparison.trials.length < MIN_COMPARE_TRIALS) {
+      return res.status(404).json({
+        error: `Trials not found: ${comparison.notFound.join(", ")}`,
+        ...comparison,
+      });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error("Error comparing trials:", error);
+    res.status(500).json({ error: "Failed to compare trials" });
+  }
+});
+
+function isOwner(trial, user) {
+  return Boolean(
+    user && trial.ownerResearcherId?.toString() === user._id.toString()
+  );
+}
+
+// Create a draft trial owned by the signed-in researcher
+router.post("/trials", verifySession, async (req, res) => {
+  try {
+    if (req.user.role !== "researcher") {
+      return res
+        .status(403)
+        .json({ error: "Only researchers can create trials" });
+    }
+
+    const { errors, value } = validateTrialPayload(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const trial = await Trial.create({
+      ...value,
+      ownerResearcherId: req.user._id,
+      status: "draft",
+      statusHistory: [{ from: null, to: "draft", changedAt: new Date() }],
+    });
+    res.json({ ok: true, trial });
+  } catch (error) {
+    console.error("Error creating trial:", error);
+    res.status(500).json({ error: "Failed to create trial" });
+  }
 });
 
-// Update
-router.put("/trials/:trialId", async (req, res) => {
-  const { trialId } = req.params;
-  const payload = req.body || {};
-  const trial = await Trial.findByIdAndUpdate(trialId, payload, { new: true });
-  res.json({ ok: true, trial });
+// Import a ClinicalTrials.gov study by NCT ID as a trial owned by the researcher
+router.post("/trials/import", verifySession, async (req, res) => {
+  try {
+    if (req.user.role !== "researcher") {
+      return res
+        .status(403)
+        .json({ error: "Only researchers can import trials" });
+    }
+
+    const result = await importTrialFromClinicalTrials(
+      req.body?.nctId,
+      req.user._id
+    );
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.existingTrialId && { existingTrialId: result.existingTrialId }),
+      });
+    }
+
+    res.json({ ok: true, trial: result.trial });
+  } catch (error) {
+    console.error("Error importing trial:", error);
+    res.status(500).json({ error: "Failed to import trial" });
+  }
+});
+
+// Refresh an imported trial from ClinicalTrials.gov and report divergences
+// Body: { overwrite: true } replaces local edits with the registry values
+router.post("/trials/:trialId/sync", verifySession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+
+    const trial = await Trial.findById(trialId);
+    if (!trial) {
+      return res.status(404).json({ error: "Trial not found" });
+    }
+    if (!isOwner(trial, req.user)) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to sync this trial" });
+    }
+
+    const result = await syncImportedTrial(trial, {
+      overwrite: req.body?.overwrite === true,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    console.error("Error syncing trial:", error);
+    res.status(500).json({ error: "Failed to sync trial" });
+  }
 });
 
-// List by owner
-router.get("/trials", async (req, res) => {
-  const { ownerResearcherId } = req.query;
-  const q = ownerResearcherId ? { ownerResearcherId } : {};
-  const trials = await Trial.find(q).sort({ createdAt: -1 });
-  res.json({ trials });
+// Update trial details (owner only; status changes go through /status)
+router.put("/trials/:trialId", verifySession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+
+    const trial = await Trial.findById(trialId);
+    if (!trial) {
+      return res.status(404).json({ error: "Trial not found" });
+    }
+    if (!isOwner(trial, req.user)) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to edit this trial" });
+    }
+    if (trial.status === "closed") {
+      return res.status(400).json({ error: "Closed trials cannot be edited" });
+    }
+    if (req.body?.status !== undefined && req.body.status !== trial.status) {
+      return res.status(400).json({
+        error: "Use POST /trials/:trialId/status to change a trial's status",
+      });
+    }
+
+    const { errors, value } = validateTrialPayload(req.body || {}, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    trial.set(value);
+    if (trial.status !== "draft") {
+      const publishErrors = getPublishErrors(trial);
+      if (publishErrors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: publishErrors[0], errors: publishErrors });
+      }
+    }
+    await trial.save();
+
+    res.json({ ok: true, trial });
+  } catch (error) {
+    console.error("Error updating trial:", error);
+    res.status(500).json({ error: "Failed to update trial" });
+  }
+});
+
+// Move a trial through draft -> published -> recruiting -> closed
+router.post("/trials/:trialId/status", verifySession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    const { status } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+
+    const trial = await Trial.findById(trialId);
+    if (!trial) {
+      return res.status(404).json({ error: "Trial not found" });
+    }
+    if (!isOwner(trial, req.user)) {
+      return res
+        .status(403)
+        .json({ error: "Not authorized to change this trial's status" });
+    }
+    if (!canTransition(trial.status, status)) {
+      const allowed = TRIAL_STATUS_TRANSITIONS[trial.status] || [];
+      return res.status(400).json({
+        error: `Cannot change status from ${trial.status} to ${status}`,
+        allowedTransitions: allowed,
+      });
+    }
+    if (trial.status === "draft") {
+      const publishErrors = getPublishErrors(trial);
+      if (publishErrors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: publishErrors[0], errors: publishErrors });
+      }
+    }
+
+    const now = new Date();
+    trial.statusHistory.push({ from: trial.status, to: status, changedAt: now });
+    trial.status = status;
+    if (status === "published" && !trial.publishedAt) trial.publishedAt = now;
+    if (status === "closed") trial.closedAt = now;
+    await trial.save();
+
+    res.json({ ok: true, trial });
+  } catch (error) {
+    console.error("Error changing trial status:", error);
+    res.status(500).json({ error: "Failed to change trial status" });
+  }
+});
+
+// List trials; drafts are only included for their owner
+router.get("/trials", optionalSession, async (req, res) => {
+  try {
+    const { ownerResearcherId, status } = req.query;
+    if (ownerResearcherId && !mongoose.isValidObjectId(ownerResearcherId)) {
+      return res.status(400).json({ error: "Invalid owner ID" });
+    }
+    const q = ownerResearcherId ? { ownerResearcherId } : {};
+
+    const viewingOwnTrials =
+      ownerResearcherId &&
+      req.user &&
+      req.user._id.toString() === String(ownerResearcherId);
+    const visibleStatuses = viewingOwnTrials
+      ? Object.keys(TRIAL_STATUS_TRANSITIONS)
+      : PUBLIC_TRIAL_STATUSES;
+    q.status = status
+      ? { $in: String(status).split(",").filter((s) => visibleStatuses.includes(s)) }
+      : { $in: visibleStatuses };
+
+    const trials = await Trial.find(q).sort({ createdAt: -1 });
+    res.json({ trials });
+  } catch (error) {
+    console.error("Error fetching trials:", error);
+    res.status(500).json({ error: "Failed to fetch trials" });
+  }
+});
+
+// Get a single hosted trial
+router.get("/trials/:trialId", optionalSession, async (req, res) => {
+  try {
+    const { trialId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(trialId)) {
+      return res.status(400).json({ error: "Invalid trial ID" });
+    }
+
+    const trial = await Trial.findById(trialId);
+    if (!trial || (trial.status === "draft" && !isOwner(trial, req.user))) {
+      return res.status(404).json({ error: "Trial not found" });
+    }
+
+    res.json({ trial, isCuraLinkHosted: true });
+  } catch (error) {
+    console.error("Error fetching trial:", error);
+    res.status(500).json({ error: "Failed to fetch trial" });
+  }
 });
 
 export default router;
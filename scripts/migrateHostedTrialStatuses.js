@@ -0,0 +1,89 @@
+/**
+ * Script to move hosted trials created before trial lifecycle states onto them.
+ * Free-form or missing statuses become published, recruiting or closed (never
+ * draft, so trials that were public stay listed), and the change is recorded
+ * in statusHistory. Trials without an owner are listed, since nobody can edit
+ * them until ownerResearcherId is set by hand.
+ *
+ * Run with: node scripts/migrateHostedTrialStatuses.js
+ * Add --dry-run to only print what would change
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { connectMongo } from "../config/mongo.js";
+import { Trial } from "../models/Trial.js";
+import { TRIAL_STATUS_TRANSITIONS } from "../services/hostedTrial.service.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env file from server directory (parent of scripts directory)
+dotenv.config({ path: join(__dirname, "..", ".env") });
+
+const LIFECYCLE_STATUSES = Object.keys(TRIAL_STATUS_TRANSITIONS);
+
+// Old free-form statuses (often copied from ClinicalTrials.gov) by keyword
+const RECRUITING_PATTERN = /^(recruiting|enrolling|active|open)/;
+const CLOSED_PATTERN = /(complete|closed|terminated|withdrawn|suspended|ended|inactive)/;
+
+function mapLegacyStatus(status) {
+  const normalized = String(status || "")
+    .toLowerCase()
+    .replace(/[^a-z]+/g, " ")
+    .trim();
+  if (LIFECYCLE_STATUSES.includes(normalized)) return normalized;
+  if (/^not yet recruiting/.test(normalized)) return "published";
+  if (/not recruiting/.test(normalized)) return "closed";
+  if (CLOSED_PATTERN.test(normalized)) return "closed";
+  if (RECRUITING_PATTERN.test(normalized)) return "recruiting";
+  return "published";
+}
+
+async function migrateHostedTrialStatuses() {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    await connectMongo();
+
+    // Only trials the lifecycle doesn't know yet; validators are skipped
+    // because these documents predate them
+    const legacy = await Trial.find({ status: { $nin: LIFECYCLE_STATUSES } })
+      .select("status createdAt publishedAt closedAt")
+      .lean();
+    console.log(`Found ${legacy.length} hosted trials with a legacy status`);
+
+    const counts = {};
+    for (const trial of legacy) {
+      const status = mapLegacyStatus(trial.status);
+      counts[status] = (counts[status] || 0) + 1;
+      console.log(`  ${trial._id}: ${JSON.stringify(trial.status ?? null)} -> ${status}`);
+      if (dryRun) continue;
+
+      const changedAt = new Date();
+      const update = {
+        $set: { status },
+        $push: { statusHistory: { from: trial.status || null, to: status, changedAt } },
+      };
+      if (!trial.publishedAt) update.$set.publishedAt = trial.createdAt || changedAt;
+      if (status === "closed" && !trial.closedAt) update.$set.closedAt = changedAt;
+      await Trial.updateOne({ _id: trial._id }, update, { runValidators: false });
+    }
+    console.log(`\n${dryRun ? "Would set" : "Set"} statuses:`, counts);
+
+    const ownerless = await Trial.find({ ownerResearcherId: null })
+      .select("_id title")
+      .lean();
+    if (ownerless.length > 0) {
+      console.log(`\n⚠️  ${ownerless.length} trials have no ownerResearcherId and can't be edited:`);
+      for (const trial of ownerless) console.log(`  ${trial._id}: ${trial.title}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error migrating hosted trial statuses:", error);
+    process.exit(1);
+  }
+}
+
+migrateHostedTrialStatuses();
@@ -0,0 +1,71 @@
+/**
+ * Script to re-run all due saved trial searches and emit new_trial_match notifications
+ *
+ * Run with: node scripts/runSavedSearches.js
+ * Offline (stubbed ClinicalTrials.gov client):
+ *   node scripts/runSavedSearches.js --stub scripts/fixtures/clinicalTrialsStub.json
+ * Add --all to ignore nextRunAt and re-run every saved search
+ */
+
+import dotenv from "dotenv";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+import { connectMongo } from "../config/mongo.js";
+import {
+  createStubTrialSearch,
+  runDueSavedSearches,
+} from "../services/savedSearch.service.js";
+import { searchClinicalTrials } from "../services/clinicalTrials.service.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env file from server directory (parent of scripts directory)
+dotenv.config({ path: join(__dirname, "..", ".env") });
+
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+async function runSavedSearches() {
+  try {
+    let searchFn = searchClinicalTrials;
+    const stubPath = getArgValue("--stub");
+    if (stubPath) {
+      const trials = JSON.parse(fs.readFileSync(resolve(stubPath), "utf-8"));
+      searchFn = createStubTrialSearch(trials);
+      console.log(`Using stubbed ClinicalTrials.gov client (${trials.length} trials)`);
+    }
+
+    console.log("Connecting to MongoDB...");
+    await connectMongo();
+
+    const results = await runDueSavedSearches({
+      searchFn,
+      limit: 1000,
+      includeNotDue: process.argv.includes("--all"),
+    });
+
+    for (const r of results) {
+      if (r.error) {
+        console.log(`❌ ${r.savedSearchId}: ${r.error}`);
+      } else {
+        console.log(
+          `✅ ${r.savedSearchId}: ${r.totalCount} results, ${r.newCount} new${
+            r.baseline ? " (baseline run)" : ""
+          }`
+        );
+      }
+    }
+    console.log(`\nProcessed ${results.length} saved searches`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error running saved searches:", error);
+    process.exit(1);
+  }
+}
+
+runSavedSearches();
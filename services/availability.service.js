@@ -0,0 +1,224 @@
+/**
+ * Availability Service
+ * Researchers' weekly meeting hours (in their own time zone, minus blackout
+ * dates) expanded into bookable half-hour slots, less slots already held by
+ * pending or accepted meeting requests
+ */
+
+import { ExpertAvailability } from "../models/ExpertAvailability.js";
+import { MeetingRequest } from "../models/MeetingRequest.js";
+import {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  addDays,
+} from "../utils/timeZone.js";
+
+export const SLOT_MINUTES = 30;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+export const DEFAULT_SLOT_WINDOW_DAYS = 14;
+const MAX_SLOT_WINDOW_DAYS = 60;
+const MAX_WEEKLY_SLOTS = 50;
+const MAX_BLACKOUT_DATES = 366;
+// Requests in these states hold their slot
+const ACTIVE_STATUSES = ["pending", "accepted"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+export const slotKeyFor = (expertId, slotStart) => `${expertId}:${slotStart.toISOString()}`;
+
+/**
+ * Validate availability settings from a request body
+ * @returns {Object} - { availability } or { error }
+ */
+export function parseAvailabilityInput({ timeZone, weeklySlots = [], blackoutDates = [] } = {}) {
+  if (!isValidTimeZone(timeZone)) {
+    return { error: "timeZone must be an IANA time zone such as America/Toronto" };
+  }
+  if (!Array.isArray(weeklySlots) || weeklySlots.length > MAX_WEEKLY_SLOTS) {
+    return { error: `weeklySlots must be a list of up to ${MAX_WEEKLY_SLOTS} entries` };
+  }
+  if (!Array.isArray(blackoutDates) || blackoutDates.length > MAX_BLACKOUT_DATES) {
+    return { error: `blackoutDates must be a list of up to ${MAX_BLACKOUT_DATES} dates` };
+  }
+
+  const slots = [];
+  for (const slot of weeklySlots) {
+    const dayOfWeek = Number(slot?.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: "dayOfWeek must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    if (!TIME_PATTERN.test(slot.start || "") || !TIME_PATTERN.test(slot.end || "")) {
+      return { error: "Slot start and end must be HH:MM times" };
+    }
+    const start = toMinutes(slot.start);
+    // "00:00" as an end means midnight
+    const end = slot.end === "00:00" ? 24 * 60 : toMinutes(slot.end);
+    if (start % SLOT_MINUTES !== 0 || end % SLOT_MINUTES !== 0) {
+      return { error: `Slot times must be on the hour or half hour` };
+    }
+    if (end <= start) {
+      return { error: "Slot end must be after its start" };
+    }
+    slots.push({ dayOfWeek, start: slot.start, end: slot.end });
+  }
+
+  const dates = [...new Set(blackoutDates)];
+  if (dates.some((date) => !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)))) {
+    return { error: "blackoutDates must be YYYY-MM-DD dates" };
+  }
+
+  return {
+    availability: {
+      timeZone,
+      weeklySlots: slots.sort((a, b) => a.dayOfWeek - b.dayOfWeek || toMinutes(a.start) - toMinutes(b.start)),
+      blackoutDates: dates.sort(),
+    },
+  };
+}
+
+// Half-hour start times ("HH:MM") the weekly schedule offers on a weekday
+function slotTimesFor(availability, weekday) {
+  const times = new Set();
+  for (const slot of availability.weeklySlots || []) {
+    if (slot.dayOfWeek !== weekday) continue;
+    const end = slot.end === "00:00" ? 24 * 60 : toMinutes(slot.end);
+    for (let minute = toMinutes(slot.start); minute + SLOT_MINUTES <= end; minute += SLOT_MINUTES) {
+      times.add(toTime(minute));
+    }
+  }
+  return [...times].sort();
+}
+
+/**
+ * Every slot the schedule offers between from and to, before bookings
+ * @returns {Array} - Slot start instants, ascending
+ */
+export function expandAvailability(availability, { from, to }) {
+  const { timeZone } = availability;
+  const blackouts = new Set(availability.blackoutDates || []);
+  const starts = [];
+
+  // Walk local calendar days, one either side to cover offset differences
+  const lastDate = addDays(getZonedParts(to, timeZone).date, 1);
+  for (let date = addDays(getZonedParts(from, timeZone).date, -1); date <= lastDate; date = addDays(date, 1)) {
+    if (blackouts.has(date)) continue;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    for (const time of slotTimesFor(availability, weekday)) {
+      const start = zonedTimeToDate(date, time, timeZone);
+      // Skip wall-clock times a DST change moved onto another slot
+      if (getZonedParts(start, timeZone).time !== time) continue;
+      if (start >= from && start < to) starts.push(start);
+    }
+  }
+  return starts.sort((a, b) => a - b);
+}
+
+/**
+ * Whether the schedule offers a slot starting at this instant
+ */
+export function isScheduledSlot(availability, slotStart) {
+  const { date, time, weekday } = getZonedParts(slotStart, availability.timeZone);
+  if ((availability.blackoutDates || []).includes(date)) return false;
+  if (slotStart.getUTCSeconds() !== 0 || slotStart.getUTCMilliseconds() !== 0) return false;
+  if (!slotTimesFor(availability, weekday).includes(time)) return false;
+  // A wall-clock time repeated by a DST change is only offered once
+  return zonedTimeToDate(date, time, availability.timeZone).getTime() === slotStart.getTime();
+}
+
+/**
+ * Open slots for an expert, excluding held and past ones
+ * @returns {Promise<Object|null>} - { timeZone, slotMinutes, slots: [{ start, end }] },
+ *   or null when the expert hasn't set up availability
+ */
+export async function listOpenSlots(expertId, { from, to, now = new Date() } = {}) {
+  const availability = await ExpertAvailability.findOne({ userId: expertId }).lean();
+  if (!availability) return null;
+
+  const windowStart = new Date(Math.max((from || now).getTime(), now.getTime()));
+  const maxEnd = windowStart.getTime() + MAX_SLOT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const windowEnd = new Date(
+    Math.min(
+      (to || new Date(windowStart.getTime() + DEFAULT_SLOT_WINDOW_DAYS * 24 * 60 * 60 * 1000)).getTime(),
+      maxEnd
+    )
+  );
+  if (windowEnd <= windowStart) {
+    return { timeZone: availability.timeZone, slotMinutes: SLOT_MINUTES, slots: [] };
+  }
+
+  const held = await MeetingRequest.find({
+    expertId,
+    status: { $in: ACTIVE_STATUSES },
+    $or: [
+      { slotStart: { $gte: new Date(windowStart.getTime() - SLOT_MS), $lt: windowEnd } },
+      // Meetings scheduled by hand block the slots they overlap
+      { status: "accepted", meetingDate: { $gte: new Date(windowStart.getTime() - SLOT_MS), $lt: windowEnd } },
+    ],
+  })
+    .select("status slotStart meetingDate")
+    .lean();
+  const busy = held.flatMap((request) =>
+    [request.slotStart, request.status === "accepted" && request.meetingDate]
+      .filter(Boolean)
+      .map((date) => date.getTime())
+  );
+
+  const slots = expandAvailability(availability, { from: windowStart, to: windowEnd })
+    .filter((start) =>
+      busy.every((busyStart) => busyStart + SLOT_MS <= start.getTime() || busyStart >= start.getTime() + SLOT_MS)
+    )
+    .map((start) => ({
+      start: start.toISOString(),
+      end: new Date(start.getTime() + SLOT_MS).toISOString(),
+    }));
+
+  return { timeZone: availability.timeZone, slotMinutes: SLOT_MINUTES, slots };
+}
+
+/**
+ * Check a requested slot against the expert's schedule
+ * @returns {Promise<Object>} - { slotStart, slotEnd, slotKey } or { error, conflict }
+ */
+export async function validateSlotRequest(expertId, slotStartInput, now = new Date()) {
+  const slotStart = new Date(slotStartInput);
+  if (Number.isNaN(slotStart.getTime())) {
+    return { error: "slotStart must be a date and time", conflict: false };
+  }
+  if (slotStart <= now) {
+    return { error: "That time has already passed", conflict: false };
+  }
+
+  const availability = await ExpertAvailability.findOne({ userId: expertId }).lean();
+  if (!availability) {
+    return { error: "This expert hasn't set up bookable times", conflict: false };
+  }
+  if (!isScheduledSlot(availability, slotStart)) {
+    return { error: "That time isn't one of the expert's open slots", conflict: false };
+  }
+
+  // A hand-scheduled meeting may cover the slot without holding its key
+  const overlapping = await MeetingRequest.exists({
+    expertId,
+    status: "accepted",
+    meetingDate: { $gt: new Date(slotStart.getTime() - SLOT_MS), $lt: new Date(slotStart.getTime() + SLOT_MS) },
+  });
+  if (overlapping) {
+    return { error: "That time slot has already been booked", conflict: true };
+  }
+
+  return {
+    slotStart,
+    slotEnd: new Date(slotStart.getTime() + SLOT_MS),
+    slotKey: slotKeyFor(expertId, slotStart),
+  };
+}
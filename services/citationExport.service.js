@@ -0,0 +1,263 @@
+/**
+ * Citation Export Service
+ * Formats PubMed publications as RIS, BibTeX or CSL-JSON for reference managers
+ */
+
+import { fetchPubMedRecords } from "./pubmed.service.js";
+
+export const CITATION_FORMATS = {
+  ris: { contentType: "application/x-research-info-systems", extension: "ris" },
+  bibtex: { contentType: "application/x-bibtex", extension: "bib" },
+  "csl-json": {
+    contentType: "application/vnd.citationstyles.csl+json",
+    extension: "json",
+  },
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function monthNumber(month) {
+  if (!month) return null;
+  const numeric = parseInt(month, 10);
+  if (numeric >= 1 && numeric <= 12) return numeric;
+  const index = MONTHS.indexOf(String(month).slice(0, 3).toLowerCase());
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Split a display name into family/given parts.
+ * PubMed search results use "Given Family"; URL-added items use "Family Given".
+ */
+function parseAuthorName(name, familyFirst = false) {
+  const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return { family: parts[0] };
+  return familyFirst
+    ? { family: parts[0], given: parts.slice(1).join(" ") }
+    : { family: parts[parts.length - 1], given: parts.slice(0, -1).join(" ") };
+}
+
+/**
+ * Normalize a publication (PubMed record or stored favorite item) into the
+ * fields every format needs
+ */
+export function toCitationRecord(publication) {
+  const journalInfo = publication.journalInfo || {};
+  // fetchPublicationById lists authors as "Family Given"
+  const familyFirst = Boolean(publication.link && !publication.authorList);
+  const authors = publication.authorList?.length
+    ? publication.authorList.map((a) =>
+        a.collective ? { literal: a.collective } : { family: a.family, given: a.given }
+      )
+    : (publication.authors || [])
+        .map((name) => parseAuthorName(name, familyFirst))
+        .filter(Boolean);
+
+  const pages = journalInfo.pages || publication.pages || "";
+  const [startPage, endPage] = pages.split("-").map((p) => p.trim());
+  const year = parseInt(publication.year, 10);
+  const doi = (publication.doi || "").replace(/^https?:\/\/(dx\.)?doi\.org\//i, "");
+  const pmid = publication.pmid ? String(publication.pmid) : "";
+
+  return {
+    pmid,
+    pmcid: publication.pmcid || "",
+    doi,
+    title: (publication.title || "").replace(/\s+/g, " ").trim(),
+    authors,
+    journal: journalInfo.title || publication.journal || publication.publication || "",
+    journalAbbreviation: journalInfo.isoAbbreviation || "",
+    issn: journalInfo.issn || "",
+    volume: journalInfo.volume || publication.volume || "",
+    issue: journalInfo.issue || publication.issue || "",
+    pages,
+    startPage: startPage || "",
+    endPage: endPage || "",
+    year: Number.isInteger(year) ? year : null,
+    month: monthNumber(publication.month),
+    day: parseInt(publication.day, 10) || null,
+    abstract: publication.abstract || "",
+    keywords: publication.keywords || [],
+    url:
+      publication.url ||
+      publication.link ||
+      (pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : ""),
+  };
+}
+
+function risAuthor(author) {
+  if (author.literal) return author.literal;
+  return author.given ? `${author.family}, ${author.given}` : author.family;
+}
+
+export function toRIS(records) {
+  return records
+    .map((r) => {
+      const lines = [["TY", "JOUR"], ["TI", r.title]];
+      r.authors.forEach((a) => lines.push(["AU", risAuthor(a)]));
+      lines.push(
+        ["T2", r.journal],
+        ["JO", r.journalAbbreviation || r.journal],
+        ["PY", r.year],
+        [
+          "DA",
+          r.year &&
+            [r.year, r.month && String(r.month).padStart(2, "0"), r.day && String(r.day).padStart(2, "0")]
+              .filter(Boolean)
+              .join("/"),
+        ],
+        ["VL", r.volume],
+        ["IS", r.issue],
+        ["SP", r.startPage],
+        ["EP", r.endPage],
+        ["SN", r.issn],
+        ["DO", r.doi],
+        ["AN", r.pmid],
+        ["DB", r.pmid ? "PubMed" : ""],
+        ["UR", r.url],
+        ["AB", r.abstract.replace(/\s*\n+\s*/g, " ")]
+      );
+      r.keywords.forEach((k) => lines.push(["KW", k]));
+      lines.push(["ER", ""]);
+      return lines
+        .filter(([tag, value]) => tag === "ER" || (value !== null && value !== undefined && value !== ""))
+        .map(([tag, value]) => `${tag}  - ${value}`.trimEnd())
+        .join("\r\n");
+    })
+    .join("\r\n\r\n") + "\r\n";
+}
+
+// BibTeX treats braces and a few characters specially
+function escapeBibtex(value) {
+  return String(value)
+    .replace(/[{}]/g, "")
+    .replace(/([&%$#_])/g, "\\$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bibtexKey(record, usedKeys) {
+  const firstAuthor = record.authors[0];
+  const name = (firstAuthor?.family || firstAuthor?.literal || "ref")
+    .normalize("NFD")
+    .replace(/[^A-Za-z]/g, "");
+  const base = `${name || "ref"}${record.year || ""}${record.pmid ? `_${record.pmid}` : ""}`;
+  let key = base;
+  for (let n = 2; usedKeys.has(key); n++) key = `${base}_${n}`;
+  usedKeys.add(key);
+  return key;
+}
+
+export function toBibTeX(records) {
+  const usedKeys = new Set();
+  return records
+    .map((r) => {
+      const authors = r.authors
+        .map((a) =>
+          // Group authors are braced so BibTeX does not split them into names
+          a.literal
+            ? `{${escapeBibtex(a.literal)}}`
+            : escapeBibtex(a.given ? `${a.family}, ${a.given}` : a.family)
+        )
+        .join(" and ");
+      const fields = [
+        ["title", r.title],
+        ["author", authors],
+        ["journal", r.journal],
+        ["year", r.year],
+        ["month", r.month && MONTHS[r.month - 1]],
+        ["volume", r.volume],
+        ["number", r.issue],
+        ["pages", r.pages.replace(/-+/, "--")],
+        ["issn", r.issn],
+        ["doi", r.doi],
+        ["pmid", r.pmid],
+        ["pmcid", r.pmcid],
+        ["url", r.url],
+        ["abstract", r.abstract],
+        ["keywords", r.keywords.join(", ")],
+      ].filter(([, value]) => value !== null && value !== undefined && value !== "");
+
+      const body = fields
+        .map(([name, value]) =>
+          // Authors are escaped above; URLs and DOIs are kept verbatim
+          name === "author"
+            ? `  ${name} = {${value}}`
+            : ["url", "doi"].includes(name)
+            ? `  ${name} = {${String(value).replace(/[{}]/g, "")}}`
+            : `  ${name} = {${escapeBibtex(value)}}`
+        )
+        .join(",\n");
+      return `@article{${bibtexKey(r, usedKeys)},\n${body}\n}`;
+    })
+    .join("\n\n") + "\n";
+}
+
+export function toCSLJSON(records) {
+  const items = records.map((r, index) => {
+    const dateParts = [r.year, r.month, r.month && r.day].filter(Boolean);
+    const item = {
+      id: r.pmid ? `pmid:${r.pmid}` : r.doi ? `doi:${r.doi}` : `item-${index + 1}`,
+      type: "article-journal",
+      title: r.title,
+      author: r.authors,
+      "container-title": r.journal,
+      "container-title-short": r.journalAbbreviation,
+      ISSN: r.issn,
+      volume: r.volume,
+      issue: r.issue,
+      page: r.pages,
+      DOI: r.doi,
+      PMID: r.pmid,
+      PMCID: r.pmcid,
+      URL: r.url,
+      abstract: r.abstract,
+      keyword: r.keywords.join(", "),
+      ...(r.year && { issued: { "date-parts": [dateParts] } }),
+    };
+    return Object.fromEntries(
+      Object.entries(item).filter(([, value]) => value !== "" && value !== null && value !== undefined)
+    );
+  });
+  return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Format publications in one of CITATION_FORMATS
+ * @returns {Object} - { body, contentType, extension }
+ */
+export function formatCitations(publications, format) {
+  const records = publications.map(toCitationRecord);
+  const { contentType, extension } = CITATION_FORMATS[format];
+  const body =
+    format === "ris"
+      ? toRIS(records)
+      : format === "bibtex"
+      ? toBibTeX(records)
+      : toCSLJSON(records);
+  return { body, contentType, extension };
+}
+
+export function normalizeCitationFormat(format) {
+  const value = String(format || "ris").toLowerCase();
+  if (value === "bib") return "bibtex";
+  if (value === "csl" || value === "json") return "csl-json";
+  return CITATION_FORMATS[value] ? value : null;
+}
+
+/**
+ * Resolve stored publications to full PubMed records where they have a PMID,
+ * keeping the stored item for anything PubMed does not return
+ */
+export async function resolvePublicationsForExport(items) {
+  const pmidOf = (item) => {
+    const id = String(item.pmid || item.id || "").trim();
+    return /^\d+$/.test(id) ? id : null;
+  };
+
+  const pmids = items.map(pmidOf).filter(Boolean);
+  const records = pmids.length > 0 ? await fetchPubMedRecords(pmids) : [];
+  const byPmid = new Map(records.map((r) => [r.pmid, r]));
+
+  return items.map((item) => byPmid.get(pmidOf(item)) || item);
+}
@@ -7,6 +7,15 @@ import {
   mapToMeSHTerminology,
 } from "./medicalTerminology.service.js";
 import { searchPubMed } from "./pubmed.service.js";
+import {
+  parseEligibilityCriteria,
+  matchesStructuredEligibility,
+} from "./eligibilityCriteria.service.js";
+import {
+  parseLocation,
+  isPreciseLocation,
+  findNearestSite,
+} from "../utils/geography.js";
 
 const cache = new Map();
 const TTL_MS = 1000 * 60 * 5; // 5 minutes
@@ -29,12 +38,16 @@ function getCache(key) {
  * Layer 2: Actionability Filter - Hard Constraints
  * Filters trials by recruitment status, geographic radius, age, and sex
  */
-function filterTrialsByEligibility(trials, filters) {
+export function filterTrialsByEligibility(trials, filters) {
   if (
     !filters ||
     (!filters.eligibilitySex &&
       !filters.eligibilityAgeMin &&
       !filters.eligibilityAgeMax &&
+      (filters.eligibilityEcog ?? "") === "" &&
+      (filters.eligibilityPriorLines ?? "") === "" &&
+      !filters.eligibilityPregnant &&
+      !filters.eligibilityBiomarkers &&
       !filters.radiusMiles)
   ) {
     return trials;
@@ -90,22 +103,24 @@ function filterTrialsByEligibility(trials, filters) {
       }
     }
 
+    // Filter by structured eligibility facts (ECOG, prior lines, pregnancy, biomarkers)
+    if (
+      !matchesStructuredEligibility(eligibility.structured, {
+        ecog: filters.eligibilityEcog,
+        priorLines: filters.eligibilityPriorLines,
+        pregnant: filters.eligibilityPregnant,
+        biomarkers: filters.eligibilityBiomarkers,
+      })
+    ) {
+      return false;
+    }
+
     // Filter by geographic radius (Layer 2)
-    // Note: This is a simplified check - in production, you'd use geocoding
-    // For now, we'll check if location strings match (city/state level)
-    if (filters.radiusMiles && filters.userLocation && trial.location) {
-      // Simplified: if user location is provided, check if trial location contains it
-      // In production, use actual geocoding and distance calculation
-      const userLocStr = typeof filters.userLocation === "string"
-        ? filters.userLocation.toLowerCase()
-        : `${filters.userLocation.city || ""} ${filters.userLocation.state || ""}`.toLowerCase();
-      const trialLocStr = trial.location.toLowerCase();
-      
-      // If locations don't match at all, exclude (simplified check)
-      // In production, calculate actual distance using coordinates
-      if (userLocStr && !trialLocStr.includes(userLocStr.split(",")[0])) {
-        // Don't filter out if we can't determine - this is a fallback
-        // In production, you'd have coordinates and calculate actual distance
+    // Uses the nearest-site distance from annotateNearestSite; trials whose
+    // sites could not be geocoded are kept rather than guessed away
+    if (filters.radiusMiles && typeof trial.distanceMiles === "number") {
+      if (trial.distanceMiles > parseFloat(filters.radiusMiles)) {
+        return false;
       }
     }
 
@@ -113,6 +128,35 @@ function filterTrialsByEligibility(trials, filters) {
   });
 }
 
+// Statuses searched when the user hasn't picked any
+export const DEFAULT_TRIAL_STATUS = "RECRUITING,NOT_YET_RECRUITING";
+
+const PHASE_VALUE = /^(EARLY_PHASE1|PHASE[1-4]|NA)$/;
+
+const normalizePhase = (value) => {
+  const phase = String(value).trim().toUpperCase().replace(/\s+/g, "");
+  return phase === "N/A" ? "NA" : phase;
+};
+
+/**
+ * Phase selections ("PHASE2", "PHASE2,PHASE3" or an array) as
+ * ClinicalTrials.gov phase values; unknown values are dropped
+ */
+function parsePhaseFilter(phase) {
+  if (!phase) return [];
+  const values = (Array.isArray(phase) ? phase : [phase])
+    .flatMap((p) => String(p).split(","))
+    .map(normalizePhase);
+  return [...new Set(values.filter((p) => PHASE_VALUE.test(p)))];
+}
+
+// Whether a trial ("PHASE1, PHASE2", "N/A", ...) is in any of the phases
+function matchesPhases(trial, phases) {
+  if (!trial.phase || trial.phase === "N/A") return phases.includes("NA");
+  const trialPhases = trial.phase.split(/[,/]/).map(normalizePhase);
+  return trialPhases.some((p) => phases.includes(p));
+}
+
 /**
  * Layer 2: Filter by recruitment status (hard constraint)
  * Only show RECRUITING or NOT_YET_RECRUITING by default
@@ -134,6 +178,43 @@ function filterByRecruitmentStatus(trials, statusFilter) {
   return trials;
 }
 
+/**
+ * Layer 2: Attach the trial site nearest to the user and its distance in miles
+ */
+export function annotateNearestSite(trials, origin) {
+  if (!origin) return trials;
+
+  return trials.map((trial) => {
+    const nearest = findNearestSite(origin, trial.sites);
+    return {
+      ...trial,
+      nearestSite: nearest
+        ? { ...nearest.site, distanceMiles: nearest.distanceMiles }
+        : null,
+      distanceMiles: nearest ? nearest.distanceMiles : null,
+    };
+  });
+}
+
+/**
+ * Resolve a CT.gov site to coordinates, preferring the API geoPoint
+ * and falling back to the offline gazetteer
+ */
+function geocodeSite(loc) {
+  if (
+    typeof loc.geoPoint?.lat === "number" &&
+    typeof loc.geoPoint?.lon === "number"
+  ) {
+    return { lat: loc.geoPoint.lat, lon: loc.geoPoint.lon };
+  }
+  const coords = parseLocation({
+    city: loc.city,
+    state: loc.state,
+    country: loc.country,
+  });
+  return isPreciseLocation(coords) ? coords : null;
+}
+
 /**
  * Layer 3: Calculate biomarker match score
  */
@@ -228,17 +309,22 @@ export async function searchClinicalTrials({
   eligibilitySex,
   eligibilityAgeMin,
   eligibilityAgeMax,
+  eligibilityEcog, // Patient's ECOG performance status (0-5)
+  eligibilityPriorLines, // Patient's number of prior therapy lines
+  eligibilityPregnant, // Exclude trials that exclude pregnancy
+  eligibilityBiomarkers, // Patient's biomarkers; excludes trials requiring others
   page = 1,
   pageSize = 9,
   radiusMiles, // Layer 2: Geographic radius
   userLocation, // Layer 2: User's location for radius calculation
   biomarkers = [], // Layer 3: User's biomarkers (e.g., ["IDH1", "BRCA"])
   keyword, // Layer 3: Additional keyword for biomarker matching
+  queryTerm, // Compiled query-language expression; sent as-is instead of expanding q
 } = {}) {
   // Layer 1: Translation Layer - Expand query with synonyms
   // Only expand if user query is short/simple (1-3 words) to avoid over-expanding complex queries
-  let expandedQuery = q;
-  if (q) {
+  let expandedQuery = queryTerm || q;
+  if (q && !queryTerm) {
     const queryWords = q.trim().split(/\s+/).length;
     // Only expand synonyms for simple queries (1-3 words) to avoid false positives
     // For complex queries, let the API handle the search directly
@@ -286,33 +372,41 @@ export async function searchClinicalTrials({
         : userLocation;
   }
 
+  // Layer 2: Geocode the user's location for nearest-site distances
+  const originCoords = parseLocation(userLocation ? userLocationObj : location);
+  const origin = isPreciseLocation(originCoords) ? originCoords : null;
+
   // Layer 2: Default status filter - only RECRUITING or NOT_YET_RECRUITING
-  const effectiveStatus = status || "RECRUITING,NOT_YET_RECRUITING";
+  const effectiveStatus = status || DEFAULT_TRIAL_STATUS;
+  const phases = parsePhaseFilter(phase);
 
   // Build cache key including all filters (including biomarkers for Layer 3)
   const cacheKey = `ct:${expandedQuery}:${effectiveStatus}:${countryOnly || ""}:${
-    phase || ""
+    phases.join(",")
   }:${eligibilitySex || ""}:${eligibilityAgeMin || ""}:${
     eligibilityAgeMax || ""
-  }:${radiusMiles || ""}:${biomarkers && biomarkers.length > 0 ? biomarkers.join(",") : ""}`;
+  }:${eligibilityEcog ?? ""}:${eligibilityPriorLines ?? ""}:${
+    eligibilityPregnant || ""
+  }:${eligibilityBiomarkers || ""}:${radiusMiles || ""}:${biomarkers && biomarkers.length > 0 ? biomarkers.join(",") : ""}`;
   const cached = getCache(cacheKey);
   if (cached) {
     // Apply all filters
     let filtered = filterByRecruitmentStatus(cached, effectiveStatus);
+    filtered = annotateNearestSite(filtered, origin);
     filtered = filterTrialsByEligibility(filtered, {
       eligibilitySex,
       eligibilityAgeMin,
       eligibilityAgeMax,
+      eligibilityEcog,
+      eligibilityPriorLines,
+      eligibilityPregnant,
+      eligibilityBiomarkers,
       radiusMiles,
-      userLocation: userLocationObj,
     });
 
     // Filter by phase if specified
-    if (phase) {
-      filtered = filtered.filter((trial) => {
-        const trialPhase = trial.phase || "";
-        return trialPhase.toUpperCase().includes(phase.toUpperCase());
-      });
+    if (phases.length > 0) {
+      filtered = filtered.filter((trial) => matchesPhases(trial, phases));
     }
 
     // Apply pagination
@@ -341,6 +435,11 @@ export async function searchClinicalTrials({
     params.set("filter.overallStatus", effectiveStatus);
   }
 
+  // Phase is filtered by ClinicalTrials.gov too, so the 1000 fetched are all in phase
+  if (phases.length > 0) {
+    params.set("filter.advanced", `AREA[Phase](${phases.join(" OR ")})`);
+  }
+
   // Use query.locn for location-based searches
   if (countryOnly) {
     params.set("query.locn", countryOnly);
@@ -387,9 +486,14 @@ export async function searchClinicalTrials({
         const eligibilityModule = protocolSection.eligibilityModule || {};
         const designModule = protocolSection.designModule || {};
         const descriptionModule = protocolSection.descriptionModule || {};
-        const contactsLocationsModule = s.contactsLocationsModule || {};
+        const contactsLocationsModule =
+          protocolSection.contactsLocationsModule ||
+          s.contactsLocationsModule ||
+          {};
         const sponsorCollaboratorsModule =
           protocolSection.sponsorCollaboratorsModule || {};
+        const armsInterventionsModule =
+          protocolSection.armsInterventionsModule || {};
 
         // Extract all locations properly
         const locations =
@@ -398,6 +502,20 @@ export async function searchClinicalTrials({
             return parts.join(", ");
           }) || [];
 
+        // Layer 2: Site coordinates for nearest-site distance
+        const sites =
+          contactsLocationsModule.locations?.map((loc) => {
+            const coords = geocodeSite(loc);
+            return {
+              facility: loc.facility || "",
+              city: loc.city || "",
+              state: loc.state || "",
+              country: loc.country || "",
+              lat: coords ? coords.lat : null,
+              lon: coords ? coords.lon : null,
+            };
+          }) || [];
+
         // Extract eligibility criteria comprehensively
         const eligibility = {
           criteria: eligibilityModule.eligibilityCriteria || "Not specified",
@@ -406,6 +524,9 @@ export async function searchClinicalTrials({
           maximumAge: eligibilityModule.maximumAge || "Not specified",
           healthyVolunteers: eligibilityModule.healthyVolunteers || "Unknown",
           population: eligibilityModule.studyPopulationDescription || "",
+          structured: parseEligibilityCriteria(
+            eligibilityModule.eligibilityCriteria
+          ),
         };
 
         // Extract conditions
@@ -441,6 +562,15 @@ export async function searchClinicalTrials({
         const studyType =
           designModule.studyType || "Unknown"; // INTERVENTIONAL or OBSERVATIONAL
 
+        // Intervention types (DRUG, DEVICE, BEHAVIORAL, ...) for search facets
+        const interventionTypes = [
+          ...new Set(
+            armsInterventionsModule.interventions
+              ?.map((i) => i.type)
+              .filter(Boolean) || []
+          ),
+        ];
+
         // Extract sponsor (for Layer 5)
         const leadSponsor =
           sponsorCollaboratorsModule.leadSponsor?.name || "";
@@ -478,9 +608,11 @@ export async function searchClinicalTrials({
           phase,
           phaseWeight, // Layer 4
           studyType, // Layer 4: INTERVENTIONAL or OBSERVATIONAL
+          interventionTypes,
           conditions,
           location: locations.join("; ") || "Not specified",
           locations, // Detailed locations array
+          sites, // Layer 2: Geocoded sites
           eligibility,
           contacts,
           principalInvestigator: piContact?.name || null, // Layer 5
@@ -505,23 +637,24 @@ export async function searchClinicalTrials({
     const beforeStatusFilter = items.length;
     let filteredItems = filterByRecruitmentStatus(items, effectiveStatus);
     const afterStatusFilter = filteredItems.length;
+    filteredItems = annotateNearestSite(filteredItems, origin);
 
     const beforeEligibilityFilter = filteredItems.length;
     filteredItems = filterTrialsByEligibility(filteredItems, {
       eligibilitySex,
       eligibilityAgeMin,
       eligibilityAgeMax,
+      eligibilityEcog,
+      eligibilityPriorLines,
+      eligibilityPregnant,
+      eligibilityBiomarkers,
       radiusMiles,
-      userLocation: userLocationObj,
     });
     const afterEligibilityFilter = filteredItems.length;
 
     // Filter by phase if specified
-    if (phase) {
-      filteredItems = filteredItems.filter((trial) => {
-        const trialPhase = trial.phase || "";
-        return trialPhase.toUpperCase().includes(phase.toUpperCase());
-      });
+    if (phases.length > 0) {
+      filteredItems = filteredItems.filter((trial) => matchesPhases(trial, phases));
     }
 
     // Layer 3: Boost trials with biomarker matches
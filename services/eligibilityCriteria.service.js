@@ -0,0 +1,407 @@
+/**
+ * Eligibility Criteria Parser
+ * Splits ClinicalTrials.gov free-text eligibility criteria into inclusion/exclusion
+ * lists and extracts structured facts (performance status, prior therapy lines,
+ * lab thresholds, biomarker requirements, pregnancy exclusions).
+ */
+
+import { extractBiomarkers } from "./medicalTerminology.service.js";
+
+const SECTION_HEADING_REGEX =
+  /^\s*(?:key\s+|main\s+|general\s+)?(inclusion|exclusion)\s+criteria\s*:?\s*$/i;
+const INLINE_HEADING_REGEX =
+  /(?:key\s+|main\s+|general\s+)?(inclusion|exclusion)\s+criteria\s*:/gi;
+const BULLET_REGEX = /^\s*(?:[*•\-–·]|\d{1,2}[.)]|[a-z][.)]|\([a-z0-9]{1,2}\))\s+/i;
+
+const NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+};
+
+// Lab tests commonly thresholded in eligibility criteria
+const LAB_TESTS = [
+  { key: "anc", label: "Absolute neutrophil count", pattern: "absolute neutrophil count|\\banc\\b|neutrophils?" },
+  { key: "platelets", label: "Platelets", pattern: "platelets?(?: count)?|\\bplt\\b" },
+  { key: "hemoglobin", label: "Hemoglobin", pattern: "ha?emoglobin|\\bhgb\\b|\\bhb\\b" },
+  { key: "wbc", label: "White blood cell count", pattern: "white blood cells?(?: count)?|\\bwbc\\b|leukocytes?" },
+  { key: "creatinineClearance", label: "Creatinine clearance", pattern: "creatinine clearance|\\bcrcl\\b" },
+  { key: "egfr", label: "Estimated GFR", pattern: "\\begfr\\b(?![- ]?(?:mutation|mutant|tki|inhibitor|positive|negative))|glomerular filtration rate" },
+  { key: "creatinine", label: "Serum creatinine", pattern: "(?:serum )?creatinine(?! clearance)" },
+  { key: "bilirubin", label: "Total bilirubin", pattern: "(?:total )?bilirubin" },
+  { key: "ast", label: "AST", pattern: "\\bast\\b|aspartate aminotransferase|\\bsgot\\b" },
+  { key: "alt", label: "ALT", pattern: "\\balt\\b|alanine aminotransferase|\\bsgpt\\b" },
+  { key: "albumin", label: "Albumin", pattern: "albumin" },
+  { key: "inr", label: "INR", pattern: "\\binr\\b|international normali[sz]ed ratio" },
+];
+
+const OPERATOR_PATTERNS = [
+  { regex: /≥|>=|greater than or equal to|at least|no less than|minimum of|not less than|or (?:greater|higher|more|above)\b/i, op: ">=" },
+  { regex: /≤|<=|less than or equal to|no more than|not more than|maximum of|up to|not exceed|not greater than|or (?:less|lower|fewer|below)\b/i, op: "<=" },
+  { regex: />|greater than|more than|above|exceeding/i, op: ">" },
+  { regex: /<|less than|below/i, op: "<" },
+];
+
+function normalizeCriterion(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function toNumber(token) {
+  if (token === undefined || token === null) return null;
+  const lower = String(token).toLowerCase();
+  if (lower in NUMBER_WORDS) return NUMBER_WORDS[lower];
+  const n = parseFloat(lower.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Negation before a biomarker ("no KRAS mutation") or after it ("EGFR wild-type")
+const NEGATION_BEFORE_REGEX =
+  /\b(?:no|without|absence of|lack of|negative for|not (?:have|has|having|harbou?r|harbou?ring|carry|carrying))\b/i;
+const NEGATION_AFTER_REGEX = /\b(?:wild[- ]?type|wt|negative|non[- ]?mutated|unmutated)\b/i;
+
+function detectOperator(text) {
+  for (const { regex, op } of OPERATOR_PATTERNS) {
+    if (regex.test(text)) return op;
+  }
+  return null;
+}
+
+/**
+ * Split free text into inclusion/exclusion criterion lists
+ */
+export function splitEligibilityCriteria(text = "") {
+  if (!text || typeof text !== "string" || text === "Not specified") {
+    return { inclusion: [], exclusion: [] };
+  }
+
+  // Put inline headings ("...text. Exclusion Criteria: ...") on their own line
+  const normalized = text
+    .replace(/\r\n?/g, "\n")
+    .replace(INLINE_HEADING_REGEX, (match) => `\n${match.trim()}\n`);
+
+  const sections = { inclusion: [], exclusion: [] };
+  let current = "inclusion"; // Text without headings is treated as inclusion criteria
+  let buffer = null;
+
+  const flush = () => {
+    if (buffer) {
+      const criterion = normalizeCriterion(buffer);
+      if (criterion) sections[current].push(criterion);
+    }
+    buffer = null;
+  };
+
+  for (const line of normalized.split("\n")) {
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = line.match(SECTION_HEADING_REGEX);
+    if (heading) {
+      flush();
+      current = heading[1].toLowerCase();
+      continue;
+    }
+
+    if (BULLET_REGEX.test(line)) {
+      flush();
+      buffer = line.replace(BULLET_REGEX, "");
+    } else if (buffer !== null && /^\s+/.test(line)) {
+      // Indented continuation of the previous bullet
+      buffer += ` ${line.trim()}`;
+    } else {
+      flush();
+      buffer = line;
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * ECOG / WHO performance status range allowed by the trial
+ */
+function extractPerformanceStatus(inclusion, exclusion) {
+  const result = { ecogMin: null, ecogMax: null, karnofskyMin: null, source: null };
+  const ecogRegex = /\b(?:ecog|zubrod|who(?= performance status| ps\b))(?:\s*\/\s*who)?[^.;]{0,40}?(?:performance status|\bps\b)?[^.;0-9]{0,25}((?:\d\s*(?:,\s*(?:or|and)\b|,|-|–|to|or|and)\s*)*\d)(?:\s*or\s+(?:less|lower|below|greater|higher|more|above)\b)?/i;
+  const karnofskyRegex = /(?:karnofsky|\bkps\b)[^.;0-9]{0,40}(\d{2,3})\s*%?/i;
+
+  for (const criterion of inclusion) {
+    const match = criterion.match(ecogRegex);
+    if (match && result.ecogMax === null) {
+      const values = (match[1].match(/\d/g) || []).map(Number).filter((n) => n <= 5);
+      if (values.length > 0) {
+        const op = detectOperator(match[0]);
+        if (values.length === 1 && (op === "<=" || op === "<")) {
+          result.ecogMin = 0;
+          result.ecogMax = op === "<" ? values[0] - 1 : values[0];
+        } else {
+          result.ecogMin = Math.min(...values);
+          result.ecogMax = Math.max(...values);
+        }
+        result.source = criterion;
+      }
+    }
+
+    const kps = criterion.match(karnofskyRegex);
+    if (kps && result.karnofskyMin === null) {
+      result.karnofskyMin = parseInt(kps[1], 10);
+    }
+  }
+
+  // Exclusion phrasing: "ECOG performance status >= 3"
+  if (result.ecogMax === null) {
+    for (const criterion of exclusion) {
+      const match = criterion.match(ecogRegex);
+      if (!match) continue;
+      const values = (match[1].match(/\d/g) || []).map(Number).filter((n) => n <= 5);
+      if (values.length === 0) continue;
+      const op = detectOperator(match[0]);
+      const threshold = Math.min(...values);
+      result.ecogMin = 0;
+      result.ecogMax = op === ">" ? threshold : threshold - 1;
+      result.source = criterion;
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Number of prior lines of therapy allowed by the trial
+ */
+function extractPriorTherapyLines(inclusion, exclusion) {
+  const result = { min: null, max: null, treatmentNaive: false, source: null };
+  const count = "(\\d+|one|two|three|four|five|six)";
+  const lines = "(?:prior |previous )?(?:systemic |standard )?(?:lines?|regimens?)(?: of)?(?: (?:systemic )?(?:therapy|treatment|chemotherapy))?";
+
+  const minRegex = new RegExp(`(?:at least|≥|>=|minimum of|a minimum of)\\s*${count}\\s*${lines}`, "i");
+  const maxRegex = new RegExp(`(?:no more than|not more than|up to|≤|<=|maximum of|a maximum of|at most)\\s*${count}\\s*${lines}`, "i");
+  const rangeRegex = new RegExp(`${count}\\s*(?:-|–|to|or)\\s*${count}\\s*${lines}`, "i");
+  const naiveRegex = /treatment[- ]na[iï]ve|no prior (?:systemic )?(?:therapy|treatment|chemotherapy)|previously untreated|chemotherapy[- ]na[iï]ve/i;
+
+  for (const criterion of inclusion) {
+    let match = criterion.match(rangeRegex);
+    if (match && /line|regimen/i.test(match[0])) {
+      result.min = toNumber(match[1]);
+      result.max = toNumber(match[2]);
+      result.source = criterion;
+      continue;
+    }
+    match = criterion.match(minRegex);
+    if (match && result.min === null) {
+      result.min = toNumber(match[1]);
+      result.source = criterion;
+    }
+    match = criterion.match(maxRegex);
+    if (match && result.max === null) {
+      result.max = toNumber(match[1]);
+      result.source = criterion;
+    }
+    if (naiveRegex.test(criterion)) {
+      result.treatmentNaive = true;
+      result.max = 0;
+      result.source = criterion;
+    }
+  }
+
+  // Exclusion phrasing: "More than 2 prior lines of therapy"
+  const moreThanRegex = new RegExp(`(?:more than|greater than|>|≥|>=)\\s*${count}\\s*${lines}`, "i");
+  for (const criterion of exclusion) {
+    const match = criterion.match(moreThanRegex);
+    if (match && result.max === null && /line|regimen/i.test(match[0])) {
+      const n = toNumber(match[1]);
+      result.max = /≥|>=/.test(match[0]) ? n - 1 : n;
+      result.source = criterion;
+    }
+    if (/^(?:any )?prior (?:systemic )?(?:anti-?cancer )?(?:therapy|treatment|chemotherapy)\b/i.test(criterion) && result.max === null) {
+      result.treatmentNaive = true;
+      result.max = 0;
+      result.source = criterion;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lab value thresholds ("Platelets ≥ 100,000/mm3", "AST ≤ 2.5 x ULN")
+ */
+function extractLabThresholds(criteria) {
+  const labs = [];
+  const seen = new Set();
+
+  for (const criterion of criteria) {
+    for (const lab of LAB_TESTS) {
+      if (seen.has(lab.key)) continue;
+      const regex = new RegExp(
+        `(?:${lab.pattern})[^.;:\\d]{0,40}?(≥|>=|≤|<=|>|<|=|greater than or equal to|less than or equal to|at least|no more than|not more than|greater than|less than|more than|up to)?\\s*(\\d+(?:[.,]\\d+)*)\\s*(x|×|times)?\\s*(uln|upper limit of normal|lln|[a-zµμ/%^0-9.]+(?:\\s*/\\s*[a-zµμ0-9.^]+)?)?`,
+        "i"
+      );
+      const match = criterion.match(regex);
+      if (!match) continue;
+
+      const rawValue = match[2].replace(/,(?=\d{3}\b)/g, "");
+      const value = toNumber(rawValue);
+      if (value === null) continue;
+
+      let unit = (match[4] || "").trim();
+      if (/^(?:uln|upper limit of normal)$/i.test(unit)) {
+        unit = "x ULN";
+      } else if (/^lln$/i.test(unit)) {
+        unit = "x LLN";
+      } else if (match[3] && unit) {
+        // Scientific notation units such as "x 10^9/L"
+        unit = `x ${unit}`;
+      }
+
+      const operatorText = match[1] || "";
+      labs.push({
+        test: lab.key,
+        label: lab.label,
+        operator: operatorText ? detectOperator(operatorText) || "=" : null,
+        value,
+        unit: unit || null,
+        text: criterion,
+      });
+      seen.add(lab.key);
+    }
+  }
+
+  return labs;
+}
+
+/**
+ * Pregnancy / breastfeeding / contraception requirements
+ */
+function extractPregnancyRules(inclusion, exclusion) {
+  const pregnancyRegex = /pregnan|breast[- ]?feeding|lactating|nursing/i;
+  const excludedByExclusion = exclusion.some((c) => pregnancyRegex.test(c));
+  const excludedByInclusion = inclusion.some((c) =>
+    /negative (?:serum |urine )?pregnancy test|not (?:be )?pregnant|non-?pregnant/i.test(c)
+  );
+  const contraceptionRequired = [...inclusion, ...exclusion].some((c) =>
+    /contracepti|birth control/i.test(c)
+  );
+
+  return {
+    pregnancyExcluded: excludedByExclusion || excludedByInclusion,
+    breastfeedingExcluded: exclusion.some((c) => /breast[- ]?feeding|lactating|nursing/i.test(c)),
+    contraceptionRequired,
+  };
+}
+
+/**
+ * Biomarkers named in criteria, split by whether the mention is negated.
+ * Clauses are checked separately so "EGFR mutation and ALK negative" keeps EGFR.
+ */
+function extractBiomarkerMentions(criteria) {
+  const positive = new Set();
+  const negated = new Set();
+  for (const criterion of criteria) {
+    for (const clause of criterion.split(/[,;]|\b(?:and|or|but)\b/i)) {
+      const found = extractBiomarkers(clause);
+      if (found.length === 0) continue;
+      const clauseNegated = new Set();
+      const before = clause.match(NEGATION_BEFORE_REGEX);
+      if (before) {
+        extractBiomarkers(clause.slice(before.index)).forEach((b) => clauseNegated.add(b));
+      }
+      const after = clause.match(NEGATION_AFTER_REGEX);
+      if (after) {
+        extractBiomarkers(clause.slice(0, after.index)).forEach((b) => clauseNegated.add(b));
+      }
+      for (const b of found) (clauseNegated.has(b) ? negated : positive).add(b);
+    }
+  }
+  return { positive: [...positive], negated: [...negated] };
+}
+
+/**
+ * Parse eligibility free text into criteria lists and structured facts
+ * @param {string} text - eligibilityModule.eligibilityCriteria
+ * @returns {Object} - { inclusion, exclusion, performanceStatus, priorTherapyLines, labs, biomarkers, pregnancy }
+ */
+export function parseEligibilityCriteria(text = "") {
+  const { inclusion, exclusion } = splitEligibilityCriteria(text);
+
+  // A negated inclusion mention ("EGFR wild-type") excludes carriers; negated
+  // exclusion mentions, and markers both required and negated (cohorts), are dropped
+  const inclusionMentions = extractBiomarkerMentions(inclusion);
+  const exclusionMentions = extractBiomarkerMentions(exclusion);
+  const conflicting = inclusionMentions.positive.filter((b) =>
+    inclusionMentions.negated.includes(b)
+  );
+  const requiredBiomarkers = inclusionMentions.positive.filter((b) => !conflicting.includes(b));
+  const excludedBiomarkers = [
+    ...new Set([...inclusionMentions.negated, ...exclusionMentions.positive]),
+  ].filter((b) => !conflicting.includes(b) && !requiredBiomarkers.includes(b));
+
+  return {
+    inclusion,
+    exclusion,
+    performanceStatus: extractPerformanceStatus(inclusion, exclusion),
+    priorTherapyLines: extractPriorTherapyLines(inclusion, exclusion),
+    labs: extractLabThresholds(inclusion),
+    biomarkers: {
+      required: requiredBiomarkers,
+      excluded: excludedBiomarkers,
+    },
+    pregnancy: extractPregnancyRules(inclusion, exclusion),
+  };
+}
+
+/**
+ * Check a trial's structured eligibility against patient facts.
+ * Unknown trial facts never exclude a trial.
+ * @param {Object} structured - Output of parseEligibilityCriteria
+ * @param {Object} filters - { ecog, priorLines, pregnant, biomarkers }
+ * @returns {boolean}
+ */
+export function matchesStructuredEligibility(structured, filters = {}) {
+  if (!structured) return true;
+
+  const { ecog, priorLines, pregnant, biomarkers } = filters;
+
+  if (ecog !== undefined && ecog !== null && ecog !== "") {
+    const score = parseInt(ecog, 10);
+    const { ecogMin, ecogMax } = structured.performanceStatus || {};
+    if (Number.isFinite(score)) {
+      if (ecogMax !== null && ecogMax !== undefined && score > ecogMax) return false;
+      if (ecogMin !== null && ecogMin !== undefined && score < ecogMin) return false;
+    }
+  }
+
+  if (priorLines !== undefined && priorLines !== null && priorLines !== "") {
+    const lines = parseInt(priorLines, 10);
+    const { min, max } = structured.priorTherapyLines || {};
+    if (Number.isFinite(lines)) {
+      if (max !== null && max !== undefined && lines > max) return false;
+      if (min !== null && min !== undefined && lines < min) return false;
+    }
+  }
+
+  if (pregnant === true || pregnant === "true") {
+    if (structured.pregnancy?.pregnancyExcluded) return false;
+  }
+
+  if (biomarkers !== undefined && biomarkers !== null && biomarkers !== "") {
+    const patientBiomarkers = (Array.isArray(biomarkers) ? biomarkers : String(biomarkers).split(","))
+      .map((b) => b.trim().toUpperCase())
+      .filter(Boolean);
+    const required = structured.biomarkers?.required || [];
+    const excluded = structured.biomarkers?.excluded || [];
+    // Trials requiring a biomarker the patient does not have are excluded
+    if (required.some((b) => !patientBiomarkers.includes(b))) return false;
+    if (excluded.some((b) => patientBiomarkers.includes(b))) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,171 @@
+/**
+ * Evidence Ranking Service
+ * Ranks publications by level of evidence, relevance to the query, citation
+ * impact and recency so on-topic meta-analyses and trials surface ahead of
+ * case reports
+ */
+
+import { fetchCitationCountsByPmid } from "./googleScholar.service.js";
+
+// Evidence hierarchy, strongest first
+export const EVIDENCE_LEVELS = [
+  { level: "systematic_review", label: "Systematic review / meta-analysis", weight: 1.0 },
+  { level: "guideline", label: "Practice guideline", weight: 0.9 },
+  { level: "randomized_controlled_trial", label: "Randomized controlled trial", weight: 0.8 },
+  { level: "clinical_trial", label: "Non-randomized clinical trial", weight: 0.65 },
+  { level: "cohort", label: "Cohort / observational study", weight: 0.5 },
+  { level: "review", label: "Narrative review", weight: 0.4 },
+  { level: "other", label: "Other study", weight: 0.3 },
+  { level: "case_report", label: "Case report", weight: 0.2 },
+];
+
+// How much each component contributes to the evidence score. Relevance keeps
+// a strong study on another topic from outranking an on-topic one; without a
+// query it is left out and the other weights are scaled up.
+export const EVIDENCE_SCORE_WEIGHTS = {
+  evidence: 0.4,
+  relevance: 0.3,
+  citations: 0.15,
+  recency: 0.15,
+};
+
+const COHORT_MESH_TERMS = [
+  "cohort studies",
+  "prospective studies",
+  "retrospective studies",
+  "longitudinal studies",
+  "case-control studies",
+];
+
+/**
+ * Place a publication in the evidence hierarchy from its PubMed article types
+ * and MeSH headings
+ */
+export function classifyEvidenceLevel(publication) {
+  const types = new Set(publication.articleTypes || []);
+  const mesh = (publication.meshTerms || []).map((m) =>
+    (m.descriptor || "").toLowerCase()
+  );
+
+  let level = "other";
+  if (types.has("meta_analysis") || types.has("systematic_review")) {
+    level = "systematic_review";
+  } else if (types.has("guideline")) {
+    level = "guideline";
+  } else if (types.has("randomized_controlled_trial")) {
+    level = "randomized_controlled_trial";
+  } else if (types.has("clinical_trial")) {
+    level = "clinical_trial";
+  } else if (
+    types.has("observational_study") ||
+    mesh.some((term) => COHORT_MESH_TERMS.includes(term)) ||
+    /\bcohort\b/i.test(publication.title || "")
+  ) {
+    level = "cohort";
+  } else if (types.has("case_report")) {
+    level = "case_report";
+  } else if (types.has("review")) {
+    level = "review";
+  }
+
+  return EVIDENCE_LEVELS.find((e) => e.level === level);
+}
+
+// Citations per year since publication, log-scaled so ~100/year scores 1
+function citationScore(citations, year, nowYear) {
+  if (citations === null || citations === undefined) return 0;
+  const age = Number.isInteger(year) ? Math.max(1, nowYear - year + 1) : 1;
+  return Math.min(1, Math.log10(1 + citations / age) / 2);
+}
+
+// Linear decay to 0 over 15 years; unknown years get a low default
+function recencyScore(year, nowYear) {
+  if (!Number.isInteger(year)) return 0.2;
+  return Math.max(0, Math.min(1, 1 - (nowYear - year) / 15));
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score a publication; returns the label and each component so the UI can
+ * explain the ranking
+ * @param {Object} options - { citations, relevance (0-1 query relevance, null without a query), nowYear }
+ */
+export function scoreEvidence(
+  publication,
+  { citations = null, relevance = null, nowYear = new Date().getFullYear() } = {}
+) {
+  const evidenceLevel = classifyEvidenceLevel(publication);
+  const year = parseInt(publication.year, 10);
+  const pubYear = Number.isInteger(year) && year > 1800 ? year : null;
+
+  const components = {
+    evidence: {
+      value: evidenceLevel.weight,
+      weight: EVIDENCE_SCORE_WEIGHTS.evidence,
+    },
+    ...(relevance !== null && {
+      relevance: {
+        value: round(Math.max(0, Math.min(1, relevance))),
+        weight: EVIDENCE_SCORE_WEIGHTS.relevance,
+      },
+    }),
+    citations: {
+      value: round(citationScore(citations, pubYear, nowYear)),
+      count: citations,
+      weight: EVIDENCE_SCORE_WEIGHTS.citations,
+    },
+    recency: {
+      value: round(recencyScore(pubYear, nowYear)),
+      year: pubYear,
+      weight: EVIDENCE_SCORE_WEIGHTS.recency,
+    },
+  };
+
+  const totalWeight = Object.values(components).reduce(
+    (sum, component) => sum + component.weight,
+    0
+  );
+  const score =
+    Object.values(components).reduce(
+      (sum, component) => sum + component.value * component.weight,
+      0
+    ) / totalWeight;
+
+  return {
+    level: evidenceLevel.level,
+    label: evidenceLevel.label,
+    score: round(score),
+    components,
+  };
+}
+
+/**
+ * Attach evidence scores (with OpenAlex citation counts and the search's
+ * queryRelevanceScore) and sort strongest first
+ * @param {Array} publications - PubMed publications from searchPubMed
+ * @returns {Promise<Array>} - Publications with an `evidence` object, sorted
+ */
+export async function rankPublicationsByEvidence(publications) {
+  const citationCounts = await fetchCitationCountsByPmid(
+    publications.map((p) => p.pmid)
+  );
+  const nowYear = new Date().getFullYear();
+
+  return publications
+    .map((publication) => ({
+      ...publication,
+      evidence: scoreEvidence(publication, {
+        citations: citationCounts.has(String(publication.pmid))
+          ? citationCounts.get(String(publication.pmid))
+          : null,
+        relevance: publication.queryTermCount > 0 ? publication.queryRelevanceScore || 0 : null,
+        nowYear,
+      }),
+    }))
+    .sort(
+      (a, b) =>
+        b.evidence.score - a.evidence.score ||
+        (b.queryRelevanceScore || 0) - (a.queryRelevanceScore || 0)
+    );
+}
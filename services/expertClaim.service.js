@@ -0,0 +1,205 @@
+/**
+ * Expert Claim Service
+ * Lets a registered researcher claim the external expert record that search
+ * built for them, proven by a matching ORCID iD (linked through ORCID sign-in)
+ * or a verified email at one of the record's institutions
+ */
+
+import axios from "axios";
+import dotenv from "dotenv";
+import { ExternalExpert } from "../models/ExternalExpert.js";
+import { Favorite } from "../models/Favorite.js";
+import { Profile } from "../models/Profile.js";
+import {
+  normalizeExpertName,
+  normalizeOrcid,
+  matchesExternalExpert,
+} from "./externalExpert.service.js";
+
+dotenv.config();
+
+const OPENALEX_BASE_URL = "https://api.openalex.org";
+const OPENALEX_EMAIL = process.env.OPENALEX_EMAIL || "user@example.com";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Web domains of the institutions OpenAlex lists for an author
+ * @returns {Promise<Array>} - e.g. ["stanford.edu"]
+ */
+async function fetchInstitutionDomains(openAlexId) {
+  const author = await axios.get(`${OPENALEX_BASE_URL}/authors/${openAlexId}`, {
+    params: { mailto: OPENALEX_EMAIL },
+    timeout: 12000,
+  });
+  const institutionIds = [
+    ...(author.data?.last_known_institutions || []),
+    ...(author.data?.affiliations || []).map((a) => a.institution),
+  ]
+    .map((institution) => String(institution?.id || "").split("/").pop())
+    .filter(Boolean);
+  if (institutionIds.length === 0) return [];
+
+  const response = await axios.get(`${OPENALEX_BASE_URL}/institutions`, {
+    params: {
+      filter: `openalex:${[...new Set(institutionIds)].slice(0, 50).join("|")}`,
+      select: "id,homepage_url",
+      per_page: 50,
+      mailto: OPENALEX_EMAIL,
+    },
+    timeout: 12000,
+  });
+  const domains = (response.data?.results || [])
+    .map((institution) => {
+      try {
+        return new URL(institution.homepage_url).hostname.replace(/^www\./, "");
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return [...new Set(domains)];
+}
+
+const emailDomainMatches = (email, domains) => {
+  const emailDomain = String(email || "").split("@")[1]?.toLowerCase();
+  return Boolean(
+    emailDomain &&
+      domains.some((domain) => emailDomain === domain || emailDomain.endsWith(`.${domain}`))
+  );
+};
+
+// Same last name and first initial as one of the record's name variants
+function nameMatchesExpert(username, expert) {
+  const tokens = normalizeExpertName(username).split(" ").filter(Boolean);
+  if (tokens.length < 2) return false;
+  return (expert.nameVariants || []).some((variant) => {
+    const parts = variant.split(" ");
+    return (
+      parts[parts.length - 1] === tokens[tokens.length - 1] && parts[0][0] === tokens[0][0]
+    );
+  });
+}
+
+/**
+ * Work out how (if at all) a user can prove they are an external expert
+ * @param {Object} expert - ExternalExpert record
+ * @param {Object} user - User document
+ * @param {Object} profile - The user's researcher Profile
+ * @returns {Promise<Object>} - { method: "orcid" | "email_domain" | null, reasons }
+ */
+export async function verifyExpertClaim(expert, user, profile) {
+  const reasons = [];
+
+  // Only an iD confirmed through ORCID sign-in counts
+  const profileOrcid = profile?.researcher?.orcidVerified
+    ? normalizeOrcid(profile.researcher.orcid)
+    : null;
+  if (expert.orcid && profileOrcid === expert.orcid) {
+    return { method: "orcid", reasons };
+  }
+  if (!expert.orcid) {
+    reasons.push("This expert has no ORCID iD on record");
+  } else if (!profileOrcid) {
+    reasons.push("Link your ORCID iD by signing in with ORCID to claim with it");
+  } else {
+    reasons.push("Your ORCID iD doesn't match this expert");
+  }
+
+  if (!user.emailVerified) {
+    reasons.push("Verify your email address to claim with an institutional email");
+  } else if (!expert.openAlexId) {
+    reasons.push("This expert has no institution on record to match your email against");
+  } else if (!nameMatchesExpert(user.username, expert)) {
+    reasons.push("Your account name doesn't match this expert's name");
+  } else {
+    let domains = [];
+    try {
+      domains = await fetchInstitutionDomains(expert.openAlexId);
+    } catch (error) {
+      console.error("Error fetching institution domains:", error.message);
+      reasons.push("Couldn't look up this expert's institutions, please try again later");
+      return { method: null, reasons };
+    }
+    if (emailDomainMatches(user.email, domains)) {
+      return { method: "email_domain", reasons: [] };
+    }
+    reasons.push("Your email domain doesn't match this expert's institutions");
+  }
+
+  return { method: null, reasons };
+}
+
+/**
+ * Re-point favorites of the external expert at the claiming researcher. Covers
+ * favorites linked by externalExpertId and older unlinked ones that share an ID
+ * or a name plus affiliation with the record (see matchesExternalExpert).
+ * @returns {Promise<number>} - Favorites updated
+ */
+async function migrateExpertFavorites(expert, userId) {
+  const expertId = String(expert._id);
+  const lastNames = [
+    ...new Set((expert.nameVariants || []).map((variant) => variant.split(" ").pop())),
+  ].filter(Boolean);
+
+  const candidates = await Favorite.find({
+    type: "expert",
+    $or: [
+      { "item.externalExpertId": expertId },
+      ...lastNames.map((lastName) => ({
+        "item.externalExpertId": { $exists: false },
+        "item.name": { $regex: escapeRegex(lastName), $options: "i" },
+      })),
+      ...(expert.orcid
+        ? [{ "item.externalExpertId": { $exists: false }, "item.orcid": expert.orcid }]
+        : []),
+    ],
+  });
+
+  let migrated = 0;
+  for (const favorite of candidates) {
+    const linked = favorite.item?.externalExpertId === expertId;
+    if (!linked && !matchesExternalExpert(expert, favorite.item || {})) continue;
+    favorite.item = {
+      ...favorite.item,
+      externalExpertId: expertId,
+      userId: String(userId),
+      onCuraLink: true,
+    };
+    favorite.markModified("item");
+    await favorite.save();
+    migrated++;
+  }
+  return migrated;
+}
+
+/**
+ * Link an external expert to the researcher's Profile and carry their
+ * favorites over. Call verifyExpertClaim first.
+ * @returns {Promise<Object>} - { expert, migratedFavorites }
+ */
+export async function claimExternalExpert(expert, user, profile, method, now = new Date()) {
+  const updated = await ExternalExpert.findOneAndUpdate(
+    { _id: expert._id, claimedBy: { $exists: false } },
+    {
+      $set: { claimedBy: user._id, claimedAt: now, claimMethod: method },
+      // Rebuilt on next view so it shows as on CuraLink
+      $unset: { profile: 1, profileUpdatedAt: 1 },
+    },
+    { new: true }
+  ).lean();
+  // Claimed by someone else in the meantime
+  if (!updated) return { expert: null, migratedFavorites: 0 };
+
+  const researcherUpdate = { "researcher.externalExpertId": expert._id };
+  if (!profile.researcher?.orcid && expert.orcid) {
+    researcherUpdate["researcher.orcid"] = expert.orcid;
+  }
+  if (!profile.researcher?.institutionAffiliation && expert.affiliations?.[0]) {
+    researcherUpdate["researcher.institutionAffiliation"] = expert.affiliations[0];
+  }
+  await Profile.updateOne({ _id: profile._id }, { $set: researcherUpdate });
+
+  const migratedFavorites = await migrateExpertFavorites(updated, user._id);
+  return { expert: updated, migratedFavorites };
+}
@@ -1,9 +1,22 @@
 import axios from "axios";
 import { findResearchersWithGemini } from "./geminiExperts.service.js";
 import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import {
+  resolveExternalExpert,
+  findExternalExpert,
+  findStaleExternalExperts,
+} from "./externalExpert.service.js";
+import { DEFAULT_RANKING_CONFIG, getRankingConfig } from "./rankingConfig.service.js";
 
 const OPENALEX_BASE = "https://api.openalex.org";
 const SEMSCH_BASE = "https://api.semanticscholar.org/graph/v1";
+const SEMSCH_AUTHOR_FIELDS =
+  "name,aliases,affiliations,paperCount,citationCount,hIndex,url,externalIds";
+// Stored metrics younger than this are reused instead of re-verifying
+const METRICS_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7;
+// The refresh cron stops picking up experts after this long, well inside the
+// function timeout; the oldest remaining ones go first next run
+const REFRESH_TIME_BUDGET_MS = 1000 * 20;
 
 function clamp01(x) {
   return Math.max(0, Math.min(1, x));
@@ -87,16 +100,50 @@ async function openAlexFetchRecentWorks(authorOpenAlexId, perPage = 50) {
   return resp.data?.results || [];
 }
 
-async function semanticScholarFindAuthorByName(name) {
-  const url = `${SEMSCH_BASE}/author/search`;
+async function openAlexFetchAuthor(openAlexId) {
+  try {
+    const resp = await axios.get(`${OPENALEX_BASE}/authors/${openAlexId}`, {
+      timeout: 12000,
+    });
+    return resp.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+function semanticScholarHeaders() {
   const headers = {};
   if (process.env.SEMANTIC_SCHOLAR_API_KEY) {
     headers["x-api-key"] = process.env.SEMANTIC_SCHOLAR_API_KEY;
   }
+  return headers;
+}
+
+async function semanticScholarFetchAuthor(authorId) {
+  try {
+    const resp = await axios.get(
+      `${SEMSCH_BASE}/author/${encodeURIComponent(authorId)}`,
+      {
+        params: { fields: SEMSCH_AUTHOR_FIELDS },
+        headers: semanticScholarHeaders(),
+        timeout: 12000,
+      }
+    );
+    return resp.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+async function semanticScholarFindAuthorByName(name) {
+  const url = `${SEMSCH_BASE}/author/search`;
+  const headers = semanticScholarHeaders();
   const params = {
     query: name,
     limit: 5,
-    fields: "name,affiliations,paperCount,citationCount,hIndex,url",
+    fields: SEMSCH_AUTHOR_FIELDS,
   };
   const resp = await axios.get(url, { params, headers, timeout: 12000 });
   const data = resp.data?.data || [];
@@ -118,10 +165,7 @@ async function semanticScholarFindAuthorByName(name) {
 }
 
 async function semanticScholarFetchRecentPapers(authorId, limit = 40) {
-  const headers = {};
-  if (process.env.SEMANTIC_SCHOLAR_API_KEY) {
-    headers["x-api-key"] = process.env.SEMANTIC_SCHOLAR_API_KEY;
-  }
+  const headers = semanticScholarHeaders();
   const url = `${SEMSCH_BASE}/author/${encodeURIComponent(authorId)}/papers`;
   const params = {
     limit,
@@ -214,28 +258,185 @@ function computeMetricsFromOpenAlexWorks(works, expertName) {
   };
 }
 
-function scoreExpert({ papersMetrics, trialMetrics }) {
-  // Metric weights (as requested):
-  // Recency 30%, Trial Leadership 30%, Status(last-author) 20%, Journal Impact 20%
-  const recency = clamp01(papersMetrics.recentPapers2y / 6); // 6+ recent papers => strong
-  const trialLeadership = clamp01(trialMetrics.leadershipCount / 3); // 3+ PI trials => strong
-  const status = clamp01(papersMetrics.lastAuthor5y / 4); // 4+ last author in 5y => strong
+// Labels for the per-factor breakdown returned with each expert
+const SCORE_FACTORS = [
+  { factor: "recency", label: "Recent papers (2 years)" },
+  { factor: "trialLeadership", label: "Clinical trials led" },
+  { factor: "status", label: "Last-author papers (5 years)" },
+  { factor: "impact", label: "Citation impact (5 years)" },
+];
+
+function scoreExpert({ papersMetrics, trialMetrics }, { weights, caps } = DEFAULT_RANKING_CONFIG.expertDiscovery) {
+  // Each metric scores 0-1 against its cap; weights come from the ranking config
+  const recency = clamp01(papersMetrics.recentPapers2y / caps.recentPapers2y);
+  const trialLeadership = clamp01(trialMetrics.leadershipCount / caps.trialLeadership);
+  const status = clamp01(papersMetrics.lastAuthor5y / caps.lastAuthor5y);
 
   // Impact proxy: avg citations + influential count (scaled)
   const impactRaw =
-    clamp01(papersMetrics.avgCitations5y / 40) * 0.75 +
-    clamp01(papersMetrics.influential5y / 5) * 0.25;
+    clamp01(papersMetrics.avgCitations5y / caps.avgCitations5y) * 0.75 +
+    clamp01(papersMetrics.influential5y / caps.influential5y) * 0.25;
   const impact = clamp01(impactRaw);
 
-  const final =
-    recency * 0.3 + trialLeadership * 0.3 + status * 0.2 + impact * 0.2;
+  const scores = { recency, trialLeadership, status, impact };
+  const values = {
+    recency: papersMetrics.recentPapers2y,
+    trialLeadership: trialMetrics.leadershipCount,
+    status: papersMetrics.lastAuthor5y,
+    impact: Math.round(papersMetrics.avgCitations5y * 10) / 10,
+  };
+  const factors = SCORE_FACTORS.map(({ factor, label }) => ({
+    factor,
+    label,
+    value: values[factor],
+    score: scores[factor],
+    weight: weights[factor],
+    contribution: scores[factor] * weights[factor],
+  }));
+  const final = factors.reduce((sum, f) => sum + f.contribution, 0);
 
   return {
-    scores: { recency, trialLeadership, status, impact },
+    scores,
+    factors,
     finalScore: clamp01(final),
   };
 }
 
+async function collectExpertMetrics(name, oaAuthor, ssAuthor) {
+  // Papers/works: prefer Semantic Scholar papers; fallback to OpenAlex works.
+  let papersMetrics = {
+    recentPapers2y: 0,
+    papers5y: 0,
+    lastAuthor5y: 0,
+    avgCitations5y: 0,
+    influential5y: 0,
+  };
+
+  const authorId = ssAuthor?.authorId;
+  if (authorId) {
+    const papers = await semanticScholarFetchRecentPapers(authorId, 40);
+    papersMetrics = computeMetricsFromPapers(papers, name);
+  } else if (oaAuthor?.id) {
+    const works = await openAlexFetchRecentWorks(oaAuthor.id, 60);
+    papersMetrics = computeMetricsFromOpenAlexWorks(works, name);
+  }
+
+  const trialMetrics = await estimateTrialLeadershipScore(name);
+  return {
+    ...papersMetrics,
+    trialLeadership: trialMetrics.leadershipCount,
+    worksCount: oaAuthor?.works_count ?? ssAuthor?.paperCount ?? null,
+    citationCount: ssAuthor?.citationCount ?? oaAuthor?.cited_by_count ?? null,
+    hIndex: ssAuthor?.hIndex ?? oaAuthor?.summary_stats?.h_index ?? null,
+  };
+}
+
+function buildVerification(oaAuthor, ssAuthor) {
+  return {
+    openAlex: oaAuthor
+      ? {
+          id: oaAuthor.id,
+          displayName: oaAuthor.display_name,
+          worksCount: oaAuthor.works_count,
+          citedByCount: oaAuthor.cited_by_count,
+        }
+      : null,
+    semanticScholar: ssAuthor
+      ? {
+          authorId: ssAuthor.authorId,
+          name: ssAuthor.name,
+          paperCount: ssAuthor.paperCount,
+          citationCount: ssAuthor.citationCount,
+          hIndex: ssAuthor.hIndex,
+          url: ssAuthor.url,
+        }
+      : null,
+  };
+}
+
+// Identity fields for resolveExternalExpert from the matched author records
+function identityFromAuthors(name, oaAuthor, ssAuthor) {
+  return {
+    name,
+    nameVariants: [
+      oaAuthor?.display_name,
+      ...(oaAuthor?.display_name_alternatives || []),
+      ssAuthor?.name,
+      ...(ssAuthor?.aliases || []),
+    ].filter(Boolean),
+    openAlexId: oaAuthor?.id,
+    semanticScholarId: ssAuthor?.authorId,
+    orcid: oaAuthor?.orcid || ssAuthor?.externalIds?.ORCID,
+    affiliations: [
+      ...(ssAuthor?.affiliations || []),
+      oaAuthor?.last_known_institutions?.[0]?.display_name ||
+        oaAuthor?.last_known_institution?.display_name,
+    ].filter(Boolean),
+    source: [oaAuthor && "openalex", ssAuthor && "semanticscholar"].filter(Boolean),
+  };
+}
+
+function toVerifiedExpert({
+  name,
+  affiliation,
+  location,
+  verification,
+  metrics,
+  record,
+  ranking = DEFAULT_RANKING_CONFIG.expertDiscovery,
+}) {
+  const scored = scoreExpert(
+    {
+      papersMetrics: metrics,
+      trialMetrics: { leadershipCount: metrics.trialLeadership || 0 },
+    },
+    ranking
+  );
+
+  return {
+    name,
+    affiliation,
+    location,
+    externalExpertId: record ? String(record._id) : null,
+    // Claimed by a registered researcher
+    onCuraLink: Boolean(record?.claimedBy),
+    ...(record?.claimedBy && { userId: String(record.claimedBy) }),
+    verification,
+    metrics: {
+      recency: metrics.recentPapers2y,
+      trialLeadership: metrics.trialLeadership || 0,
+      lastAuthor: metrics.lastAuthor5y,
+      journalImpactProxy: {
+        avgCitations5y: Math.round(metrics.avgCitations5y * 10) / 10,
+        influential5y: metrics.influential5y,
+      },
+    },
+    weights: {
+      recency: ranking.weights.recency,
+      trialLeadership: ranking.weights.trialLeadership,
+      statusLastAuthor: ranking.weights.status,
+      journalImpact: ranking.weights.impact,
+    },
+    scoreBreakdown: {
+      ...scored.scores,
+      finalScore: scored.finalScore,
+      // What each metric added to finalScore
+      factors: scored.factors,
+    },
+  };
+}
+
+// Stored metrics belong to one person; findExternalExpert only accepts a name
+// match alongside the same institution ("Unknown" counts as none)
+async function findStoredExpert(candidate) {
+  try {
+    return await findExternalExpert({ name: candidate.name, affiliation: candidate.affiliation });
+  } catch (error) {
+    console.error("Error looking up stored expert:", error.message);
+    return null;
+  }
+}
+
 export async function searchVerifiedExpertsV2({
   q = "",
   location,
@@ -256,86 +457,78 @@ export async function searchVerifiedExpertsV2({
     )
   );
 
-  // Step 2: verify via OpenAlex + Semantic Scholar, then score
+  const { expertDiscovery: ranking } = await getRankingConfig();
+
+  // Step 2: verify via OpenAlex + Semantic Scholar, then score. Identities and
+  // metrics are stored, so known researchers skip the API calls for a week.
   const verified = [];
   for (const name of names) {
     try {
+      const candidate = candidates.find((c) => c?.name === name) || { name };
+      const stored = await findStoredExpert(candidate);
+
+      if (
+        stored?.verified &&
+        stored.verification &&
+        stored.metricsUpdatedAt > Date.now() - METRICS_MAX_AGE_MS
+      ) {
+        verified.push(
+          toVerifiedExpert({
+            name,
+            affiliation: stored.affiliations?.[0] || null,
+            location: candidate.location || stored.location || null,
+            verification: stored.verification,
+            metrics: stored.metrics,
+            record: stored,
+            ranking,
+          })
+        );
+        continue;
+      }
+
+      // Reuse resolved ids rather than searching by name again
       const [oaAuthor, ssAuthor] = await Promise.all([
-        openAlexFindAuthorByName(name),
-        semanticScholarFindAuthorByName(name),
+        stored?.openAlexId
+          ? openAlexFetchAuthor(stored.openAlexId)
+          : openAlexFindAuthorByName(name),
+        stored?.semanticScholarId
+          ? semanticScholarFetchAuthor(stored.semanticScholarId)
+          : semanticScholarFindAuthorByName(name),
       ]);
 
       // Must pass at least one verification source strongly; prefer both.
       if (!oaAuthor && !ssAuthor) continue;
 
-      // Papers/works: prefer Semantic Scholar papers; fallback to OpenAlex works.
-      let papersMetrics = {
-        recentPapers2y: 0,
-        papers5y: 0,
-        lastAuthor5y: 0,
-        avgCitations5y: 0,
-        influential5y: 0,
-      };
-
-      const authorId = ssAuthor?.authorId;
-      if (authorId) {
-        const papers = await semanticScholarFetchRecentPapers(authorId, 40);
-        papersMetrics = computeMetricsFromPapers(papers, name);
-      } else if (oaAuthor?.id) {
-        const works = await openAlexFetchRecentWorks(oaAuthor.id, 60);
-        papersMetrics = computeMetricsFromOpenAlexWorks(works, name);
+      const metrics = await collectExpertMetrics(name, oaAuthor, ssAuthor);
+      const verification = buildVerification(oaAuthor, ssAuthor);
+      const identity = identityFromAuthors(name, oaAuthor, ssAuthor);
+
+      let record = null;
+      try {
+        record = await resolveExternalExpert({
+          ...identity,
+          location: candidate.location,
+          biography: candidate.biography,
+          researchInterests: candidate.researchInterests,
+          source: [...identity.source, "gemini"],
+          metrics,
+          verification,
+        });
+      } catch (error) {
+        console.error("Error storing verified expert:", error.message);
       }
 
-      const trialMetrics = await estimateTrialLeadershipScore(name);
-      const scored = scoreExpert({ papersMetrics, trialMetrics });
-
-      verified.push({
-        name,
-        affiliation:
-          ssAuthor?.affiliations?.[0] ||
-          oaAuthor?.last_known_institution?.display_name ||
-          null,
-        location: candidates.find((c) => c?.name === name)?.location || null,
-        verification: {
-          openAlex: oaAuthor
-            ? {
-                id: oaAuthor.id,
-                displayName: oaAuthor.display_name,
-                worksCount: oaAuthor.works_count,
-                citedByCount: oaAuthor.cited_by_count,
-              }
-            : null,
-          semanticScholar: ssAuthor
-            ? {
-                authorId: ssAuthor.authorId,
-                name: ssAuthor.name,
-                paperCount: ssAuthor.paperCount,
-                citationCount: ssAuthor.citationCount,
-                hIndex: ssAuthor.hIndex,
-                url: ssAuthor.url,
-              }
-            : null,
-        },
-        metrics: {
-          recency: papersMetrics.recentPapers2y,
-          trialLeadership: trialMetrics.leadershipCount,
-          lastAuthor: papersMetrics.lastAuthor5y,
-          journalImpactProxy: {
-            avgCitations5y: Math.round(papersMetrics.avgCitations5y * 10) / 10,
-            influential5y: papersMetrics.influential5y,
-          },
-        },
-        weights: {
-          recency: 0.3,
-          trialLeadership: 0.3,
-          statusLastAuthor: 0.2,
-          journalImpact: 0.2,
-        },
-        scoreBreakdown: {
-          ...scored.scores,
-          finalScore: scored.finalScore,
-        },
-      });
+      verified.push(
+        toVerifiedExpert({
+          name,
+          affiliation: identity.affiliations[0] || null,
+          location: candidate.location || null,
+          verification,
+          metrics,
+          record,
+          ranking,
+        })
+      );
     } catch {
       // skip candidate on any unexpected error
     }
@@ -346,4 +539,53 @@ export async function searchVerifiedExpertsV2({
   return verified.slice(0, Math.max(5, Math.min(10, limit)));
 }
 
+/**
+ * Re-fetch source totals and publication/trial metrics for stored verified
+ * experts, oldest first (run by the /external-experts/refresh cron), until
+ * limit or timeBudgetMs runs out
+ */
+export async function refreshExternalExpertMetrics({
+  limit = 10,
+  maxAgeMs = METRICS_MAX_AGE_MS,
+  timeBudgetMs = REFRESH_TIME_BUDGET_MS,
+  now = new Date(),
+} = {}) {
+  const startedAt = Date.now();
+  const stale = await findStaleExternalExperts({
+    staleBefore: new Date(now.getTime() - maxAgeMs),
+    limit,
+  });
 
+  const results = [];
+  for (const expert of stale) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    const id = String(expert._id);
+    try {
+      const [oaAuthor, ssAuthor] = await Promise.all([
+        expert.openAlexId ? openAlexFetchAuthor(expert.openAlexId) : null,
+        expert.semanticScholarId
+          ? semanticScholarFetchAuthor(expert.semanticScholarId)
+          : null,
+      ]);
+      if (!oaAuthor && !ssAuthor) {
+        results.push({ id, name: expert.name, updated: false });
+        continue;
+      }
+
+      const metrics = await collectExpertMetrics(expert.name, oaAuthor, ssAuthor);
+      await resolveExternalExpert(
+        {
+          ...identityFromAuthors(expert.name, oaAuthor, ssAuthor),
+          metrics,
+          verification: buildVerification(oaAuthor, ssAuthor),
+        },
+        { now }
+      );
+      results.push({ id, name: expert.name, updated: true });
+    } catch (error) {
+      console.error(`Error refreshing expert metrics for ${expert.name}:`, error);
+      results.push({ id, name: expert.name, error: error.message });
+    }
+  }
+  return results;
+}
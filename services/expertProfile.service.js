@@ -3,6 +3,11 @@ import axios from "axios";
 import dotenv from "dotenv";
 import { searchGoogleScholarPublications } from "./googleScholar.service.js";
 import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import {
+  findExternalExpert,
+  resolveExternalExpert,
+  saveExternalExpertProfile,
+} from "./externalExpert.service.js";
 
 dotenv.config();
 
@@ -12,6 +17,8 @@ const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
 // Cache for expert profiles
 const profileCache = new Map();
 const CACHE_TTL_MS = 1000 * 60 * 60; // 1 hour cache
+// Profiles stored on ExternalExpert records survive cold starts
+const STORED_PROFILE_TTL_MS = 1000 * 60 * 60 * 24;
 
 function getCacheKey(expertName) {
   return `expert:profile:${expertName.toLowerCase().trim()}`;
@@ -213,9 +220,30 @@ async function findRelatedExperts(expertData, currentExpertName) {
   }
 }
 
+async function findStoredExpert(expertData) {
+  try {
+    return await findExternalExpert({
+      id: expertData.externalExpertId,
+      orcid: expertData.orcid,
+      name: expertData.name,
+      affiliation: expertData.affiliation,
+    });
+  } catch (error) {
+    console.error("Error looking up stored expert:", error.message);
+    return null;
+  }
+}
+
+// Researchers who claimed their record are on CuraLink and can be contacted
+const claimStatus = (stored) => ({
+  onCuraLink: Boolean(stored?.claimedBy),
+  contactable: Boolean(stored?.claimedBy),
+  userId: stored?.claimedBy ? String(stored.claimedBy) : null,
+});
+
 /**
  * Get comprehensive expert profile
- * @param {Object} expertData - Basic expert data (name, affiliation, etc.)
+ * @param {Object} expertData - Basic expert data (name, affiliation, externalExpertId, etc.)
  * @returns {Promise<Object>} Comprehensive expert profile
  */
 export async function getExpertProfile(expertData) {
@@ -229,6 +257,23 @@ export async function getExpertProfile(expertData) {
     return cached;
   }
 
+  const stored = await findStoredExpert(expertData);
+  if (stored?.profile && stored.profileUpdatedAt > Date.now() - STORED_PROFILE_TTL_MS) {
+    const profile = { ...stored.profile, ...claimStatus(stored) };
+    setCache(cacheKey, profile);
+    return profile;
+  }
+  // Fill gaps from what earlier searches resolved
+  if (stored) {
+    expertData = {
+      ...expertData,
+      orcid: expertData.orcid || stored.orcid || null,
+      affiliation: expertData.affiliation || stored.affiliations?.[0] || null,
+      location: expertData.location || stored.location || null,
+      biography: expertData.biography || stored.biography || null,
+    };
+  }
+
   try {
     // Fetch publications
     const publications = await searchGoogleScholarPublications({
@@ -270,8 +315,7 @@ export async function getExpertProfile(expertData) {
       profileImage: null,
 
       // Status
-      onCuraLink: false,
-      contactable: false,
+      ...claimStatus(stored),
 
       // Summary
       bioSummary: bioSummary || expertData.biography || "",
@@ -307,7 +351,7 @@ export async function getExpertProfile(expertData) {
         totalPublications: impactMetrics.totalPublications,
         totalCitations: impactMetrics.totalCitations,
         maxCitations: impactMetrics.maxCitations,
-        hIndex: impactMetrics.hIndex,
+        hIndex: stored?.metrics?.hIndex ?? impactMetrics.hIndex,
       },
 
       // External Links (construct search URLs)
@@ -350,6 +394,24 @@ export async function getExpertProfile(expertData) {
       })),
     };
 
+    try {
+      const record = await resolveExternalExpert({
+        ...expertData,
+        researchInterests: profile.researchInterests,
+        source: "profile",
+      });
+      profile.externalExpertId = String(record._id);
+      profile.orcid = profile.orcid || record.orcid || null;
+      profile.identifiers = {
+        openAlexId: record.openAlexId || null,
+        semanticScholarId: record.semanticScholarId || null,
+        orcid: record.orcid || null,
+      };
+      await saveExternalExpertProfile(record._id, profile);
+    } catch (error) {
+      console.error("Error storing expert profile:", error.message);
+    }
+
     // Cache the profile
     setCache(cacheKey, profile);
 
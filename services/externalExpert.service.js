@@ -0,0 +1,368 @@
+/**
+ * External Expert Service
+ * Persistent directory of researchers found through Gemini, OpenAlex and
+ * Semantic Scholar. Records are matched on OpenAlex ID, Semantic Scholar ID or
+ * ORCID, then on name variant plus affiliation, and duplicates are merged.
+ */
+
+import mongoose from "mongoose";
+import { ExternalExpert } from "../models/ExternalExpert.js";
+import { Favorite } from "../models/Favorite.js";
+import { Profile } from "../models/Profile.js";
+
+const ID_FIELDS = ["openAlexId", "semanticScholarId", "orcid"];
+const MAX_AFFILIATIONS = 10;
+const MAX_INTERESTS = 20;
+// Words too common in institution names to tell two apart
+const AFFILIATION_STOPWORDS = new Set([
+  "university",
+  "of",
+  "the",
+  "and",
+  "for",
+  "at",
+  "de",
+  "institute",
+  "school",
+  "college",
+  "hospital",
+  "center",
+  "centre",
+  "medical",
+  "medicine",
+  "department",
+  "dept",
+  "health",
+  "research",
+]);
+
+/**
+ * Lowercase, strip accents, titles and punctuation ("Dr. José Núñez, MD" -> "jose nunez")
+ */
+export function normalizeExpertName(name = "") {
+  return String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\b(dr|prof|professor|md|phd|mph|msc|frcp|facp)\b/g, " ")
+    .replace(/[\s-]+/g, " ")
+    .trim();
+}
+
+export function normalizeOrcid(value) {
+  const match = String(value || "").match(/\d{4}-\d{4}-\d{4}-\d{3}[\dX]/i);
+  return match ? match[0].toUpperCase() : null;
+}
+
+// "https://openalex.org/A5023888391" -> "A5023888391"
+export function normalizeOpenAlexId(value) {
+  const id = String(value || "").split("/").filter(Boolean).pop();
+  return id && /^A\d+$/i.test(id) ? id.toUpperCase() : null;
+}
+
+const cleanList = (values) => [
+  ...new Set(
+    (values || [])
+      .map((value) => (typeof value === "string" ? value.trim() : ""))
+      .filter((value) => value && value.toLowerCase() !== "unknown")
+  ),
+];
+
+function identityIds(identity) {
+  return {
+    openAlexId: normalizeOpenAlexId(identity.openAlexId),
+    semanticScholarId: identity.semanticScholarId ? String(identity.semanticScholarId) : null,
+    orcid: normalizeOrcid(identity.orcid),
+  };
+}
+
+const affiliationTokens = (affiliation) =>
+  new Set(
+    normalizeExpertName(affiliation)
+      .split(" ")
+      .filter((token) => token.length > 1 && !AFFILIATION_STOPWORDS.has(token))
+  );
+
+function affiliationsOverlap(a = [], b = []) {
+  return a.some((left) => {
+    const tokensA = affiliationTokens(left);
+    return b.some((right) => {
+      const tokensB = affiliationTokens(right);
+      if (tokensA.size === 0 || tokensB.size === 0) return false;
+      let shared = 0;
+      for (const token of tokensA) if (tokensB.has(token)) shared++;
+      return shared / Math.min(tokensA.size, tokensB.size) >= 0.5;
+    });
+  });
+}
+
+// Two records with different values for the same id are different people
+const idsConflict = (record, ids) =>
+  ID_FIELDS.some((field) => record[field] && ids[field] && record[field] !== ids[field]);
+
+/**
+ * Pick the stored record a name-only match most likely refers to. A bare name
+ * (no affiliation on either side) matches nothing, since the record's data
+ * could belong to anyone with that name.
+ * @returns {Object|null}
+ */
+function pickNameMatch(records, { ids = {}, affiliations = [] }) {
+  const matches = records.filter(
+    (record) =>
+      !idsConflict(record, ids) && affiliationsOverlap(affiliations, record.affiliations || [])
+  );
+  // Prefer verified, then recently updated records
+  matches.sort(
+    (a, b) =>
+      Number(Boolean(b.verified)) - Number(Boolean(a.verified)) ||
+      (b.updatedAt?.getTime?.() || 0) - (a.updatedAt?.getTime?.() || 0)
+  );
+  return matches[0] || null;
+}
+
+async function findByIds(ids, { lean = false } = {}) {
+  const clauses = ID_FIELDS.filter((field) => ids[field]).map((field) => ({ [field]: ids[field] }));
+  if (clauses.length === 0) return [];
+  const query = ExternalExpert.find({ $or: clauses }).sort({ createdAt: 1 });
+  return lean ? query.lean() : query;
+}
+
+const nameVariantsOf = (identity) =>
+  cleanList([identity.name, ...(identity.nameVariants || [])].map(normalizeExpertName));
+
+const affiliationsOf = (identity) =>
+  cleanList([identity.affiliation, ...(identity.affiliations || [])]);
+
+/**
+ * Fold duplicate records into primary; favorites pointing at a duplicate are
+ * re-pointed. The caller saves primary.
+ */
+async function mergeDuplicates(primary, duplicates) {
+  const merged = [];
+  const mergedIds = Object.fromEntries(ID_FIELDS.map((field) => [field, primary[field]]));
+  let claimedBy = primary.claimedBy ? String(primary.claimedBy) : null;
+  for (const duplicate of duplicates) {
+    if (idsConflict(duplicate, mergedIds)) continue;
+    // Never fold together records claimed by two different users
+    if (duplicate.claimedBy && claimedBy && String(duplicate.claimedBy) !== claimedBy) continue;
+    merged.push(duplicate);
+    for (const field of ID_FIELDS) mergedIds[field] = mergedIds[field] || duplicate[field];
+    if (duplicate.claimedBy) claimedBy = String(duplicate.claimedBy);
+  }
+  if (merged.length === 0) return;
+
+  // Remove first so their ids are free for primary's unique indexes
+  await ExternalExpert.deleteMany({ _id: { $in: merged.map((d) => d._id) } });
+
+  for (const duplicate of merged) {
+    for (const field of ID_FIELDS) {
+      if (!primary[field] && duplicate[field]) primary[field] = duplicate[field];
+    }
+    primary.nameVariants = cleanList([...primary.nameVariants, ...duplicate.nameVariants]);
+    primary.affiliations = cleanList([...primary.affiliations, ...duplicate.affiliations]).slice(0, MAX_AFFILIATIONS);
+    primary.researchInterests = cleanList([...primary.researchInterests, ...duplicate.researchInterests]).slice(0, MAX_INTERESTS);
+    primary.sources = cleanList([...primary.sources, ...duplicate.sources]);
+    if (!primary.location) primary.location = duplicate.location;
+    if (!primary.biography) primary.biography = duplicate.biography;
+    if ((duplicate.metricsUpdatedAt || 0) > (primary.metricsUpdatedAt || 0)) {
+      primary.metrics = duplicate.metrics;
+      primary.verification = duplicate.verification;
+      primary.metricsUpdatedAt = duplicate.metricsUpdatedAt;
+    }
+    if (duplicate.claimedBy && !primary.claimedBy) {
+      primary.claimedBy = duplicate.claimedBy;
+      primary.claimedAt = duplicate.claimedAt;
+      primary.claimMethod = duplicate.claimMethod;
+    }
+    if ((duplicate.profileUpdatedAt || 0) > (primary.profileUpdatedAt || 0)) {
+      primary.profile = duplicate.profile;
+      primary.profileUpdatedAt = duplicate.profileUpdatedAt;
+    }
+  }
+
+  await Favorite.updateMany(
+    { "item.externalExpertId": { $in: merged.map((d) => String(d._id)) } },
+    { $set: { "item.externalExpertId": String(primary._id) } }
+  );
+  await Profile.updateMany(
+    { "researcher.externalExpertId": { $in: merged.map((d) => d._id) } },
+    { $set: { "researcher.externalExpertId": primary._id } }
+  );
+}
+
+function applyIdentity(record, identity, ids, variants, now) {
+  for (const field of ID_FIELDS) {
+    if (!record[field] && ids[field]) record[field] = ids[field];
+  }
+  if (!record.name) record.name = identity.name.trim();
+  record.nameVariants = cleanList([...(record.nameVariants || []), ...variants]);
+  record.affiliations = cleanList([...(record.affiliations || []), ...affiliationsOf(identity)]).slice(0, MAX_AFFILIATIONS);
+  record.researchInterests = cleanList([
+    ...(record.researchInterests || []),
+    ...(Array.isArray(identity.researchInterests) ? identity.researchInterests : []),
+  ]).slice(0, MAX_INTERESTS);
+  if (!record.location && identity.location) record.location = identity.location;
+  if (!record.biography && identity.biography) record.biography = identity.biography;
+  record.sources = cleanList([...(record.sources || []), ...[].concat(identity.source || [])]);
+  record.verified = Boolean(record.openAlexId || record.semanticScholarId);
+
+  if (identity.metrics) {
+    record.metrics = { ...(record.metrics || {}), ...identity.metrics };
+    record.metricsUpdatedAt = now;
+    record.markModified("metrics");
+  }
+  if (identity.verification) {
+    record.verification = identity.verification;
+    record.markModified("verification");
+  }
+}
+
+/**
+ * Find or create the stored record for a researcher and merge what a source
+ * knows about them into it
+ * @param {Object} identity - { name, nameVariants, openAlexId, semanticScholarId, orcid,
+ *   affiliation, affiliations, location, biography, researchInterests,
+ *   source (name or array of names), metrics, verification }
+ * @returns {Promise<Object>} - The stored record (plain object)
+ */
+export async function resolveExternalExpert(identity, { now = new Date(), retry = true } = {}) {
+  if (!identity?.name?.trim()) {
+    throw new Error("Expert name is required");
+  }
+
+  const ids = identityIds(identity);
+  const variants = nameVariantsOf(identity);
+
+  try {
+    let matches = await findByIds(ids);
+    if (matches.length === 0) {
+      const byName = pickNameMatch(
+        await ExternalExpert.find({ nameVariants: { $in: variants } }).limit(20),
+        { ids, affiliations: affiliationsOf(identity) }
+      );
+      if (byName) matches = [byName];
+    }
+
+    let record;
+    if (matches.length > 0) {
+      const [primary, ...duplicates] = matches;
+      record = primary;
+      // One source linked two records we had stored separately
+      if (duplicates.length > 0) await mergeDuplicates(record, duplicates);
+    } else {
+      record = new ExternalExpert({ name: identity.name.trim() });
+    }
+
+    applyIdentity(record, identity, ids, variants, now);
+    await record.save();
+    return record.toObject();
+  } catch (error) {
+    // Another request stored the same id first; resolve against it
+    if (error?.code === 11000 && retry) {
+      return resolveExternalExpert(identity, { now, retry: false });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Look up a stored researcher without creating one. A name alone isn't enough;
+ * it must come with an overlapping affiliation.
+ * @param {Object} query - { id, openAlexId, semanticScholarId, orcid, name, affiliation }
+ * @returns {Promise<Object|null>}
+ */
+export async function findExternalExpert(query = {}) {
+  if (query.id && mongoose.isValidObjectId(query.id)) {
+    const record = await ExternalExpert.findById(query.id).lean();
+    if (record) return record;
+  }
+
+  const ids = identityIds(query);
+  const [byId] = await findByIds(ids, { lean: true });
+  if (byId) return byId;
+
+  const variants = nameVariantsOf(query);
+  if (variants.length === 0) return null;
+  const records = await ExternalExpert.find({ nameVariants: { $in: variants } }).limit(20).lean();
+  return pickNameMatch(records, { ids, affiliations: affiliationsOf(query) });
+}
+
+/**
+ * Whether an expert mentioned elsewhere (e.g. a favorite) is this stored record:
+ * a shared ORCID/OpenAlex/Semantic Scholar ID, or the same name with an
+ * overlapping affiliation. A name alone doesn't count.
+ */
+export function matchesExternalExpert(record, { name, affiliation, ...identity } = {}) {
+  const ids = identityIds(identity);
+  if (idsConflict(record, ids)) return false;
+  if (ID_FIELDS.some((field) => record[field] && record[field] === ids[field])) return true;
+
+  const normalized = normalizeExpertName(name);
+  if (!normalized || !(record.nameVariants || []).includes(normalized)) return false;
+  return pickNameMatch([record], { ids, affiliations: cleanList([affiliation]) }) !== null;
+}
+
+/**
+ * Attach stored identities to search results, matched by name and affiliation
+ * @param {Array} experts - Objects with name and optionally affiliation / orcid
+ * @returns {Promise<Array>} - Same experts, known ones with externalExpertId,
+ *   verified, orcid, openAlexId, semanticScholarId, metrics, onCuraLink and
+ *   (once claimed) the researcher's userId
+ */
+export async function linkExternalExperts(experts) {
+  if (!experts?.length) return experts || [];
+
+  const variants = cleanList(experts.map((expert) => normalizeExpertName(expert.name)));
+  let records = [];
+  try {
+    records = await ExternalExpert.find({ nameVariants: { $in: variants } })
+      .select("-profile")
+      .lean();
+  } catch (error) {
+    console.error("Error linking external experts:", error.message);
+    return experts;
+  }
+
+  return experts.map((expert) => {
+    const name = normalizeExpertName(expert.name);
+    const record = pickNameMatch(
+      records.filter((r) => r.nameVariants.includes(name)),
+      { ids: identityIds(expert), affiliations: affiliationsOf(expert) }
+    );
+    if (!record) return expert;
+    return {
+      ...expert,
+      externalExpertId: String(record._id),
+      verified: record.verified,
+      orcid: expert.orcid || record.orcid || null,
+      openAlexId: record.openAlexId || null,
+      semanticScholarId: record.semanticScholarId || null,
+      metrics: expert.metrics || record.metrics || null,
+      // Claimed by a registered researcher
+      onCuraLink: Boolean(record.claimedBy),
+      ...(record.claimedBy && { userId: String(record.claimedBy) }),
+    };
+  });
+}
+
+/**
+ * Store the profile getExpertProfile built for a researcher
+ */
+export async function saveExternalExpertProfile(id, profile, now = new Date()) {
+  await ExternalExpert.updateOne({ _id: id }, { $set: { profile, profileUpdatedAt: now } });
+}
+
+/**
+ * Verified researchers whose metrics are older than staleBefore, oldest first
+ */
+export async function findStaleExternalExperts({ staleBefore, limit = 25 }) {
+  return ExternalExpert.find({
+    verified: true,
+    $or: [{ metricsUpdatedAt: { $lt: staleBefore } }, { metricsUpdatedAt: { $exists: false } }],
+  })
+    .sort({ metricsUpdatedAt: 1 })
+    .limit(limit)
+    .select("-profile")
+    .lean();
+}
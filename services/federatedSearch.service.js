@@ -0,0 +1,356 @@
+/**
+ * Federated Publication Search Service
+ * Fans a publication search out to PubMed, OpenAlex and Semantic Scholar (and,
+ * when asked for, the medRxiv / bioRxiv preprint servers), merges
+ * duplicates by DOI, PMID or title similarity and records which sources
+ * contributed each result
+ */
+
+import { searchPubMed } from "./pubmed.service.js";
+import {
+  searchOpenAlexWorks,
+  searchSemanticScholarPapers,
+} from "./googleScholar.service.js";
+import { searchPreprints } from "./preprints.service.js";
+import { extractDateRangeFromQuery } from "../utils/queryParser.js";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+// Titles at least this similar (token Jaccard) within a year of each other are
+// treated as the same paper
+const TITLE_SIMILARITY_THRESHOLD = 0.9;
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+
+// Paging through results re-runs the batch search, so source results are
+// cached briefly (PubMed caches its own)
+const cache = createTtlCache({ ttlMs: 1000 * 60 * 5, maxEntries: 200 });
+
+/**
+ * Source adapters. Each search() takes
+ * { pubmedQuery, text, fromYear, toYear, mindate, maxdate, limit } and resolves to
+ * { items, totalCount } with items shaped like PubMed search items plus the
+ * source's own id under idField. Adapters with fullQuery take the compiled
+ * query; the rest only see plain terms and are skipped when those would lose
+ * NOT, OR, field or phrase structure.
+ */
+const DEFAULT_SOURCES = {
+  pubmed: {
+    label: "PubMed",
+    idField: "pmid",
+    fullQuery: true,
+    search: ({ pubmedQuery, mindate, maxdate, limit }) =>
+      searchPubMed({ q: pubmedQuery, mindate, maxdate, page: 1, pageSize: limit }),
+  },
+  openalex: {
+    label: "OpenAlex",
+    idField: "openAlexId",
+    search: ({ text, fromYear, toYear, limit }) =>
+      searchOpenAlexWorks({ q: text, fromYear, toYear, limit }),
+  },
+  semanticscholar: {
+    label: "Semantic Scholar",
+    idField: "semanticScholarId",
+    search: ({ text, fromYear, toYear, limit }) =>
+      searchSemanticScholarPapers({ q: text, fromYear, toYear, limit }),
+  },
+  medrxiv: {
+    label: "medRxiv",
+    idField: "preprintId",
+    preprint: true,
+    search: ({ text, fromYear, toYear, limit }) =>
+      searchPreprints({ q: text, server: "medrxiv", fromYear, toYear, limit }),
+  },
+  biorxiv: {
+    label: "bioRxiv",
+    idField: "preprintId",
+    preprint: true,
+    search: ({ text, fromYear, toYear, limit }) =>
+      searchPreprints({ q: text, server: "biorxiv", fromYear, toYear, limit }),
+  },
+};
+
+let sources = { ...DEFAULT_SOURCES };
+
+// Preprint servers are opt-in through ?sources= or includePreprints. Boolean
+// and field queries only reach PubMed (see plainQuery below).
+export const DEFAULT_PUBLICATION_SOURCES = ["pubmed", "openalex", "semanticscholar"];
+
+/**
+ * Register or replace a source adapter (e.g. a local stub standing in for an API)
+ * @param {string} name - Source key used in results and ?sources=
+ * @param {Object} adapter - { label, idField, search(params) }
+ */
+export function setPublicationSource(name, adapter) {
+  sources[name] = adapter;
+  cache.clear();
+}
+
+/**
+ * Restore the built-in adapters
+ */
+export function resetPublicationSources() {
+  sources = { ...DEFAULT_SOURCES };
+  cache.clear();
+}
+
+export function getPublicationSourceNames() {
+  return Object.keys(sources);
+}
+
+export function isPreprintSource(name) {
+  return Boolean(sources[name]?.preprint);
+}
+
+/**
+ * Parse ?sources=pubmed,openalex into known source names
+ * @returns {Array|null} - null when any name is unknown
+ */
+export function parsePublicationSources(value, fallback = DEFAULT_PUBLICATION_SOURCES) {
+  if (!value) return fallback;
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 0) return fallback;
+  return names.every((name) => sources[name]) ? [...new Set(names)] : null;
+}
+
+function normalizeTitle(title = "") {
+  return title
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function titleSimilarity(a, b) {
+  const tokensA = new Set(a.split(" "));
+  const tokensB = new Set(b.split(" "));
+  let shared = 0;
+  for (const token of tokensA) if (tokensB.has(token)) shared++;
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+const normalizeDoi = (doi) =>
+  doi ? String(doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, "").toLowerCase() : null;
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const isPreprintRecord = (item) =>
+  Boolean(item.isPreprint) ||
+  (item.publicationTypes || []).includes("Preprint") ||
+  /^(med|bio)rxiv/i.test(item.journal || "");
+
+/**
+ * Merge per-source result lists into one deduplicated list ordered by
+ * reciprocal rank fusion
+ * @param {Array} sourceResults - [{ source, items }] in source priority order
+ */
+export function mergePublicationResults(sourceResults) {
+  const records = [];
+  const byPmid = new Map();
+  const byDoi = new Map();
+  const byTitle = new Map();
+
+  const findRecord = (item, doi, title) => {
+    if (item.pmid && byPmid.has(String(item.pmid))) return byPmid.get(String(item.pmid));
+    if (doi && byDoi.has(doi)) return byDoi.get(doi);
+    if (!title || title === "untitled") return null;
+    // A preprint and its journal version usually share a title but are kept
+    // apart; the preprint gets a publishedVersion link instead
+    const preprint = isPreprintRecord(item);
+    const year = parseInt(item.year, 10);
+    // Recurring titles ("Annual report ...") are different papers years apart
+    const comparable = (record) => {
+      if (record.preprintRecord !== preprint) return false;
+      const recordYear = parseInt(record.year, 10);
+      return !(year && recordYear && Math.abs(year - recordYear) > 1);
+    };
+    const exact = byTitle.get(title);
+    if (exact && comparable(exact)) return exact;
+    return (
+      records.find(
+        (record) =>
+          comparable(record) &&
+          titleSimilarity(title, record.normalizedTitle) >= TITLE_SIMILARITY_THRESHOLD
+      ) || null
+    );
+  };
+
+  for (const { source, items } of sourceResults) {
+    const idField = sources[source]?.idField;
+    items.forEach((item, rank) => {
+      const doi = normalizeDoi(item.doi);
+      const title = normalizeTitle(item.title);
+      let record = findRecord(item, doi, title);
+
+      if (!record) {
+        record = {
+          ...item,
+          doi: item.doi || null,
+          normalizedTitle: title,
+          preprintRecord: isPreprintRecord(item),
+          sources: [],
+          sourceIds: {},
+          citationCounts: {},
+          federatedScore: 0,
+        };
+        records.push(record);
+      } else {
+        // Earlier (higher priority) sources win; later ones only fill gaps
+        for (const [field, value] of Object.entries(item)) {
+          if (isEmpty(record[field]) && !isEmpty(value)) record[field] = value;
+        }
+      }
+
+      if (!record.sources.includes(source)) {
+        record.sources.push(source);
+        record.federatedScore += 1 / (RRF_K + rank + 1);
+      }
+      if (idField && item[idField]) record.sourceIds[source] = String(item[idField]);
+      if (typeof item.citations === "number") record.citationCounts[source] = item.citations;
+      if (item.openAccess === true) record.openAccess = true;
+      if (!record.pdfUrl && item.pdfUrl) record.pdfUrl = item.pdfUrl;
+
+      if (record.pmid) byPmid.set(String(record.pmid), record);
+      const recordDoi = normalizeDoi(record.doi);
+      if (recordDoi) byDoi.set(recordDoi, record);
+      if (title) byTitle.set(title, record);
+    });
+  }
+
+  return records
+    .map(({ normalizedTitle, preprintRecord, ...record }) => {
+      const counts = Object.values(record.citationCounts);
+      return {
+        ...record,
+        // Sources count citations differently; report the highest
+        citations: counts.length > 0 ? Math.max(...counts) : record.citations ?? null,
+        federatedScore: Math.round(record.federatedScore * 10000) / 10000,
+      };
+    })
+    .sort((a, b) => b.federatedScore - a.federatedScore);
+}
+
+/**
+ * Flag preprints (not peer reviewed). A preprint stays a result of its own
+ * next to any journal version; attachPublishedVersions links the two for the
+ * page returned, so results and page boundaries don't depend on which
+ * lookups happen to be cached.
+ */
+export function flagPreprints(items) {
+  for (const item of items) {
+    item.isPreprint = isPreprintRecord(item);
+    item.peerReviewed = !item.isPreprint;
+  }
+  return items;
+}
+
+/**
+ * Stable id for a merged publication (read status, favorites). PMIDs stay bare
+ * as before; results only other sources know get a prefixed DOI or source id.
+ */
+export function publicationItemId(publication) {
+  if (publication.pmid) return String(publication.pmid);
+  const doi = normalizeDoi(publication.doi);
+  if (doi) return `doi:${doi}`;
+  if (publication.openAlexId) return `openalex:${publication.openAlexId}`;
+  if (publication.semanticScholarId) return `s2:${publication.semanticScholarId}`;
+  if (publication.preprintId) return `preprint:${publication.preprintId}`;
+  return null;
+}
+
+const yearOf = (date) => (date ? parseInt(String(date).slice(0, 4), 10) || undefined : undefined);
+
+/**
+ * Search several publication sources and merge the results
+ * @param {Object} params
+ * @param {string} params.pubmedQuery - PubMed E-utilities query (see parseQuery)
+ * @param {string} params.text - Plain search terms for the non-PubMed sources
+ * @param {boolean} params.plainQuery - Whether text carries the whole query (see
+ *   isPlainTermQuery); when it doesn't, plain-term sources are skipped
+ * @param {Array} params.sources - Source names, defaults to DEFAULT_PUBLICATION_SOURCES
+ * @param {boolean} params.includePreprints - false drops preprint sources and preprint results
+ * @returns {Promise<Object>} - { items, totalCount, sources: { name: { ok, count, totalCount, error, skipped } } }
+ */
+export async function searchPublicationsFederated({
+  pubmedQuery = "",
+  text = "",
+  plainQuery = true,
+  mindate = "",
+  maxdate = "",
+  limit = 100,
+  sources: sourceNames = DEFAULT_PUBLICATION_SOURCES,
+  includePreprints = false,
+} = {}) {
+  if (!includePreprints) {
+    sourceNames = sourceNames.filter((name) => !isPreprintSource(name));
+  }
+  const skipped = plainQuery ? [] : sourceNames.filter((name) => !sources[name].fullQuery);
+  sourceNames = sourceNames.filter((name) => !skipped.includes(name));
+
+  // [dp] ranges from the query language apply to every source
+  const queryDates = extractDateRangeFromQuery(pubmedQuery);
+  const params = {
+    pubmedQuery,
+    text: text || pubmedQuery,
+    mindate,
+    maxdate,
+    fromYear: yearOf(mindate || queryDates?.mindate),
+    toYear: yearOf(maxdate || queryDates?.maxdate),
+    limit,
+  };
+
+  const settled = await Promise.all(
+    sourceNames.map(async (source) => {
+      const cacheKey = `${source}:${JSON.stringify(params)}`;
+      const cached = cache.get(cacheKey);
+      if (cached) return cached;
+      try {
+        const result = await sources[source].search(params);
+        const value = { source, items: result.items || [], totalCount: result.totalCount || 0 };
+        cache.set(cacheKey, value);
+        return value;
+      } catch (error) {
+        console.error(`Error searching ${source}:`, error.message);
+        return { source, items: [], totalCount: 0, error: error.message };
+      }
+    })
+  );
+
+  let items = flagPreprints(mergePublicationResults(settled));
+  // Other sources index preprints too
+  if (!includePreprints) items = items.filter((item) => !item.isPreprint);
+
+  return {
+    items,
+    // The largest source total; merged results overlap too much to add them up
+    totalCount: Math.max(items.length, ...settled.map((r) => r.totalCount)),
+    sources: Object.fromEntries([
+      ...settled.map(({ source, items: sourceItems, totalCount, error }) => [
+        source,
+        {
+          label: sources[source].label || source,
+          ok: !error,
+          count: sourceItems.length,
+          totalCount,
+          ...(error && { error }),
+        },
+      ]),
+      ...skipped.map((source) => [
+        source,
+        {
+          label: sources[source].label || source,
+          ok: false,
+          count: 0,
+          totalCount: 0,
+          skipped: "Only plain keyword searches go to this source (no NOT, OR, fields or phrases)",
+        },
+      ]),
+    ]),
+  };
+}
@@ -1,5 +1,6 @@
 import axios from "axios";
 import dotenv from "dotenv";
+import { createTtlCache } from "../utils/ttlCache.js";
 
 dotenv.config();
 
@@ -432,3 +433,229 @@ export async function searchGoogleScholar({ q = "", num = 10 } = {}) {
     return [];
   }
 }
+
+// OpenAlex accepts up to 100 OR-ed values per filter; keep batches smaller
+const CITATION_BATCH_SIZE = 50;
+
+// Citation counts by PMID, kept apart from the author cache and capped, since
+// evidence ranking looks up hundreds per search. Oldest entries go first.
+const citationCountCache = createTtlCache({ ttlMs: CACHE_TTL_MS, maxEntries: 5000 });
+
+/**
+ * Look up OpenAlex citation counts for PubMed IDs
+ * @param {Array<string>} pmids - PubMed IDs
+ * @returns {Promise<Map>} Map of pmid -> cited_by_count (missing when not found)
+ */
+export async function fetchCitationCountsByPmid(pmids = []) {
+  const counts = new Map();
+  const missing = [];
+
+  for (const pmid of [...new Set(pmids.map(String).filter(Boolean))]) {
+    const cached = citationCountCache.get(pmid);
+    if (cached !== undefined) counts.set(pmid, cached);
+    else missing.push(pmid);
+  }
+
+  const batches = [];
+  for (let i = 0; i < missing.length; i += CITATION_BATCH_SIZE) {
+    batches.push(missing.slice(i, i + CITATION_BATCH_SIZE));
+  }
+
+  await Promise.all(
+    batches.map(async (batch) => {
+      try {
+        const response = await axios.get(`${OPENALEX_BASE_URL}/works`, {
+          params: {
+            filter: `ids.pmid:${batch.join("|")}`,
+            select: "ids,cited_by_count",
+            per_page: batch.length,
+            mailto: OPENALEX_EMAIL,
+          },
+          timeout: 15000,
+        });
+
+        for (const work of response.data?.results || []) {
+          // ids.pmid looks like "https://pubmed.ncbi.nlm.nih.gov/12345"
+          const pmid = String(work.ids?.pmid || "").split("/").filter(Boolean).pop();
+          if (!pmid) continue;
+          const citedBy = work.cited_by_count || 0;
+          counts.set(pmid, citedBy);
+          citationCountCache.set(pmid, citedBy);
+        }
+      } catch (error) {
+        console.error("Error fetching OpenAlex citation counts:", error.message);
+      }
+    })
+  );
+
+  return counts;
+}
+
+const OPENALEX_WORK_FIELDS =
+  "id,ids,doi,title,publication_year,authorships,primary_location,cited_by_count,abstract_inverted_index,open_access,best_oa_location";
+
+function reconstructAbstract(invertedIndex) {
+  if (!invertedIndex) return "";
+  const wordPositions = [];
+  for (const [word, positions] of Object.entries(invertedIndex)) {
+    for (const pos of positions) wordPositions.push({ word, pos });
+  }
+  return wordPositions
+    .sort((a, b) => a.pos - b.pos)
+    .map((wp) => wp.word)
+    .join(" ");
+}
+
+// Shape an OpenAlex work like a PubMed search item
+function toOpenAlexPublication(work) {
+  const pmid = String(work.ids?.pmid || "").split("/").filter(Boolean).pop() || null;
+  const doi = work.doi ? work.doi.replace(/^https?:\/\/doi\.org\//i, "") : null;
+  return {
+    openAlexId: work.id?.replace("https://openalex.org/", ""),
+    pmid,
+    doi,
+    title: work.title || "Untitled",
+    abstract: reconstructAbstract(work.abstract_inverted_index),
+    authors: (work.authorships || [])
+      .map((authorship) => authorship.author?.display_name)
+      .filter(Boolean),
+    journal: work.primary_location?.source?.display_name || "",
+    year: work.publication_year || null,
+    citations: work.cited_by_count || 0,
+    openAccess: work.open_access ? Boolean(work.open_access.is_oa) : undefined,
+    pdfUrl: work.best_oa_location?.pdf_url || null,
+    url: pmid
+      ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
+      : work.doi || work.id,
+  };
+}
+
+/**
+ * Papers citing a PubMed article and papers it cites, via OpenAlex
+ * @param {string} pmid - PubMed ID
+ * @param {Object} options - { limit } per direction, most cited first
+ * @returns {Promise<Object|null>} - { work, citedBy, references } or null if OpenAlex has no record
+ */
+export async function fetchOpenAlexCitationNetwork(pmid, { limit = 20 } = {}) {
+  let work;
+  try {
+    const response = await axios.get(`${OPENALEX_BASE_URL}/works/pmid:${pmid}`, {
+      params: { mailto: OPENALEX_EMAIL },
+      timeout: 15000,
+    });
+    work = response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+
+  const workId = work.id?.replace("https://openalex.org/", "");
+  const referenceIds = (work.referenced_works || [])
+    .map((id) => id.replace("https://openalex.org/", ""))
+    .slice(0, 100);
+
+  const fetchWorks = async (filter) => {
+    try {
+      const response = await axios.get(`${OPENALEX_BASE_URL}/works`, {
+        params: {
+          filter,
+          select: OPENALEX_WORK_FIELDS,
+          sort: "cited_by_count:desc",
+          per_page: limit,
+          mailto: OPENALEX_EMAIL,
+        },
+        timeout: 15000,
+      });
+      return (response.data?.results || []).map(toOpenAlexPublication);
+    } catch (error) {
+      console.error("Error fetching OpenAlex works:", error.message);
+      return [];
+    }
+  };
+
+  const [citedBy, references] = await Promise.all([
+    fetchWorks(`cites:${workId}`),
+    referenceIds.length > 0
+      ? fetchWorks(`openalex:${referenceIds.join("|")}`)
+      : Promise.resolve([]),
+  ]);
+
+  return { work: toOpenAlexPublication(work), citedBy, references };
+}
+
+/**
+ * Search OpenAlex works by free text, shaped like PubMed search items
+ * @param {Object} params - { q, limit, fromYear, toYear }
+ * @returns {Promise<Object>} - { items, totalCount }; throws on API errors
+ */
+export async function searchOpenAlexWorks({ q = "", limit = 50, fromYear, toYear } = {}) {
+  if (!q.trim()) return { items: [], totalCount: 0 };
+
+  const filters = [];
+  if (fromYear) filters.push(`from_publication_date:${fromYear}-01-01`);
+  if (toYear) filters.push(`to_publication_date:${toYear}-12-31`);
+
+  const response = await axios.get(`${OPENALEX_BASE_URL}/works`, {
+    params: {
+      search: q.trim(),
+      ...(filters.length > 0 && { filter: filters.join(",") }),
+      select: OPENALEX_WORK_FIELDS,
+      per_page: Math.min(Math.max(1, limit), 200),
+      mailto: OPENALEX_EMAIL,
+    },
+    timeout: 15000,
+  });
+
+  return {
+    items: (response.data?.results || []).map(toOpenAlexPublication),
+    totalCount: response.data?.meta?.count || 0,
+  };
+}
+
+const SEMANTIC_SCHOLAR_PAPER_FIELDS =
+  "paperId,externalIds,title,abstract,year,venue,authors,citationCount,isOpenAccess,openAccessPdf,url";
+
+/**
+ * Search Semantic Scholar papers by free text, shaped like PubMed search items
+ * @param {Object} params - { q, limit, fromYear, toYear }
+ * @returns {Promise<Object>} - { items, totalCount }; throws on API errors
+ */
+export async function searchSemanticScholarPapers({ q = "", limit = 50, fromYear, toYear } = {}) {
+  if (!q.trim()) return { items: [], totalCount: 0 };
+
+  const response = await axios.get(
+    "https://api.semanticscholar.org/graph/v1/paper/search",
+    {
+      params: {
+        query: q.trim(),
+        fields: SEMANTIC_SCHOLAR_PAPER_FIELDS,
+        limit: Math.min(Math.max(1, limit), 100),
+        ...((fromYear || toYear) && { year: `${fromYear || ""}-${toYear || ""}` }),
+      },
+      headers: process.env.SEMANTIC_SCHOLAR_API_KEY
+        ? { "x-api-key": process.env.SEMANTIC_SCHOLAR_API_KEY }
+        : {},
+      timeout: 15000,
+    }
+  );
+
+  const items = (response.data?.data || []).map((paper) => {
+    const pmid = paper.externalIds?.PubMed || null;
+    return {
+      semanticScholarId: paper.paperId,
+      pmid,
+      doi: paper.externalIds?.DOI || null,
+      title: paper.title || "Untitled",
+      abstract: paper.abstract || "",
+      authors: (paper.authors || []).map((a) => a.name).filter(Boolean),
+      journal: paper.venue || "",
+      year: paper.year || null,
+      citations: paper.citationCount ?? null,
+      openAccess: typeof paper.isOpenAccess === "boolean" ? paper.isOpenAccess : undefined,
+      pdfUrl: paper.openAccessPdf?.url || null,
+      url: pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : paper.url,
+    };
+  });
+
+  return { items, totalCount: response.data?.total || items.length };
+}
@@ -0,0 +1,303 @@
+/**
+ * Hosted Trial Service
+ * Lifecycle, validation and search support for trials researchers publish
+ * directly on CuraLink (as opposed to ClinicalTrials.gov studies)
+ */
+
+import { Trial } from "../models/Trial.js";
+import { parseEligibilityCriteria } from "./eligibilityCriteria.service.js";
+import {
+  filterTrialsByEligibility,
+  annotateNearestSite,
+} from "./clinicalTrials.service.js";
+import { parseLocation, isPreciseLocation } from "../utils/geography.js";
+
+export const HOSTED_TRIAL_SOURCE = "CuraLink-hosted";
+
+// draft -> published -> recruiting -> closed (a published trial may close without recruiting)
+export const TRIAL_STATUS_TRANSITIONS = {
+  draft: ["published"],
+  published: ["recruiting", "closed"],
+  recruiting: ["closed"],
+  closed: [],
+};
+
+// Statuses visible to anyone other than the owner
+export const PUBLIC_TRIAL_STATUSES = ["published", "recruiting", "closed"];
+
+// How hosted statuses line up with ClinicalTrials.gov overallStatus values
+const CTGOV_STATUS_MAP = {
+  published: "NOT_YET_RECRUITING",
+  recruiting: "RECRUITING",
+  closed: "COMPLETED",
+};
+
+export const TRIAL_PHASES = [
+  "EARLY_PHASE1",
+  "PHASE1",
+  "PHASE2",
+  "PHASE3",
+  "PHASE4",
+  // Combined phases as ClinicalTrials.gov lists them, e.g. for imported trials
+  "PHASE1/PHASE2",
+  "PHASE2/PHASE3",
+  "NA",
+];
+
+const EDITABLE_FIELDS = [
+  "title",
+  "phase",
+  "conditions",
+  "location",
+  "eligibility",
+  "gender",
+  "minimumAge",
+  "maximumAge",
+  "description",
+  "contacts",
+];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function canTransition(from, to) {
+  return (TRIAL_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Validate and pick editable fields from a create/update payload
+ * @param {Object} payload - Request body
+ * @param {Object} options - { partial } for updates
+ * @returns {Object} - { errors, value }
+ */
+export function validateTrialPayload(payload = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  for (const field of EDITABLE_FIELDS) {
+    if (payload[field] !== undefined) value[field] = payload[field];
+  }
+
+  if (!partial || value.title !== undefined) {
+    if (typeof value.title !== "string" || !value.title.trim()) {
+      errors.push("title is required");
+    } else if (value.title.trim().length > 300) {
+      errors.push("title must be 300 characters or fewer");
+    } else {
+      value.title = value.title.trim();
+    }
+  }
+
+  if (value.phase !== undefined && value.phase !== null && value.phase !== "") {
+    const phase = String(value.phase).toUpperCase().replace(/\s+/g, "");
+    if (!TRIAL_PHASES.includes(phase)) {
+      errors.push(`phase must be one of ${TRIAL_PHASES.join(", ")}`);
+    } else {
+      value.phase = phase;
+    }
+  }
+
+  if (value.conditions !== undefined) {
+    if (!Array.isArray(value.conditions) || value.conditions.some((c) => typeof c !== "string")) {
+      errors.push("conditions must be an array of strings");
+    } else {
+      value.conditions = value.conditions.map((c) => c.trim()).filter(Boolean);
+    }
+  }
+
+  for (const field of ["location", "eligibility", "description"]) {
+    if (value[field] !== undefined && value[field] !== null && typeof value[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  if (value.gender !== undefined && !["All", "Female", "Male"].includes(value.gender)) {
+    errors.push("gender must be All, Female or Male");
+  }
+
+  for (const field of ["minimumAge", "maximumAge"]) {
+    if (value[field] === undefined || value[field] === null || value[field] === "") {
+      if (value[field] === "") value[field] = null;
+      continue;
+    }
+    const age = Number(value[field]);
+    if (!Number.isInteger(age) || age < 0 || age > 120) {
+      errors.push(`${field} must be a whole number between 0 and 120`);
+    } else {
+      value[field] = age;
+    }
+  }
+  if (
+    Number.isInteger(value.minimumAge) &&
+    Number.isInteger(value.maximumAge) &&
+    value.minimumAge > value.maximumAge
+  ) {
+    errors.push("minimumAge cannot be greater than maximumAge");
+  }
+
+  if (value.contacts !== undefined) {
+    if (!Array.isArray(value.contacts)) {
+      errors.push("contacts must be an array");
+    } else {
+      value.contacts = value.contacts.map((c) => ({
+        name: c?.name?.trim() || "",
+        email: c?.email?.trim() || "",
+        phone: c?.phone?.trim() || "",
+      }));
+      if (value.contacts.some((c) => c.email && !EMAIL_REGEX.test(c.email))) {
+        errors.push("contacts must have valid email addresses");
+      }
+    }
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Fields a trial needs before it can leave draft
+ */
+export function getPublishErrors(trial) {
+  const errors = [];
+  if (!trial.description?.trim()) errors.push("description is required to publish");
+  if (!trial.eligibility?.trim()) errors.push("eligibility is required to publish");
+  if (!trial.contacts?.some((c) => c.email || c.phone)) {
+    errors.push("at least one contact with an email or phone is required to publish");
+  }
+  return errors;
+}
+
+/**
+ * Shape a hosted trial like a ClinicalTrials.gov search item
+ */
+export function toTrialSearchItem(trial) {
+  const id = trial._id.toString();
+  const coords = parseLocation(trial.location);
+  const formatAge = (age) =>
+    Number.isInteger(age) ? `${age} Years` : "Not specified";
+
+  return {
+    id,
+    _id: id,
+    title: trial.title,
+    status: CTGOV_STATUS_MAP[trial.status] || "Unknown",
+    hostedStatus: trial.status,
+    phase: trial.phase || "N/A",
+    conditions: trial.conditions || [],
+    location: trial.location || "Not specified",
+    locations: trial.location ? [trial.location] : [],
+    sites: trial.sites?.length
+      ? trial.sites.map((site) => {
+          if (typeof site.lat === "number" && typeof site.lon === "number") {
+            return site;
+          }
+          const siteCoords = parseLocation({
+            city: site.city,
+            state: site.state,
+            country: site.country,
+          });
+          return {
+            ...site,
+            lat: isPreciseLocation(siteCoords) ? siteCoords.lat : null,
+            lon: isPreciseLocation(siteCoords) ? siteCoords.lon : null,
+          };
+        })
+      : trial.location
+      ? [
+          {
+            facility: trial.location,
+            city: "",
+            state: "",
+            country: "",
+            lat: isPreciseLocation(coords) ? coords.lat : null,
+            lon: isPreciseLocation(coords) ? coords.lon : null,
+          },
+        ]
+      : [],
+    eligibility: {
+      criteria: trial.eligibility || "Not specified",
+      gender: trial.gender || "All",
+      minimumAge: formatAge(trial.minimumAge),
+      maximumAge: formatAge(trial.maximumAge),
+      structured: parseEligibilityCriteria(trial.eligibility),
+    },
+    contacts: trial.contacts || [],
+    description: trial.description || "No description available.",
+    ownerResearcherId: trial.ownerResearcherId,
+    isCuraLinkHosted: true,
+    source: HOSTED_TRIAL_SOURCE,
+    // Imported trials keep a link back to their registry record
+    nctId: trial.source?.nctId || null,
+    clinicalTrialsGovUrl: trial.source?.url || null,
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Search published hosted trials with the same filters as searchClinicalTrials
+ */
+export async function searchHostedTrials({
+  q = "",
+  status,
+  phase,
+  eligibilitySex,
+  eligibilityAgeMin,
+  eligibilityAgeMax,
+  eligibilityEcog,
+  eligibilityPriorLines,
+  eligibilityPregnant,
+  eligibilityBiomarkers,
+  radiusMiles,
+  userLocation,
+  limit = 50,
+} = {}) {
+  const requestedStatuses = (status || "RECRUITING,NOT_YET_RECRUITING")
+    .split(",")
+    .map((s) => s.trim().toUpperCase());
+  const hostedStatuses = Object.entries(CTGOV_STATUS_MAP)
+    .filter(([, ctgovStatus]) => requestedStatuses.includes(ctgovStatus))
+    .map(([hostedStatus]) => hostedStatus);
+  if (hostedStatuses.length === 0) return [];
+
+  const query = { status: { $in: hostedStatuses } };
+  if (phase) {
+    query.phase = new RegExp(escapeRegex(phase.replace(/\s+/g, "")), "i");
+  }
+
+  const terms = q.trim().split(/\s+/).filter((t) => t.length > 2);
+  if (terms.length > 0) {
+    query.$and = terms.map((term) => {
+      const regex = new RegExp(escapeRegex(term), "i");
+      return {
+        $or: [{ title: regex }, { description: regex }, { conditions: regex }],
+      };
+    });
+  }
+
+  const trials = await Trial.find(query)
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  let items = trials.map(toTrialSearchItem);
+
+  const originCoords = parseLocation(
+    typeof userLocation === "string" ? JSON.parse(userLocation) : userLocation
+  );
+  items = annotateNearestSite(
+    items,
+    isPreciseLocation(originCoords) ? originCoords : null
+  );
+
+  return filterTrialsByEligibility(items, {
+    eligibilitySex,
+    eligibilityAgeMin,
+    eligibilityAgeMax,
+    eligibilityEcog,
+    eligibilityPriorLines,
+    eligibilityPregnant,
+    eligibilityBiomarkers,
+    radiusMiles,
+  });
+}
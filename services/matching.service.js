@@ -4,6 +4,8 @@
  * multi-phrase support, and smoother scoring curves.
  */
 
+import { DEFAULT_RANKING_CONFIG } from "./rankingConfig.service.js";
+
 /* ---------------------------------------------------------
    IMPROVED STEMMER (very lightweight)
    --------------------------------------------------------- */
@@ -610,7 +612,11 @@ export function calculatePublicationMatch(pub, userProfile) {
 /* ---------------------------------------------------------
      EXPERT MATCH
      --------------------------------------------------------- */
-export function calculateExpertMatch(expert, userProfile) {
+export function calculateExpertMatch(
+  expert,
+  userProfile,
+  weights = DEFAULT_RANKING_CONFIG.expertMatch
+) {
   // Support both patient and researcher profiles
   const userConditions = userProfile?.patient?.conditions || [];
   const userKeywords = userProfile?.patient?.keywords || [];
@@ -714,33 +720,37 @@ export function calculateExpertMatch(expert, userProfile) {
     expert.location
   );
 
-  // Adjust weights based on whether we have both research area and disease interest
-  let interestWeight = 0.7;
-  let locationWeight = 0.2;
-  let researchInterestsWeight = 0.1;
-  
-  if (hasBothResearchAndDisease) {
-    // When both are present, give more weight to research interests
-    interestWeight = 0.5;
-    researchInterestsWeight = 0.3; // Increased from 0.1 to 0.3
-    locationWeight = 0.2;
-  }
+  // Weights come from the ranking config; research interests count for more
+  // when we have both research area and disease interest
+  const factorWeights = hasBothResearchAndDisease
+    ? weights.specialtyWeights
+    : weights.weights;
 
-  const weighted = 
-    interestScore * interestWeight + 
-    locationScore * locationWeight + 
-    researchInterestsScore * researchInterestsWeight;
-    
-  let final = weighted;
-  // Add base score boost
-  final += 0.15; // Base boost for all matches
-  if (interestScore > 0.4) final += 0.15; // Additional boost for interest matches
-  
+  const factors = [
+    { factor: "interest", label: "Interest match", score: interestScore },
+    { factor: "location", label: "Location", score: locationScore },
+    {
+      factor: "researchInterests",
+      label: "Research interests overlap",
+      score: researchInterestsScore,
+    },
+  ].map((f) => ({
+    ...f,
+    weight: factorWeights[f.factor],
+    contribution: f.score * factorWeights[f.factor],
+  }));
+  const weighted = factors.reduce((sum, f) => sum + f.contribution, 0);
+
+  const boosts = [{ reason: "Base score", value: 0.15 }];
+  if (interestScore > 0.4) {
+    boosts.push({ reason: "Strong interest match", value: 0.15 });
+  }
   // Extra boost when research interests match well with both research area and disease
   if (hasBothResearchAndDisease && researchInterestsScore > 0.5) {
-    final += 0.1; // Additional boost for strong research interests match
+    boosts.push({ reason: "Specialty alignment", value: 0.1 });
   }
-  
+
+  let final = weighted + boosts.reduce((sum, b) => sum + b.value, 0);
   final = Math.min(0.97, final); // Cap at 100%
   final = Math.max(0.15, final); // Higher minimum score (20%)
 
@@ -756,5 +766,7 @@ export function calculateExpertMatch(expert, userProfile) {
     matchExplanation: parts.length
       ? `Based on ${parts.join(", ")}`
       : "General match",
+    // Per-factor scores behind matchPercentage
+    matchBreakdown: { factors, boosts, score: final },
   };
 }
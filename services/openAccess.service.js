@@ -0,0 +1,199 @@
+/**
+ * Open Access Service
+ * Resolves whether a PubMed publication is free to read: PMCID via the NCBI ID
+ * converter, open-access status and PDF links via OpenAlex
+ */
+
+import axios from "axios";
+import dotenv from "dotenv";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+dotenv.config();
+
+const IDCONV_URL = "https://www.ncbi.nlm.nih.gov/pmc/utils/idconv/v1.0/";
+const OPENALEX_BASE_URL = "https://api.openalex.org";
+const OPENALEX_EMAIL = process.env.OPENALEX_EMAIL || "user@example.com";
+const IDCONV_BATCH_SIZE = 200;
+const OPENALEX_BATCH_SIZE = 50;
+const CACHE_TTL_MS = 1000 * 60 * 60 * 24; // Open-access status rarely changes
+const CACHE_MAX_ENTRIES = 5000;
+
+const chunk = (items, size) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+};
+
+export const pmcArticleUrl = (pmcid) =>
+  `https://pmc.ncbi.nlm.nih.gov/articles/${pmcid}/`;
+
+/**
+ * Map PMIDs to PMCIDs with the NCBI ID converter
+ * @returns {Promise<Map>} - pmid -> pmcid (only articles deposited in PMC)
+ */
+async function fetchPmcIds(pmids) {
+  const pmcIds = new Map();
+  await Promise.all(
+    chunk(pmids, IDCONV_BATCH_SIZE).map(async (batch) => {
+      try {
+        const response = await axios.get(IDCONV_URL, {
+          params: {
+            ids: batch.join(","),
+            idtype: "pmid",
+            format: "json",
+            tool: "curalink",
+            email: OPENALEX_EMAIL,
+          },
+          timeout: 15000,
+        });
+        for (const record of response.data?.records || []) {
+          if (record.pmid && record.pmcid && !record.status) {
+            pmcIds.set(String(record.pmid), record.pmcid);
+          }
+        }
+      } catch (error) {
+        console.error("Error converting PMIDs to PMCIDs:", error.message);
+      }
+    })
+  );
+  return pmcIds;
+}
+
+/**
+ * Look up open-access metadata for PMIDs in OpenAlex
+ * @returns {Promise<Map>} - pmid -> { isOpenAccess, status, oaUrl, pdfUrl, pmcid }
+ */
+async function fetchOpenAlexAccess(pmids) {
+  const access = new Map();
+  await Promise.all(
+    chunk(pmids, OPENALEX_BATCH_SIZE).map(async (batch) => {
+      try {
+        const response = await axios.get(`${OPENALEX_BASE_URL}/works`, {
+          params: {
+            filter: `ids.pmid:${batch.join("|")}`,
+            select: "ids,open_access,best_oa_location",
+            per_page: batch.length,
+            mailto: OPENALEX_EMAIL,
+          },
+          timeout: 15000,
+        });
+        for (const work of response.data?.results || []) {
+          const pmid = String(work.ids?.pmid || "").split("/").filter(Boolean).pop();
+          if (!pmid) continue;
+          const pmcid = String(work.ids?.pmcid || "").split("/").filter(Boolean).pop();
+          access.set(pmid, {
+            isOpenAccess: Boolean(work.open_access?.is_oa),
+            status: work.open_access?.oa_status || null,
+            oaUrl:
+              work.open_access?.oa_url ||
+              work.best_oa_location?.landing_page_url ||
+              null,
+            pdfUrl: work.best_oa_location?.pdf_url || null,
+            pmcid: pmcid ? pmcid.toUpperCase().replace(/^(PMC)?/, "PMC") : null,
+          });
+        }
+      } catch (error) {
+        console.error("Error fetching OpenAlex open-access data:", error.message);
+      }
+    })
+  );
+  return access;
+}
+
+/**
+ * Build a resolver; pass fetchers to run offline
+ * @param {Object} fetchers - { fetchPmcIds(pmids), fetchOpenAlexAccess(pmids) }, both resolving to Maps keyed by pmid
+ * @returns {Function} - async (publications) => Map of pmid -> open-access fields
+ */
+export function createOpenAccessResolver({
+  fetchPmcIds: lookupPmcIds = fetchPmcIds,
+  fetchOpenAlexAccess: lookupOpenAlex = fetchOpenAlexAccess,
+} = {}) {
+  const cache = createTtlCache({ ttlMs: CACHE_TTL_MS, maxEntries: CACHE_MAX_ENTRIES });
+
+  return async function resolve(publications) {
+    const results = new Map();
+    const pending = [];
+
+    for (const publication of publications) {
+      const pmid = publication.pmid ? String(publication.pmid) : null;
+      if (!pmid || results.has(pmid)) continue;
+      const cached = cache.get(pmid);
+      if (cached) {
+        results.set(pmid, cached);
+      } else {
+        pending.push(publication);
+      }
+    }
+    if (pending.length === 0) return results;
+
+    const pendingPmids = [...new Set(pending.map((p) => String(p.pmid)))];
+    // efetch records usually carry the PMCID already
+    const needsPmcId = pending.filter((p) => !p.pmcid).map((p) => String(p.pmid));
+    const [pmcIds, openAlex] = await Promise.all([
+      needsPmcId.length > 0 ? lookupPmcIds(needsPmcId) : new Map(),
+      lookupOpenAlex(pendingPmids),
+    ]);
+
+    for (const publication of pending) {
+      const pmid = String(publication.pmid);
+      if (results.has(pmid)) continue;
+      const work = openAlex.get(pmid);
+      const pmcid = publication.pmcid || pmcIds.get(pmid) || work?.pmcid || null;
+      const pmcUrl = pmcid ? pmcArticleUrl(pmcid) : null;
+      // A PMCID alone doesn't make an article free: embargoed deposits have
+      // one too. OpenAlex decides; without it the status is unknown (null).
+      const openAccess = work ? work.isOpenAccess : null;
+
+      const value = {
+        openAccess,
+        openAccessStatus: work?.status || null,
+        pmcid,
+        pmcUrl,
+        pdfUrl: openAccess ? work.pdfUrl || (pmcUrl ? `${pmcUrl}pdf/` : null) : null,
+        freeFullTextUrl: openAccess ? pmcUrl || work.oaUrl || null : null,
+      };
+      results.set(pmid, value);
+      // Don't cache misses so a transient outage doesn't stick for a day
+      if (value.openAccess !== null) {
+        cache.set(pmid, value);
+      }
+    }
+
+    return results;
+  };
+}
+
+let activeResolver = createOpenAccessResolver();
+
+/**
+ * Swap the resolver used by attachOpenAccess (e.g. an offline stub in tests);
+ * pass nothing to restore the network-backed default
+ */
+export function setOpenAccessResolver(resolver) {
+  activeResolver = resolver || createOpenAccessResolver();
+}
+
+/**
+ * Add openAccess, openAccessStatus, pmcid, pmcUrl, pdfUrl and freeFullTextUrl
+ * to each publication; publications without a PMID are returned unchanged
+ */
+export async function attachOpenAccess(publications) {
+  if (!publications?.length) return publications || [];
+  let resolved = new Map();
+  try {
+    resolved = await activeResolver(publications);
+  } catch (error) {
+    console.error("Error resolving open access:", error.message);
+  }
+  return publications.map((publication) => {
+    const access = publication.pmid ? resolved.get(String(publication.pmid)) : null;
+    if (!access) return publication;
+    // Keep open-access links a search source already found
+    const merged = { ...publication };
+    for (const [field, value] of Object.entries(access)) {
+      if (value || !merged[field]) merged[field] = value;
+    }
+    return merged;
+  });
+}
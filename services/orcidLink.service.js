@@ -0,0 +1,246 @@
+/**
+ * ORCID Link Service
+ * ORCID sign-in to verify a researcher's iD, a one-time import of their
+ * employments, education and works into Profile, and stored ORCID snapshots
+ * that a daily resync keeps current
+ */
+
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { Profile } from "../models/Profile.js";
+import { OrcidSnapshot } from "../models/OrcidSnapshot.js";
+import { fetchFullORCIDProfile } from "./orcid.service.js";
+import { normalizeOrcid } from "./externalExpert.service.js";
+
+dotenv.config();
+
+// https://sandbox.orcid.org for testing
+const ORCID_BASE_URL = process.env.ORCID_BASE_URL || "https://orcid.org";
+const ORCID_CLIENT_ID = process.env.ORCID_CLIENT_ID;
+const ORCID_CLIENT_SECRET = process.env.ORCID_CLIENT_SECRET;
+// Frontend page ORCID sends the user back to; it posts code and state to /orcid/callback
+const ORCID_REDIRECT_URI = process.env.ORCID_REDIRECT_URI;
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+const STATE_TTL = "10m";
+const MAX_IMPORTED_WORKS = 200;
+export const ORCID_SNAPSHOT_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7;
+// Each resync makes several ORCID requests; stop starting new ones after this
+// so the cron returns inside the function timeout. The rest wait for the next run.
+const RESYNC_TIME_BUDGET_MS = 1000 * 20;
+
+export const isOrcidOAuthConfigured = () =>
+  Boolean(ORCID_CLIENT_ID && ORCID_CLIENT_SECRET && ORCID_REDIRECT_URI);
+
+/**
+ * ORCID authorize URL; state ties the callback to the user who started it
+ */
+export function buildOrcidAuthorizeUrl(userId) {
+  const state = jwt.sign({ userId: String(userId), purpose: "orcid-link" }, JWT_SECRET, {
+    expiresIn: STATE_TTL,
+  });
+  const params = new URLSearchParams({
+    client_id: ORCID_CLIENT_ID,
+    response_type: "code",
+    scope: "/authenticate",
+    redirect_uri: ORCID_REDIRECT_URI,
+    state,
+  });
+  return `${ORCID_BASE_URL}/oauth/authorize?${params}`;
+}
+
+/**
+ * @returns {boolean} - Whether state was issued to this user and hasn't expired
+ */
+export function verifyOrcidState(state, userId) {
+  try {
+    const decoded = jwt.verify(state, JWT_SECRET);
+    return decoded.purpose === "orcid-link" && decoded.userId === String(userId);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Exchange an authorization code for the authenticated ORCID iD
+ * @returns {Promise<Object>} - { orcid, name }
+ */
+export async function exchangeOrcidCode(code) {
+  const response = await axios.post(
+    `${ORCID_BASE_URL}/oauth/token`,
+    new URLSearchParams({
+      client_id: ORCID_CLIENT_ID,
+      client_secret: ORCID_CLIENT_SECRET,
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: ORCID_REDIRECT_URI,
+    }).toString(),
+    {
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      timeout: 10000,
+    }
+  );
+  // Only the iD is needed; the /authenticate token isn't kept
+  return { orcid: normalizeOrcid(response.data?.orcid), name: response.data?.name || null };
+}
+
+/**
+ * Fetch the public ORCID record and store it
+ * @returns {Promise<Object|null>} - Snapshot data, or null when ORCID couldn't be reached
+ */
+export async function refreshOrcidSnapshot(orcid, { userId, now = new Date() } = {}) {
+  const data = await fetchFullORCIDProfile(orcid);
+  // Keep the previous snapshot when the fetch fails
+  if (!data) return null;
+  await OrcidSnapshot.updateOne(
+    { orcid },
+    { $set: { data, fetchedAt: now, ...(userId && { userId }) } },
+    { upsert: true }
+  );
+  return data;
+}
+
+/**
+ * Stored ORCID record, fetched and stored only when there is none yet
+ * @returns {Promise<Object|null>}
+ */
+export async function getOrcidSnapshot(orcid, { userId } = {}) {
+  const normalized = normalizeOrcid(orcid);
+  if (!normalized) return null;
+  const snapshot = await OrcidSnapshot.findOne({ orcid: normalized }).lean();
+  if (snapshot) return snapshot.data;
+  return refreshOrcidSnapshot(normalized, { userId });
+}
+
+const yearOf = (date) => (date ? String(date).slice(0, 4).replace(/\D/g, "") || null : null);
+
+/**
+ * Fields to fill from an ORCID record; only sections the researcher left empty
+ * are filled, so their own edits are kept
+ * @returns {Object} - $set paths for Profile
+ */
+export function buildOrcidImport(researcher = {}, data) {
+  const update = {};
+  const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+  if (isEmpty(researcher.employments) && data.employments?.length) {
+    update["researcher.employments"] = data.employments.map((employment) => ({
+      organization: employment.organization,
+      roleTitle: employment.roleTitle,
+      department: employment.department,
+      startDate: employment.startDate,
+      endDate: employment.endDate,
+    }));
+  }
+  if (isEmpty(researcher.education) && data.educations?.length) {
+    update["researcher.education"] = data.educations.map((education) => ({
+      institution: education.organization,
+      degree: education.degree,
+      field: education.department,
+      year: yearOf(education.endDate) || yearOf(education.startDate),
+    }));
+  }
+  if (isEmpty(researcher.works) && data.works?.length) {
+    update["researcher.works"] = data.works.slice(0, MAX_IMPORTED_WORKS).map((work) => ({
+      title: work.title,
+      year: work.year,
+      journal: work.journal,
+      type: work.type,
+      doi: work.doi,
+      pmid: work.pmid,
+      url: work.url,
+    }));
+  }
+  if (isEmpty(researcher.bio) && data.biography) update["researcher.bio"] = data.biography;
+  if (isEmpty(researcher.institutionAffiliation) && data.affiliation) {
+    update["researcher.institutionAffiliation"] = data.affiliation;
+  }
+  if (isEmpty(researcher.interests) && data.researchInterests?.length) {
+    update["researcher.interests"] = data.researchInterests;
+  }
+  return update;
+}
+
+/**
+ * Record a verified ORCID iD on the researcher's profile and, the first time,
+ * import their ORCID record into it
+ * @returns {Promise<Object>} - { imported: [fields], snapshot }
+ */
+export async function linkVerifiedOrcid(profile, orcid, { now = new Date() } = {}) {
+  const snapshot = await refreshOrcidSnapshot(orcid, { userId: profile.userId, now });
+  const researcher = profile.researcher || {};
+  // A different iD than before starts over
+  const firstLink = !researcher.orcidImportedAt || normalizeOrcid(researcher.orcid) !== orcid;
+
+  const update = {
+    "researcher.orcid": orcid,
+    "researcher.orcidVerified": true,
+    "researcher.orcidVerifiedAt": now,
+  };
+  let imported = [];
+  if (firstLink && snapshot) {
+    const importUpdate = buildOrcidImport(researcher, snapshot);
+    imported = Object.keys(importUpdate).map((path) => path.replace("researcher.", ""));
+    Object.assign(update, importUpdate, { "researcher.orcidImportedAt": now });
+  }
+
+  await Profile.updateOne({ _id: profile._id }, { $set: update });
+  return { imported, snapshot };
+}
+
+/**
+ * Re-fetch stored ORCID records, oldest snapshot first, plus verified
+ * researchers who have none yet (run by the /orcid/resync cron). Covers
+ * snapshots stored for unverified iDs viewed on profile pages too. Stops
+ * after timeBudgetMs; what's left is still the oldest on the next run.
+ */
+export async function resyncOrcidSnapshots({
+  limit = 15,
+  maxAgeMs = ORCID_SNAPSHOT_MAX_AGE_MS,
+  timeBudgetMs = RESYNC_TIME_BUDGET_MS,
+  now = new Date(),
+} = {}) {
+  const startedAt = Date.now();
+  const staleBefore = new Date(now.getTime() - maxAgeMs);
+  const stale = await OrcidSnapshot.find({ fetchedAt: { $lt: staleBefore } })
+    .sort({ fetchedAt: 1 })
+    .limit(limit)
+    .select("orcid userId")
+    .lean();
+  const due = new Map(stale.map((snapshot) => [snapshot.orcid, snapshot.userId]));
+
+  if (due.size < limit) {
+    const profiles = await Profile.find({ "researcher.orcidVerified": true })
+      .select("userId researcher.orcid")
+      .lean();
+    const verified = new Map();
+    for (const profile of profiles) {
+      const orcid = normalizeOrcid(profile.researcher?.orcid);
+      if (orcid) verified.set(orcid, profile.userId);
+    }
+    const stored = await OrcidSnapshot.find({ orcid: { $in: [...verified.keys()] } })
+      .select("orcid")
+      .lean();
+    const hasSnapshot = new Set(stored.map((snapshot) => snapshot.orcid));
+    for (const [orcid, userId] of verified) {
+      if (due.size >= limit) break;
+      if (!hasSnapshot.has(orcid)) due.set(orcid, userId);
+    }
+  }
+
+  const results = [];
+  for (const [orcid, userId] of due) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    try {
+      const data = await refreshOrcidSnapshot(orcid, { userId, now });
+      results.push({ orcid, updated: Boolean(data) });
+    } catch (error) {
+      console.error(`Error resyncing ORCID ${orcid}:`, error);
+      results.push({ orcid, error: error.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,136 @@
+/**
+ * Preprints Service
+ * medRxiv / bioRxiv preprint search (via Europe PMC, which indexes both) and
+ * lookup of the peer-reviewed version a preprint was later published as
+ */
+
+import axios from "axios";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+const EUROPE_PMC_SEARCH_URL = "https://www.ebi.ac.uk/europepmc/webservices/rest/search";
+const BIORXIV_API_URL = "https://api.biorxiv.org";
+
+export const PREPRINT_SERVERS = {
+  medrxiv: { label: "medRxiv", baseUrl: "https://www.medrxiv.org" },
+  biorxiv: { label: "bioRxiv", baseUrl: "https://www.biorxiv.org" },
+};
+
+// Published-version lookups are one request per preprint, so they run for the
+// page of results returned, not the whole search
+const MAX_PUBLISHED_LOOKUPS = 20;
+const LOOKUP_CONCURRENCY = 5;
+const publishedCache = createTtlCache({ ttlMs: 1000 * 60 * 60 * 24, maxEntries: 5000 });
+
+function toPreprintItem(result, server) {
+  const doi = result.doi || null;
+  const year = parseInt(result.pubYear, 10) || null;
+  return {
+    preprintId: result.id,
+    doi,
+    title: (result.title || "Untitled").replace(/\.$/, ""),
+    abstract: (result.abstractText || "").replace(/<[^>]+>/g, "").trim(),
+    authors: (result.authorList?.author || [])
+      .map((a) => a.fullName || a.collectiveName)
+      .filter(Boolean),
+    journal: PREPRINT_SERVERS[server].label,
+    year,
+    publishedDate: result.firstPublicationDate || null,
+    citations: typeof result.citedByCount === "number" ? result.citedByCount : null,
+    isPreprint: true,
+    peerReviewed: false,
+    preprintServer: PREPRINT_SERVERS[server].label,
+    // Preprint servers are free to read
+    openAccess: true,
+    url: doi ? `https://doi.org/${doi}` : `https://europepmc.org/article/PPR/${result.id}`,
+    pdfUrl: doi ? `${PREPRINT_SERVERS[server].baseUrl}/content/${doi}.full.pdf` : null,
+  };
+}
+
+const publishedCacheKey = (doi, server) => `${server}:${doi.toLowerCase()}`;
+
+/**
+ * DOI of the journal article a preprint was published as, from the bioRxiv API
+ * @returns {Promise<string|null>}
+ */
+export async function fetchPublishedDoi(doi, server) {
+  const key = publishedCacheKey(doi, server);
+  // A DOI, or null when the preprint hasn't been published
+  const cached = publishedCache.get(key);
+  if (cached !== undefined) return cached;
+
+  try {
+    const response = await axios.get(`${BIORXIV_API_URL}/details/${server}/${doi}/na/json`, {
+      timeout: 10000,
+    });
+    const versions = response.data?.collection || [];
+    const published = versions
+      .map((v) => v.published)
+      .find((value) => value && value !== "NA");
+    const value = published || null;
+    publishedCache.set(key, value);
+    return value;
+  } catch (error) {
+    console.error("Error fetching preprint publication status:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Search a preprint server
+ * @param {Object} params - { q, server: "medrxiv" | "biorxiv", limit, fromYear, toYear }
+ * @returns {Promise<Object>} - { items, totalCount }. Journal versions are
+ *   linked later by attachPublishedVersions. Throws on API errors.
+ */
+export async function searchPreprints({ q = "", server = "medrxiv", limit = 50, fromYear, toYear } = {}) {
+  if (!q.trim() || !PREPRINT_SERVERS[server]) return { items: [], totalCount: 0 };
+
+  const clauses = [`(${q.trim()})`, "SRC:PPR", `PUBLISHER:"${PREPRINT_SERVERS[server].label}"`];
+  if (fromYear || toYear) {
+    clauses.push(
+      `FIRST_PDATE:[${fromYear || 1900}-01-01 TO ${toYear || new Date().getFullYear()}-12-31]`
+    );
+  }
+
+  const response = await axios.get(EUROPE_PMC_SEARCH_URL, {
+    params: {
+      query: clauses.join(" AND "),
+      format: "json",
+      resultType: "core",
+      pageSize: Math.min(Math.max(1, limit), 1000),
+    },
+    timeout: 15000,
+  });
+
+  const items = (response.data?.resultList?.result || []).map((result) =>
+    toPreprintItem(result, server)
+  );
+
+  return { items, totalCount: response.data?.hitCount || items.length };
+}
+
+/**
+ * Look up journal versions for the preprints in a page of results, a few at a
+ * time, and link them as publishedVersion
+ * @returns {Promise<Array>} - The same items
+ */
+export async function attachPublishedVersions(items) {
+  const lookups = items
+    .filter((item) => {
+      const server = String(item.preprintServer || item.journal || "").toLowerCase();
+      return item.isPreprint && item.doi && !item.publishedVersion && PREPRINT_SERVERS[server];
+    })
+    .slice(0, MAX_PUBLISHED_LOOKUPS);
+
+  for (let i = 0; i < lookups.length; i += LOOKUP_CONCURRENCY) {
+    await Promise.all(
+      lookups.slice(i, i + LOOKUP_CONCURRENCY).map(async (item) => {
+        const server = String(item.preprintServer || item.journal).toLowerCase();
+        const publishedDoi = await fetchPublishedDoi(item.doi, server);
+        if (publishedDoi) {
+          item.publishedVersion = { doi: publishedDoi, url: `https://doi.org/${publishedDoi}` };
+        }
+      })
+    );
+  }
+  return items;
+}
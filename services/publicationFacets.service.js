@@ -0,0 +1,45 @@
+/**
+ * Publication Facets Service
+ * Article type and MeSH major topic facets over a batch of PubMed results
+ */
+
+import { parseFacetFilters, applyFacets } from "../utils/facets.js";
+import { ARTICLE_TYPE_LABELS } from "./pubmed.service.js";
+
+// Facet key -> query parameter the search route reads its selections from
+export const PUBLICATION_FACET_PARAMS = {
+  articleType: "articleType",
+  meshMajor: "meshMajor",
+};
+
+// MeSH topics are a long tail; only the most common are returned as chips
+const MAX_MESH_FACET_VALUES = 25;
+
+function getPublicationFacetValues(publication) {
+  return {
+    articleType: publication.articleTypes || ["other"],
+    meshMajor: publication.meshMajorTopics || [],
+  };
+}
+
+export function parsePublicationFacetFilters(query = {}) {
+  return parseFacetFilters(query, PUBLICATION_FACET_PARAMS);
+}
+
+/**
+ * Apply publication facet filters and count facet values over a batch
+ * @returns {Object} - { items, facets: { articleType: [...], meshMajor: [...] } }
+ */
+export function applyPublicationFacets(publications, filters = {}) {
+  const { items, facets } = applyFacets(publications, filters, {
+    facetKeys: Object.keys(PUBLICATION_FACET_PARAMS),
+    getValues: getPublicationFacetValues,
+    maxValues: { meshMajor: MAX_MESH_FACET_VALUES },
+  });
+
+  facets.articleType = facets.articleType.map((entry) => ({
+    ...entry,
+    label: ARTICLE_TYPE_LABELS[entry.value] || entry.value,
+  }));
+  return { items, facets };
+}
@@ -1,5 +1,8 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import { PublicationDigest } from "../models/PublicationDigest.js";
+import { classifyArticleTypes } from "./pubmed.service.js";
+import { classifyEvidenceLevel } from "./evidenceRanking.service.js";
 
 dotenv.config();
 
@@ -93,20 +96,89 @@ Return ONLY the simplified title, nothing else. No quotes, no explanations, just
   }
 }
 
+// Reading levels for publication digests; grade10 matches the original
+// "high school student" simplification
+export const READING_LEVELS = {
+  grade6: {
+    label: "Grade 6",
+    audience: "an 11-12 year old reader (US grade 6)",
+    rules: `- Use very short sentences (10-12 words max) and common everyday words
+- Never use medical terms; describe what they mean instead
+- Use numbers only when they are simple (for example "about 1 in 4 people")`,
+  },
+  grade10: {
+    label: "Grade 10",
+    audience: "a high school student (US grade 10)",
+    rules: `- Use everyday language, not medical or scientific terms
+- If you must use a medical term, explain it in simple words immediately after
+- Keep sentences short (15-20 words max)`,
+  },
+  clinician: {
+    label: "Clinician",
+    audience: "a practicing clinician who has not read the paper",
+    rules: `- Use standard clinical terminology; don't explain common medical terms
+- Report effect sizes, confidence intervals, p-values and sample sizes when the abstract gives them
+- Point out limitations that affect how the findings apply in practice`,
+  },
+};
+
+export const DEFAULT_READING_LEVEL = "grade10";
+
 /**
- * Simplify publication details using AI to convert complex medical/scientific language
- * into high school level plain language
+ * Map a ?level= value ("grade6", "6", "clinician", ...) to a READING_LEVELS key
+ * @returns {string|null} - null for unknown levels
  */
-export async function simplifyPublicationDetails(publication) {
+export function normalizeReadingLevel(level) {
+  if (level === undefined || level === null || level === "") return DEFAULT_READING_LEVEL;
+  const value = String(level).toLowerCase().replace(/[\s_-]/g, "");
+  const key = /^\d+$/.test(value) ? `grade${value}` : value;
+  return READING_LEVELS[key] ? key : null;
+}
+
+// Evidence level from PubMed publication types, which the digest's
+// "how strong is the evidence" section explains
+function getEvidenceLevel(publication) {
+  return classifyEvidenceLevel({
+    ...publication,
+    articleTypes:
+      publication.articleTypes || classifyArticleTypes(publication.publicationTypes || []),
+    meshTerms: (publication.meshTerms || []).map((term) =>
+      typeof term === "string" ? { descriptor: term } : term
+    ),
+  });
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    // Split by newlines or bullets if it's a string
+    return value
+      .split(/\n|•|-\s*/)
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+  }
+  return [];
+}
+
+/**
+ * Simplify publication details using AI into a structured digest at the given
+ * reading level (see READING_LEVELS)
+ */
+export async function simplifyPublicationDetails(publication, { level = DEFAULT_READING_LEVEL } = {}) {
   if (!publication) {
     return null;
   }
 
+  const readingLevel = READING_LEVELS[level] ? level : DEFAULT_READING_LEVEL;
+  const { audience, rules } = READING_LEVELS[readingLevel];
+  const evidenceLevel = getEvidenceLevel(publication);
+
   const geminiInstance = getGeminiInstance();
   if (!geminiInstance) {
     // Fallback: return original publication data if AI is not available
     return {
       simplified: false,
+      readingLevel,
       publication: publication,
     };
   }
@@ -128,29 +200,29 @@ export async function simplifyPublicationDetails(publication) {
       keywords: Array.isArray(publication.keywords)
         ? publication.keywords.join(", ")
         : publication.keywords || "",
+      publicationTypes: (publication.publicationTypes || []).join(", "),
     };
 
-    const prompt = `You are a medical communication expert. Your task is to simplify this research publication information into plain, easy-to-understand language that a high school student could understand. Use simple words, short sentences, and avoid medical jargon.
+    const prompt = `You are a medical communication expert. Your task is to explain this research publication for ${audience}.
 
 Return a JSON object with the following structure:
 {
-  "abstract": "Simplified version of the abstract in plain language, explaining what the study was about and what they found, in 3-4 sentences",
-  "methods": "Simple explanation of how the researchers did the study (what they did, who they studied, how long it took), in 2-3 sentences",
-  "results": "Simple explanation of what the researchers found (the main findings, what worked, what didn't), in 2-3 sentences",
-  "conclusion": "Simple explanation of what this research means and why it matters, in 2-3 sentences",
-  "keyTakeaways": "3-5 simple bullet points of the most important things to remember from this research",
-  "whatThisMeansForYou": "Simple explanation of how this research might affect patients or people with the condition, in 2-3 sentences"
+  "abstract": "The abstract rewritten for this reader, explaining what the study was about and what they found, in 3-4 sentences",
+  "whatWasStudied": "What question the researchers asked and what they tested or compared, in 2-3 sentences",
+  "whoParticipated": "Who or what was studied (how many people, their condition, age, where), in 1-3 sentences. Say so if the study did not involve people",
+  "methods": "How the researchers did the study (design, what they measured, how long it took), in 2-3 sentences",
+  "whatWasFound": "The main findings, what worked and what didn't, in 2-3 sentences",
+  "evidenceStrength": "Why this kind of study (${evidenceLevel.label}) gives stronger or weaker evidence, and anything about this study that makes its findings more or less reliable, in 2-3 sentences",
+  "conclusion": "What the researchers concluded, in 1-2 sentences",
+  "whatItMeansForPatients": "What this research might mean for patients or people with the condition, without giving medical advice, in 2-3 sentences",
+  "keyTakeaways": "3-5 bullet points of the most important things to remember from this research"
 }
 
 IMPORTANT RULES:
-- Use everyday language, not medical or scientific terms
-- If you must use a medical term, explain it in simple words immediately after
-- Keep sentences short (15-20 words max)
+${rules}
 - Use active voice
-- Be friendly and encouraging
-- Make it feel like you're explaining to a friend, not a scientist
-- Break down complex concepts into simple ideas
-- Focus on what matters most to regular people
+- Only use information from the publication below; don't invent numbers or details
+- If the abstract doesn't say something (for example who participated), say that it isn't reported
 
 Publication Information:
 Title: ${pubInfo.title}
@@ -158,14 +230,15 @@ Abstract: ${pubInfo.abstract}
 Journal: ${pubInfo.journal}
 Authors: ${pubInfo.authors}
 Year: ${pubInfo.year}
+Publication types: ${pubInfo.publicationTypes}
 Keywords: ${pubInfo.keywords}
 
 Return ONLY valid JSON, no markdown formatting, no code blocks.`;
 
     const result = await model.generateContent(prompt, {
       generationConfig: {
-        maxOutputTokens: 2500,
-        temperature: 0.7,
+        maxOutputTokens: 3000,
+        temperature: readingLevel === "clinician" ? 0.3 : 0.7,
       },
     });
 
@@ -192,44 +265,48 @@ Return ONLY valid JSON, no markdown formatting, no code blocks.`;
       // Fallback: return original publication data
       return {
         simplified: false,
+        readingLevel,
         publication: publication,
       };
     }
 
-    // Process keyTakeaways - ensure it's an array
-    let keyTakeaways = [];
-    if (simplifiedData.keyTakeaways) {
-      if (Array.isArray(simplifiedData.keyTakeaways)) {
-        keyTakeaways = simplifiedData.keyTakeaways;
-      } else if (typeof simplifiedData.keyTakeaways === "string") {
-        // Split by newlines or bullets if it's a string
-        keyTakeaways = simplifiedData.keyTakeaways
-          .split(/\n|•|-\s*/)
-          .map((item) => item.trim())
-          .filter((item) => item.length > 0);
-      }
-    }
+    const whatWasFound =
+      simplifiedData.whatWasFound ||
+      "Results information not available in simplified format.";
+    const whatItMeansForPatients =
+      simplifiedData.whatItMeansForPatients ||
+      "This research may provide insights into the condition or treatment being studied.";
 
     // Merge simplified data with original publication data
+    // (results/whatThisMeansForYou keep the original field names for existing clients)
     return {
       simplified: true,
+      readingLevel,
       publication: {
         ...publication,
         simplifiedDetails: {
+          readingLevel,
           abstract: simplifiedData.abstract || pubInfo.abstract || "",
           methods:
             simplifiedData.methods ||
             "Methods information not available in simplified format.",
-          results:
-            simplifiedData.results ||
-            "Results information not available in simplified format.",
+          results: whatWasFound,
           conclusion:
             simplifiedData.conclusion ||
             "Conclusion information not available in simplified format.",
-          keyTakeaways: keyTakeaways.length > 0 ? keyTakeaways : [],
-          whatThisMeansForYou:
-            simplifiedData.whatThisMeansForYou ||
-            "This research may provide insights into the condition or treatment being studied.",
+          keyTakeaways: toList(simplifiedData.keyTakeaways),
+          whatThisMeansForYou: whatItMeansForPatients,
+          digest: {
+            whatWasStudied: simplifiedData.whatWasStudied || "",
+            whoParticipated: simplifiedData.whoParticipated || "",
+            whatWasFound,
+            evidenceStrength: {
+              level: evidenceLevel.level,
+              label: evidenceLevel.label,
+              explanation: simplifiedData.evidenceStrength || "",
+            },
+            whatItMeansForPatients,
+          },
         },
       },
     };
@@ -238,7 +315,38 @@ Return ONLY valid JSON, no markdown formatting, no code blocks.`;
     // Fallback: return original publication data
     return {
       simplified: false,
+      readingLevel,
       publication: publication,
     };
   }
 }
+
+/**
+ * Digest for a publication at a reading level, cached per PMID + level
+ * @returns {Promise<Object>} - { simplified, readingLevel, publication, cached }
+ */
+export async function getPublicationDigest(publication, level = DEFAULT_READING_LEVEL) {
+  const pmid = String(publication.pmid || publication.id || "");
+  const cachedDigest = pmid
+    ? await PublicationDigest.findOne({ pmid, level }).lean()
+    : null;
+  if (cachedDigest) {
+    return {
+      simplified: true,
+      readingLevel: level,
+      publication: { ...publication, simplifiedDetails: cachedDigest.details },
+      cached: true,
+    };
+  }
+
+  const result = await simplifyPublicationDetails(publication, { level });
+  // Only successful AI digests are cached; fallbacks are retried next time
+  if (pmid && result.simplified) {
+    await PublicationDigest.findOneAndUpdate(
+      { pmid, level },
+      { details: result.publication.simplifiedDetails, generatedAt: new Date() },
+      { upsert: true }
+    ).catch((error) => console.error("Error caching publication digest:", error));
+  }
+  return { ...result, cached: false };
+}
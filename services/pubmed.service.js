@@ -1,5 +1,5 @@
 import axios from "axios";
-import { DOMParser } from "xmldom";
+import { parseStringPromise } from "xml2js";
 import {
   parseQuery,
   hasDateFilter,
@@ -53,6 +53,254 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
   }
 }
 
+// PubMed publication types grouped into the article types offered as filters
+const ARTICLE_TYPE_RULES = [
+  ["meta_analysis", /^meta-analysis$/i],
+  ["systematic_review", /^systematic review$/i],
+  ["randomized_controlled_trial", /^randomized controlled trial$/i],
+  ["clinical_trial", /^clinical trial/i],
+  ["review", /^review$/i],
+  ["observational_study", /^observational study$/i],
+  ["case_report", /^case reports$/i],
+  ["guideline", /guideline$/i],
+];
+
+export const ARTICLE_TYPE_LABELS = {
+  meta_analysis: "Meta-analysis",
+  systematic_review: "Systematic review",
+  randomized_controlled_trial: "Randomized controlled trial",
+  clinical_trial: "Clinical trial",
+  review: "Review",
+  observational_study: "Observational study",
+  case_report: "Case report",
+  guideline: "Guideline",
+  other: "Other",
+};
+
+/**
+ * Map PubMed publication types to article type keys ("other" when none apply)
+ */
+export function classifyArticleTypes(publicationTypes = []) {
+  const types = ARTICLE_TYPE_RULES.filter(([, regex]) =>
+    publicationTypes.some((pt) => regex.test(pt))
+  ).map(([type]) => type);
+  return types.length > 0 ? types : ["other"];
+}
+
+const toArray = (value) =>
+  value === undefined || value === null
+    ? []
+    : Array.isArray(value)
+    ? value
+    : [value];
+
+// xml2js puts text in "_" when the element also has attributes
+const textOf = (node) =>
+  (typeof node === "string" ? node : node?._ || "").trim();
+
+const attrOf = (node, name) => node?.$?.[name] || "";
+
+function parseMeshHeadings(citation) {
+  return toArray(citation.MeshHeadingList?.MeshHeading).map((heading) => {
+    const qualifiers = toArray(heading.QualifierName).map((q) => ({
+      name: textOf(q),
+      majorTopic: attrOf(q, "MajorTopicYN") === "Y",
+    }));
+    return {
+      descriptor: textOf(heading.DescriptorName),
+      ui: attrOf(heading.DescriptorName, "UI") || undefined,
+      // PubMed treats a heading as a major topic if the descriptor or any qualifier is starred
+      majorTopic:
+        attrOf(heading.DescriptorName, "MajorTopicYN") === "Y" ||
+        qualifiers.some((q) => q.majorTopic),
+      qualifiers: qualifiers.map((q) => q.name).filter(Boolean),
+    };
+  });
+}
+
+function parsePubMedArticle(pubmedArticle) {
+  const citation = pubmedArticle.MedlineCitation || {};
+  const article = citation.Article || {};
+  const journal = article.Journal || {};
+  const journalIssue = journal.JournalIssue || {};
+  const pubDate = journalIssue.PubDate || {};
+
+  const pmid = textOf(citation.PMID);
+
+  // Structured abstracts have one AbstractText per labelled section
+  const abstractSections = toArray(article.Abstract?.AbstractText)
+    .map((section) => ({
+      label: attrOf(section, "Label") || undefined,
+      text: textOf(section),
+    }))
+    .filter((section) => section.text);
+  const abstract = abstractSections
+    .map((section) =>
+      section.label ? `${section.label}: ${section.text}` : section.text
+    )
+    .join("\n\n");
+
+  const medlineYear = (textOf(pubDate.MedlineDate).match(/\d{4}/) || [""])[0];
+
+  // DOI from ELocationID, falling back to the PubmedData article IDs
+  const articleIds = toArray(pubmedArticle.PubmedData?.ArticleIdList?.ArticleId);
+  const eLocationIds = toArray(article.ELocationID);
+  const doi =
+    textOf(eLocationIds.find((e) => attrOf(e, "EIdType") === "doi")) ||
+    textOf(articleIds.find((id) => attrOf(id, "IdType") === "doi"));
+  const pmcid = textOf(articleIds.find((id) => attrOf(id, "IdType") === "pmc"));
+
+  const authorNodes = toArray(article.AuthorList?.Author);
+  // Structured names for citation export; group authors only have a collective name
+  const authorList = authorNodes
+    .map((a) => ({
+      family: textOf(a.LastName) || undefined,
+      given: textOf(a.ForeName) || textOf(a.Initials) || undefined,
+      initials: textOf(a.Initials) || undefined,
+      collective: textOf(a.CollectiveName) || undefined,
+    }))
+    .filter((a) => a.family || a.collective);
+  const authors = authorList.map((a) =>
+    a.collective || `${a.given || ""} ${a.family}`.trim()
+  );
+  const affiliations = authorNodes
+    .flatMap((a) => toArray(a.AffiliationInfo).map((info) => textOf(info.Affiliation)))
+    .filter(Boolean);
+
+  const keywords = toArray(citation.KeywordList)
+    .flatMap((list) => toArray(list.Keyword))
+    .map(textOf)
+    .filter(Boolean);
+  const publicationTypes = toArray(article.PublicationTypeList?.PublicationType)
+    .map(textOf)
+    .filter(Boolean);
+  const meshTerms = parseMeshHeadings(citation);
+  const country = textOf(citation.MedlineJournalInfo?.Country);
+
+  return {
+    pmid,
+    title: textOf(article.ArticleTitle),
+    journal: textOf(journal.Title),
+    journalInfo: {
+      title: textOf(journal.Title),
+      isoAbbreviation: textOf(journal.ISOAbbreviation) || undefined,
+      medlineAbbreviation: textOf(citation.MedlineJournalInfo?.MedlineTA) || undefined,
+      issn: textOf(journal.ISSN) || undefined,
+      volume: textOf(journalIssue.Volume) || undefined,
+      issue: textOf(journalIssue.Issue) || undefined,
+      pages: textOf(article.Pagination?.MedlinePgn) || undefined,
+    },
+    year: textOf(pubDate.Year) || medlineYear,
+    month: textOf(pubDate.Month),
+    day: textOf(pubDate.Day),
+    authors,
+    authorList,
+    doi,
+    pmcid: pmcid || undefined,
+    abstract,
+    abstractSections: abstractSections.length > 0 ? abstractSections : undefined,
+    keywords: keywords.length > 0 ? keywords : undefined,
+    publicationTypes: publicationTypes.length > 0 ? publicationTypes : undefined,
+    articleTypes: classifyArticleTypes(publicationTypes),
+    meshTerms,
+    meshMajorTopics: meshTerms.filter((m) => m.majorTopic).map((m) => m.descriptor),
+    country: country || undefined,
+    affiliations: affiliations.length > 0 ? affiliations : undefined,
+    url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+  };
+}
+
+/**
+ * Parse an efetch (retmode=xml) response into publication records
+ * @param {string} xml - PubmedArticleSet XML
+ * @returns {Promise<Array>} - Publications with abstracts, MeSH and publication types
+ */
+export async function parsePubMedXml(xml) {
+  if (!xml || typeof xml !== "string") return [];
+
+  // Inline formatting tags would split titles/abstracts into separate text
+  // nodes; super/subscripts keep a marker so "10<sup>9</sup>/L" reads "10^9/L"
+  const cleaned = xml
+    .replace(/<sup(\s[^>]*)?>/gi, "^")
+    .replace(/<sub(\s[^>]*)?>/gi, "_")
+    .replace(/<\/?(i|b|u|sup|sub|em|strong)(\s[^>]*)?>/gi, "");
+  const parsed = await parseStringPromise(cleaned, {
+    explicitArray: false,
+    trim: true,
+  });
+
+  return toArray(parsed?.PubmedArticleSet?.PubmedArticle).map(parsePubMedArticle);
+}
+
+// Keep efetch URLs a reasonable length
+const EFETCH_BATCH_SIZE = 200;
+
+/**
+ * Fetch full PubMed records (efetch XML) for a list of PMIDs
+ * @param {Array<string>} pmids - PubMed IDs
+ * @returns {Promise<Array>} - Parsed publications, in PubMed's order
+ */
+export async function fetchPubMedRecords(pmids = []) {
+  const ids = [...new Set(pmids.map((id) => String(id).trim()).filter(Boolean))];
+  const efetchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi`;
+  const records = [];
+
+  for (let i = 0; i < ids.length; i += EFETCH_BATCH_SIZE) {
+    const efetchParams = new URLSearchParams({
+      db: "pubmed",
+      id: ids.slice(i, i + EFETCH_BATCH_SIZE).join(","),
+      retmode: "xml",
+    });
+
+    const xmlResp = await retryWithBackoff(async () => {
+      return await axios.get(`${efetchUrl}?${efetchParams}`, {
+        timeout: 30000, // Increased from 15000 to 30000ms
+        headers: {
+          "User-Agent": "Mozilla/5.0 (compatible; CuraLink/1.0)",
+        },
+      });
+    });
+
+    records.push(...(await parsePubMedXml(xmlResp.data)));
+  }
+
+  return records;
+}
+
+/**
+ * PubMed "similar articles" for a PMID (elink pubmed_pubmed), most similar first
+ * @returns {Promise<Array<string>>} - PMIDs, excluding the source article
+ */
+export async function fetchSimilarArticlePmids(pmid, limit = 20) {
+  const elinkParams = new URLSearchParams({
+    dbfrom: "pubmed",
+    db: "pubmed",
+    id: String(pmid),
+    linkname: "pubmed_pubmed",
+    retmode: "json",
+  });
+
+  const resp = await retryWithBackoff(async () => {
+    return await axios.get(
+      `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/elink.fcgi?${elinkParams}`,
+      {
+        timeout: 20000,
+        headers: {
+          "User-Agent": "Mozilla/5.0 (compatible; CuraLink/1.0)",
+        },
+      }
+    );
+  });
+
+  const linkset = resp.data?.linksets?.[0];
+  const links =
+    linkset?.linksetdbs?.find((db) => db.linkname === "pubmed_pubmed")?.links || [];
+  return links
+    .map(String)
+    .filter((id) => id !== String(pmid))
+    .slice(0, limit);
+}
+
 export async function searchPubMed({
   q = "",
   mindate = "",
@@ -153,126 +401,8 @@ export async function searchPubMed({
 
     if (ids.length === 0) return { items: [], totalCount: 0, page, pageSize };
 
-    // Step 2: Fetch detailed metadata with EFetch with retry logic and increased timeout
-    const efetchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi`;
-    const efetchParams = new URLSearchParams({
-      db: "pubmed",
-      id: ids.join(","),
-      retmode: "xml",
-    });
-
-    const xmlResp = await retryWithBackoff(async () => {
-      return await axios.get(`${efetchUrl}?${efetchParams}`, {
-        timeout: 30000, // Increased from 15000 to 30000ms
-        headers: {
-          "User-Agent": "Mozilla/5.0 (compatible; CuraLink/1.0)",
-        },
-      });
-    });
-
-    // Step 3: Parse XML
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlResp.data, "text/xml");
-    const articles = Array.from(xmlDoc.getElementsByTagName("PubmedArticle"));
-
-    const items = articles.map((article) => {
-      const getText = (tag) =>
-        article.getElementsByTagName(tag)[0]?.textContent || "";
-      const getAllText = (tag) =>
-        Array.from(article.getElementsByTagName(tag)).map(
-          (el) => el.textContent || ""
-        );
-
-      const pmid = getText("PMID");
-      const title = getText("ArticleTitle");
-
-      // Get full abstract - concatenate all AbstractText elements (structured abstracts have multiple sections)
-      const abstractElements = article.getElementsByTagName("AbstractText");
-      let abstract = "";
-      if (abstractElements.length > 0) {
-        // If there's a Label attribute (structured abstract), include it
-        const abstractParts = Array.from(abstractElements).map((el) => {
-          const label = el.getAttribute("Label");
-          const text = el.textContent || "";
-          return label ? `${label}: ${text}` : text;
-        });
-        abstract = abstractParts.join("\n\n");
-      }
-
-      const journal = getText("Title");
-      const pubDateNode = article.getElementsByTagName("PubDate")[0];
-      const pubYear =
-        pubDateNode?.getElementsByTagName("Year")[0]?.textContent || "";
-      const pubMonth =
-        pubDateNode?.getElementsByTagName("Month")[0]?.textContent || "";
-      const pubDay =
-        pubDateNode?.getElementsByTagName("Day")[0]?.textContent || "";
-
-      // Get DOI - check multiple possible locations
-      let doi = "";
-      const eLocationIds = article.getElementsByTagName("ELocationID");
-      for (let i = 0; i < eLocationIds.length; i++) {
-        const eidType = eLocationIds[i].getAttribute("EIdType");
-        if (eidType === "doi") {
-          doi = eLocationIds[i].textContent || "";
-          break;
-        }
-      }
-      // Fallback to first ELocationID if no DOI found
-      if (!doi && eLocationIds.length > 0) {
-        doi = eLocationIds[0].textContent || "";
-      }
-
-      // Get authors with affiliations
-      const authors = Array.from(article.getElementsByTagName("Author"))
-        .map((a) => {
-          const last = a.getElementsByTagName("LastName")[0]?.textContent || "";
-          const fore = a.getElementsByTagName("ForeName")[0]?.textContent || "";
-          const initials =
-            a.getElementsByTagName("Initials")[0]?.textContent || "";
-          return `${fore} ${last}`.trim() || `${initials} ${last}`.trim();
-        })
-        .filter(Boolean);
-
-      // Get keywords
-      const keywords = getAllText("Keyword").filter(Boolean);
-
-      // Get publication type
-      const publicationTypes = Array.from(
-        article.getElementsByTagName("PublicationType")
-      )
-        .map((type) => type.textContent || "")
-        .filter(Boolean);
-
-      // Get country
-      const country = getText("Country");
-
-      // Get affiliation (first author's affiliation if available)
-      const affiliations = Array.from(
-        article.getElementsByTagName("Affiliation")
-      )
-        .map((aff) => aff.textContent || "")
-        .filter(Boolean);
-
-      // Return cleaned publication data (removed: MeSH terms, ISBN, publisher, book, volume, pagination, language)
-      return {
-        pmid,
-        title,
-        journal,
-        year: pubYear,
-        month: pubMonth,
-        day: pubDay,
-        authors,
-        doi,
-        abstract,
-        keywords: keywords.length > 0 ? keywords : undefined,
-        publicationTypes:
-          publicationTypes.length > 0 ? publicationTypes : undefined,
-        country: country || undefined,
-        affiliations: affiliations.length > 0 ? affiliations : undefined,
-        url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
-      };
-    });
+    // Step 2: Fetch abstract-level records (abstracts, MeSH, publication types) with EFetch
+    const items = await fetchPubMedRecords(ids);
 
     const result = {
       items,
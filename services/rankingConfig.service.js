@@ -0,0 +1,177 @@
+/**
+ * Ranking Config Service
+ * Weights for expert ranking, kept in a RankingConfig document the admin panel
+ * edits so they can be tuned without a deploy. Anything not set there falls
+ * back to the defaults below.
+ */
+
+import { RankingConfig } from "../models/RankingConfig.js";
+
+const CONFIG_KEY = "default";
+// Search reads the config on every request; re-read it at most this often
+const CACHE_TTL_MS = 1000 * 60;
+
+export const DEFAULT_RANKING_CONFIG = {
+  // Verified expert search (scoreExpert)
+  expertDiscovery: {
+    weights: {
+      recency: 0.3,
+      trialLeadership: 0.3,
+      status: 0.2, // last-author papers
+      impact: 0.2,
+    },
+    // Count at which a metric scores full marks
+    caps: {
+      recentPapers2y: 6,
+      trialLeadership: 3,
+      lastAuthor5y: 4,
+      avgCitations5y: 40,
+      influential5y: 5,
+    },
+  },
+  // Expert match percentage against a user profile (calculateExpertMatch)
+  expertMatch: {
+    weights: {
+      interest: 0.7,
+      location: 0.2,
+      researchInterests: 0.1,
+    },
+    // Used instead when the user has both a research area and a disease interest
+    specialtyWeights: {
+      interest: 0.5,
+      location: 0.2,
+      researchInterests: 0.3,
+    },
+  },
+};
+
+// Groups whose values are shares of a score and so are scaled to sum to 1
+const WEIGHT_GROUPS = {
+  expertDiscovery: ["weights"],
+  expertMatch: ["weights", "specialtyWeights"],
+};
+
+let cached = null;
+let cachedAt = 0;
+
+// Stored values over the defaults, ignoring keys the defaults don't have
+function mergeWithDefaults(stored = {}) {
+  const merged = {};
+  for (const [section, groups] of Object.entries(DEFAULT_RANKING_CONFIG)) {
+    merged[section] = {};
+    for (const [group, values] of Object.entries(groups)) {
+      merged[section][group] = {};
+      for (const [name, value] of Object.entries(values)) {
+        const storedValue = stored?.[section]?.[group]?.[name];
+        merged[section][group][name] = Number.isFinite(storedValue) ? storedValue : value;
+      }
+    }
+  }
+  return merged;
+}
+
+async function loadRankingConfig(now) {
+  const stored = await RankingConfig.findOne({ key: CONFIG_KEY }).lean();
+  cached = mergeWithDefaults(stored || {});
+  cachedAt = now;
+  return cached;
+}
+
+/**
+ * Current ranking config, cached briefly; the defaults if it can't be read.
+ * fresh skips the cache and throws on read errors (for the admin panel).
+ * @returns {Promise<Object>} - { expertDiscovery, expertMatch }
+ */
+export async function getRankingConfig({ fresh = false, now = Date.now() } = {}) {
+  if (fresh) return loadRankingConfig(now);
+  if (cached && now - cachedAt < CACHE_TTL_MS) return cached;
+  try {
+    return await loadRankingConfig(now);
+  } catch (error) {
+    console.error("Error loading ranking config:", error.message);
+    // Keep serving the last good config rather than failing searches
+    return cached || mergeWithDefaults();
+  }
+}
+
+/**
+ * Validate a partial config from the admin panel against the current one.
+ * Weight groups are scaled to sum to 1, so e.g. { trialLeadership: 2, recency: 1 }
+ * reads as relative importance.
+ * @returns {Object} - { config } or { error }
+ */
+export function parseRankingConfigInput(input, current = DEFAULT_RANKING_CONFIG) {
+  if (!input || typeof input !== "object") {
+    return { error: "Ranking config must be an object" };
+  }
+
+  const config = mergeWithDefaults(current);
+  for (const [section, groups] of Object.entries(input)) {
+    if (!DEFAULT_RANKING_CONFIG[section]) {
+      return { error: `Unknown ranking section "${section}"` };
+    }
+    if (!groups || typeof groups !== "object") {
+      return { error: `${section} must be an object` };
+    }
+    for (const [group, values] of Object.entries(groups)) {
+      if (!DEFAULT_RANKING_CONFIG[section][group]) {
+        return { error: `Unknown setting group "${section}.${group}"` };
+      }
+      if (!values || typeof values !== "object") {
+        return { error: `${section}.${group} must be an object` };
+      }
+      for (const [name, value] of Object.entries(values)) {
+        if (!(name in DEFAULT_RANKING_CONFIG[section][group])) {
+          return { error: `Unknown setting "${section}.${group}.${name}"` };
+        }
+        if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+          return { error: `${section}.${group}.${name} must be a number of 0 or more` };
+        }
+        config[section][group][name] = value;
+      }
+    }
+  }
+
+  for (const [section, groups] of Object.entries(DEFAULT_RANKING_CONFIG)) {
+    for (const group of Object.keys(groups)) {
+      const values = config[section][group];
+      if (WEIGHT_GROUPS[section].includes(group)) {
+        const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+        if (total <= 0) {
+          return { error: `At least one of ${section}.${group} must be above 0` };
+        }
+        for (const name of Object.keys(values)) {
+          values[name] = Math.round((values[name] / total) * 1000) / 1000;
+        }
+      } else if (Object.values(values).some((value) => value <= 0)) {
+        return { error: `${section}.${group} values must be above 0` };
+      }
+    }
+  }
+
+  return { config };
+}
+
+/**
+ * Store a validated config and use it from now on
+ */
+export async function saveRankingConfig(config, { updatedBy = null, now = Date.now() } = {}) {
+  await RankingConfig.updateOne(
+    { key: CONFIG_KEY },
+    { $set: { ...config, updatedBy } },
+    { upsert: true }
+  );
+  cached = mergeWithDefaults(config);
+  cachedAt = now;
+  return cached;
+}
+
+/**
+ * Drop the stored config so the defaults apply again
+ */
+export async function resetRankingConfig({ now = Date.now() } = {}) {
+  await RankingConfig.deleteOne({ key: CONFIG_KEY });
+  cached = mergeWithDefaults();
+  cachedAt = now;
+  return cached;
+}
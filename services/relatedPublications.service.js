@@ -0,0 +1,151 @@
+/**
+ * Related Publications Service
+ * Similar articles (PubMed elink) plus citing and cited papers (OpenAlex) for a
+ * PMID, merged into one deduplicated set with a small graph for rendering
+ */
+
+import {
+  fetchPubMedRecords,
+  fetchSimilarArticlePmids,
+} from "./pubmed.service.js";
+import { fetchOpenAlexCitationNetwork } from "./googleScholar.service.js";
+import { calculatePublicationMatch } from "./matching.service.js";
+
+export const MAX_RELATED_PER_TYPE = 20;
+
+function nodeSummary(publication) {
+  return {
+    pmid: publication.pmid || null,
+    doi: publication.doi || null,
+    openAlexId: publication.openAlexId || null,
+    title: publication.title,
+    authors: (publication.authors || []).slice(0, 5),
+    journal: publication.journal || "",
+    year: publication.year ? parseInt(publication.year, 10) || null : null,
+    abstract: publication.abstract || "",
+    citations: publication.citations ?? null,
+    url: publication.url,
+  };
+}
+
+/**
+ * Related articles, citing papers and references for a PMID
+ * @param {string} pmid - PubMed ID
+ * @param {Object} options - { userProfile, limit }
+ * @returns {Promise<Object|null>} - null when PubMed has no such article
+ */
+export async function getRelatedPublications(pmid, { userProfile = null, limit = MAX_RELATED_PER_TYPE } = {}) {
+  const [centerRecords, similarPmids, network] = await Promise.all([
+    fetchPubMedRecords([pmid]),
+    fetchSimilarArticlePmids(pmid, limit).catch((error) => {
+      console.error("Error fetching similar articles:", error.message);
+      return [];
+    }),
+    fetchOpenAlexCitationNetwork(pmid, { limit }).catch((error) => {
+      console.error("Error fetching OpenAlex citation network:", error.message);
+      return null;
+    }),
+  ]);
+
+  const center = centerRecords[0];
+  if (!center) return null;
+
+  const similarRecords =
+    similarPmids.length > 0 ? await fetchPubMedRecords(similarPmids) : [];
+  // Keep elink's similarity order
+  const similarOrder = new Map(similarPmids.map((id, index) => [id, index]));
+  similarRecords.sort((a, b) => similarOrder.get(a.pmid) - similarOrder.get(b.pmid));
+
+  // One node per paper, matched on PMID or DOI across all three sources
+  const nodes = new Map();
+  const keyByPmid = new Map();
+  const keyByDoi = new Map();
+  const edges = [];
+
+  const centerKey = `pmid:${center.pmid}`;
+  keyByPmid.set(center.pmid, centerKey);
+  if (center.doi) keyByDoi.set(center.doi.toLowerCase(), centerKey);
+
+  const addNode = (publication, relation) => {
+    const doi = publication.doi?.toLowerCase();
+    const existingKey =
+      (publication.pmid && keyByPmid.get(publication.pmid)) ||
+      (doi && keyByDoi.get(doi));
+    if (existingKey === centerKey) return null;
+
+    const key =
+      existingKey ||
+      (publication.pmid
+        ? `pmid:${publication.pmid}`
+        : doi
+        ? `doi:${doi}`
+        : `openalex:${publication.openAlexId}`);
+
+    if (!nodes.has(key)) {
+      nodes.set(key, { id: key, ...nodeSummary(publication), relations: [] });
+    } else {
+      // Fill gaps from the second source (e.g. OpenAlex citation count on a PubMed record)
+      const node = nodes.get(key);
+      for (const [field, value] of Object.entries(nodeSummary(publication))) {
+        if ((node[field] === null || node[field] === "") && value) node[field] = value;
+      }
+    }
+    if (publication.pmid) keyByPmid.set(publication.pmid, key);
+    if (doi) keyByDoi.set(doi, key);
+
+    const node = nodes.get(key);
+    if (!node.relations.includes(relation)) {
+      node.relations.push(relation);
+      edges.push(
+        relation === "cited_by"
+          ? { source: key, target: centerKey, type: "cites" }
+          : relation === "references"
+          ? { source: centerKey, target: key, type: "cites" }
+          : { source: centerKey, target: key, type: "similar" }
+      );
+    }
+    return key;
+  };
+
+  const similarKeys = similarRecords.map((p) => addNode(p, "similar"));
+  const citedByKeys = (network?.citedBy || []).map((p) => addNode(p, "cited_by"));
+  const referenceKeys = (network?.references || []).map((p) => addNode(p, "references"));
+
+  if (userProfile) {
+    for (const node of nodes.values()) {
+      const match = calculatePublicationMatch(node, userProfile);
+      node.matchPercentage = match.matchPercentage;
+      node.matchExplanation = match.matchExplanation;
+    }
+  }
+
+  const listFor = (keys) =>
+    [...new Set(keys.filter(Boolean))].map((key) => nodes.get(key));
+
+  const centerNode = {
+    id: centerKey,
+    ...nodeSummary({ ...center, citations: network?.work?.citations ?? null }),
+    relations: ["center"],
+  };
+
+  return {
+    pmid: center.pmid,
+    publication: centerNode,
+    similar: listFor(similarKeys),
+    citedBy: listFor(citedByKeys),
+    references: listFor(referenceKeys),
+    graph: {
+      nodes: [centerNode, ...nodes.values()].map(
+        ({ id, title, year, relations, matchPercentage }) => ({
+          id,
+          title,
+          year,
+          relations,
+          ...(matchPercentage !== undefined && { matchPercentage }),
+        })
+      ),
+      edges,
+    },
+    citationDataAvailable: Boolean(network),
+  };
+}
@@ -0,0 +1,169 @@
+import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { SavedSearch } from "../models/SavedSearch.js";
+import { Notification } from "../models/Notification.js";
+
+// Parameters accepted by searchClinicalTrials that a saved search may store
+export const SAVED_SEARCH_PARAM_KEYS = [
+  "q",
+  "status",
+  "location",
+  "phase",
+  "eligibilitySex",
+  "eligibilityAgeMin",
+  "eligibilityAgeMax",
+  "eligibilityEcog",
+  "eligibilityPriorLines",
+  "eligibilityPregnant",
+  "eligibilityBiomarkers",
+  "radiusMiles",
+  "userLocation",
+  "biomarkers",
+  "keyword",
+];
+
+const FREQUENCY_MS = {
+  daily: 1000 * 60 * 60 * 24,
+  weekly: 1000 * 60 * 60 * 24 * 7,
+};
+
+// Same batch size the /search/trials route uses for match sorting
+const RUN_BATCH_SIZE = 500;
+
+/**
+ * Keep only the known searchClinicalTrials parameters and drop empty values
+ */
+export function sanitizeSavedSearchParams(params = {}) {
+  const clean = {};
+  for (const key of SAVED_SEARCH_PARAM_KEYS) {
+    const value = params[key];
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    clean[key] = value;
+  }
+  return clean;
+}
+
+export function computeNextRunAt(frequency = "weekly", from = new Date()) {
+  const interval = FREQUENCY_MS[frequency] || FREQUENCY_MS.weekly;
+  return new Date(from.getTime() + interval);
+}
+
+/**
+ * Build a searchClinicalTrials replacement that serves a fixed list of
+ * processed trials, so saved searches can be re-run offline
+ */
+export function createStubTrialSearch(trials = []) {
+  return async ({ q = "", phase, status } = {}) => {
+    const qLower = q.toLowerCase().trim();
+    const statuses = (status || "RECRUITING,NOT_YET_RECRUITING")
+      .split(",")
+      .map((s) => s.trim().toUpperCase());
+
+    const items = trials.filter((trial) => {
+      if (statuses.length && !statuses.includes((trial.status || "").toUpperCase())) {
+        return false;
+      }
+      if (phase && !(trial.phase || "").toUpperCase().includes(phase.toUpperCase())) {
+        return false;
+      }
+      if (qLower) {
+        const text = `${trial.title || ""} ${trial.description || ""} ${(
+          trial.conditions || []
+        ).join(" ")}`.toLowerCase();
+        return qLower.split(/\s+/).every((term) => text.includes(term));
+      }
+      return true;
+    });
+
+    return { items, totalCount: items.length, hasMore: false };
+  };
+}
+
+/**
+ * Re-run a single saved search, diff the NCT IDs against the last run
+ * and notify the owner about newly matching trials.
+ * The first run only records a baseline and does not notify.
+ */
+export async function runSavedSearch(savedSearch, { searchFn = searchClinicalTrials, now = new Date() } = {}) {
+  const result = await searchFn({
+    ...sanitizeSavedSearchParams(savedSearch.params),
+    page: 1,
+    pageSize: RUN_BATCH_SIZE,
+  });
+  const items = result?.items || [];
+
+  const currentIds = [...new Set(items.map((t) => t.id || t._id).filter(Boolean))];
+  const isFirstRun = !savedSearch.lastRunAt;
+  const previousIds = new Set(savedSearch.lastResultIds || []);
+  const newIds = isFirstRun ? [] : currentIds.filter((id) => !previousIds.has(id));
+  const newTrials = items.filter((t) => newIds.includes(t.id || t._id));
+
+  if (newTrials.length > 0 && savedSearch.alertsEnabled) {
+    const count = newTrials.length;
+    await Notification.create({
+      userId: savedSearch.userId,
+      type: "new_trial_match",
+      relatedItemId: savedSearch._id,
+      relatedItemType: "saved_search",
+      title: "New Trial Matches",
+      message: `${count} new ${
+        count === 1 ? "trial matches" : "trials match"
+      } your saved search "${savedSearch.name}"`,
+      metadata: {
+        savedSearchId: savedSearch._id.toString(),
+        nctIds: newIds,
+        trials: newTrials.slice(0, 10).map((t) => ({
+          id: t.id || t._id,
+          title: t.title,
+          status: t.status,
+        })),
+      },
+    });
+  }
+
+  // searchClinicalTrials returns an empty list on API errors, so keep the
+  // previous baseline instead of treating every trial as new next time
+  if (currentIds.length > 0 || previousIds.size === 0) {
+    savedSearch.lastResultIds = currentIds;
+  }
+  savedSearch.lastResultCount = currentIds.length;
+  savedSearch.lastNewMatchCount = newIds.length;
+  savedSearch.lastRunAt = now;
+  savedSearch.nextRunAt = computeNextRunAt(savedSearch.frequency, now);
+  await savedSearch.save();
+
+  return {
+    savedSearchId: savedSearch._id,
+    totalCount: currentIds.length,
+    newCount: newIds.length,
+    newTrialIds: newIds,
+    baseline: isFirstRun,
+  };
+}
+
+/**
+ * Re-run every saved search whose nextRunAt has passed
+ * (or every saved search when includeNotDue is set)
+ */
+export async function runDueSavedSearches({
+  searchFn = searchClinicalTrials,
+  now = new Date(),
+  limit = 50,
+  includeNotDue = false,
+} = {}) {
+  const query = includeNotDue ? {} : { nextRunAt: { $lte: now } };
+  const due = await SavedSearch.find(query)
+    .sort({ nextRunAt: 1 })
+    .limit(limit);
+
+  const results = [];
+  for (const savedSearch of due) {
+    try {
+      results.push(await runSavedSearch(savedSearch, { searchFn, now }));
+    } catch (error) {
+      console.error(`Error running saved search ${savedSearch._id}:`, error);
+      results.push({ savedSearchId: savedSearch._id, error: error.message });
+    }
+  }
+  return results;
+}
@@ -827,3 +827,72 @@ Return ONLY the simplified title, no explanations, no quotes, no markdown format
     return words.slice(0, 15).join(" ") + "...";
   }
 }
+
+/**
+ * Plain-language "key differences" paragraph for 2-4 trials being compared
+ * @param {Array} trials - Comparison entries from trialComparison.service.js
+ * @param {string} fallback - Text to return when AI is unavailable
+ */
+export async function generateTrialComparisonSummary(trials, fallback = "") {
+  if (!Array.isArray(trials) || trials.length < 2) {
+    return fallback;
+  }
+
+  // Check if any API key is available
+  if (!apiKey && !apiKey2) {
+    return fallback;
+  }
+
+  try {
+    const geminiInstance = getGeminiInstance();
+    if (!geminiInstance) {
+      return fallback;
+    }
+
+    const model = geminiInstance.getGenerativeModel({
+      model: "gemini-2.5-flash-lite",
+    });
+
+    const trialContext = trials
+      .map((t, index) =>
+        [
+          `Trial ${index + 1} (${t.nctId}): ${t.title}`,
+          `Status: ${t.status}. Phase: ${t.phase}.`,
+          t.arms?.length
+            ? `Arms: ${t.arms
+                .map((a) => `${a.label}${a.interventions?.length ? ` (${a.interventions.join(", ")})` : ""}`)
+                .join("; ")}`
+            : "",
+          t.primaryOutcomes?.length
+            ? `Primary outcomes: ${t.primaryOutcomes.map((o) => o.measure).join("; ")}`
+            : "",
+          t.nearestSite
+            ? `Nearest site: ${t.nearestSite.facility || t.nearestSite.city} (${t.nearestSite.distanceMiles} miles)`
+            : "",
+          `Eligibility: ages ${t.eligibilityHighlights.ageRange}, sex ${t.eligibilityHighlights.sex}.`,
+        ]
+          .filter(Boolean)
+          .join("\n")
+      )
+      .join("\n\n");
+
+    const prompt = `A patient is choosing between these clinical trials. Write ONE short paragraph (4-6 sentences) in plain language explaining the key differences between them: what is being tested, how far along the research is, where they run, and who can join. Do not recommend a specific trial and do not give medical advice.
+
+${trialContext}
+
+Return ONLY the paragraph, no headings, no lists, no markdown formatting.`;
+
+    const result = await model.generateContent(prompt, {
+      generationConfig: {
+        maxOutputTokens: 400,
+        temperature: 0.3,
+      },
+    });
+
+    const paragraph = result.response.text().trim();
+    return paragraph || fallback;
+  } catch (e) {
+    console.error("AI trial comparison summary error:", e);
+    return fallback;
+  }
+}
@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
+import { formatScreeningForReport } from "./trialScreening.service.js";
 
 dotenv.config();
 
@@ -392,6 +393,7 @@ export async function generateSummaryReport(
     experts: [],
     publications: [],
     trials: [],
+    screenings: [],
     generatedAt: new Date().toISOString(),
   };
 
@@ -409,6 +411,9 @@ export async function generateSummaryReport(
   report.experts = await Promise.all(expertPromises);
   report.publications = await Promise.all(publicationPromises);
   report.trials = await Promise.all(trialPromises);
+  report.screenings = (selectedItems.screenings || []).map(
+    formatScreeningForReport
+  );
 
   return report;
 }
@@ -0,0 +1,59 @@
+/**
+ * Thread Search Service
+ * Title/body search over community threads, shared by the communities search
+ * route and the unified search endpoint
+ */
+
+import mongoose from "mongoose";
+import { Thread } from "../models/Thread.js";
+import { Reply } from "../models/Reply.js";
+
+/**
+ * Search threads by title or body, newest first
+ * @param {Object} params - { q, communityId, page, limit }
+ * @returns {Promise<Object>} - { threads, total } with replyCount and voteScore on each thread
+ */
+export async function searchThreads({ q, communityId, page = 1, limit = 20 }) {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  let matchQuery = {
+    $or: [
+      { title: { $regex: q, $options: "i" } },
+      { body: { $regex: q, $options: "i" } },
+    ],
+  };
+
+  if (communityId) {
+    matchQuery.communityId = new mongoose.Types.ObjectId(communityId);
+  }
+
+  const threads = await Thread.find(matchQuery)
+    .populate("authorUserId", "username email")
+    .populate("communityId", "name slug icon color")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+
+  // Get reply counts
+  const threadIds = threads.map((t) => t._id);
+  const replyCounts = await Reply.aggregate([
+    { $match: { threadId: { $in: threadIds } } },
+    { $group: { _id: "$threadId", count: { $sum: 1 } } },
+  ]);
+  const replyCountMap = {};
+  replyCounts.forEach((item) => {
+    replyCountMap[item._id.toString()] = item.count;
+  });
+
+  const total = await Thread.countDocuments(matchQuery);
+
+  return {
+    threads: threads.map((t) => ({
+      ...t,
+      replyCount: replyCountMap[t._id.toString()] || 0,
+      voteScore: (t.upvotes?.length || 0) - (t.downvotes?.length || 0),
+    })),
+    total,
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Trial Comparison Service
+ * Fetches 2-4 trials and lines up the fields patients compare side by side
+ */
+
+import { fetchTrialById } from "./urlParser.service.js";
+import { calculateTrialMatch } from "./matching.service.js";
+import { generateTrialComparisonSummary } from "./summary.service.js";
+import { parseEligibilityCriteria } from "./eligibilityCriteria.service.js";
+import {
+  parseLocation,
+  isPreciseLocation,
+  findNearestSite,
+} from "../utils/geography.js";
+
+export const MIN_COMPARE_TRIALS = 2;
+export const MAX_COMPARE_TRIALS = 4;
+
+const NCT_ID_REGEX = /^NCT\d{8}$/;
+
+/**
+ * Parse "NCT1,NCT2" or an array into unique, upper-cased NCT IDs
+ * @returns {Object} - { nctIds, invalid }
+ */
+export function parseCompareIds(ids) {
+  const raw = (Array.isArray(ids) ? ids : String(ids || "").split(","))
+    .map((id) => String(id).trim().toUpperCase())
+    .filter(Boolean);
+  const unique = [...new Set(raw)];
+  return {
+    nctIds: unique.filter((id) => NCT_ID_REGEX.test(id)),
+    invalid: unique.filter((id) => !NCT_ID_REGEX.test(id)),
+  };
+}
+
+function buildEligibilityHighlights(trial) {
+  const eligibility = trial.eligibility || {};
+  const structured =
+    eligibility.structured || parseEligibilityCriteria(eligibility.criteria);
+  const minAge = eligibility.minimumAge && eligibility.minimumAge !== "Not specified"
+    ? eligibility.minimumAge
+    : null;
+  const maxAge = eligibility.maximumAge && eligibility.maximumAge !== "Not specified"
+    ? eligibility.maximumAge
+    : null;
+
+  return {
+    ageRange: minAge || maxAge ? `${minAge || "any"} - ${maxAge || "any"}` : "Any age",
+    sex: eligibility.gender || "All",
+    healthyVolunteers: eligibility.healthyVolunteers || "Unknown",
+    ecog: structured.performanceStatus?.ecogMax ?? null,
+    priorTherapyLines: structured.priorTherapyLines || null,
+    biomarkersRequired: structured.biomarkers?.required || [],
+    keyInclusions: (structured.inclusion || []).slice(0, 3),
+    keyExclusions: (structured.exclusion || []).slice(0, 3),
+  };
+}
+
+function nearestSiteFor(trial, origin) {
+  if (!origin) return null;
+  const sites = (trial.locations || []).map((loc) => {
+    if (typeof loc.lat === "number" && typeof loc.lon === "number") return loc;
+    const coords = parseLocation({
+      city: loc.city,
+      state: loc.state,
+      country: loc.country,
+    });
+    return isPreciseLocation(coords)
+      ? { ...loc, lat: coords.lat, lon: coords.lon }
+      : loc;
+  });
+
+  const nearest = findNearestSite(origin, sites);
+  if (!nearest) return null;
+  return {
+    facility: nearest.site.facility || "",
+    city: nearest.site.city || "",
+    state: nearest.site.state || "",
+    country: nearest.site.country || "",
+    distanceMiles: nearest.distanceMiles,
+  };
+}
+
+function toComparisonEntry(trial, { userProfile, origin }) {
+  const match = userProfile ? calculateTrialMatch(trial, userProfile) : null;
+
+  return {
+    nctId: trial.id,
+    title: trial.title,
+    status: trial.status,
+    phase: trial.phase,
+    studyType: trial.studyType,
+    sponsor: trial.sponsor || "",
+    enrollment: trial.enrollment ?? null,
+    conditions: trial.conditions || [],
+    arms: trial.arms || [],
+    interventions: trial.interventions || [],
+    primaryOutcomes: trial.primaryOutcomes || [],
+    siteCount: (trial.locations || []).length,
+    nearestSite: nearestSiteFor(trial, origin),
+    eligibilityHighlights: buildEligibilityHighlights(trial),
+    matchPercentage: match ? match.matchPercentage : null,
+    matchExplanation: match ? match.matchExplanation : null,
+    clinicalTrialsGovUrl: trial.clinicalTrialsGovUrl,
+  };
+}
+
+/**
+ * Build aligned rows so each field can be rendered across all trials
+ */
+function buildComparisonRows(entries) {
+  const rows = [
+    ["status", "Status", (e) => e.status],
+    ["phase", "Phase", (e) => e.phase],
+    ["arms", "Intervention arms", (e) =>
+      e.arms.map((a) => a.label + (a.interventions.length ? ` (${a.interventions.join(", ")})` : ""))],
+    ["primaryOutcomes", "Primary outcomes", (e) => e.primaryOutcomes.map((o) => o.measure)],
+    ["nearestSite", "Nearest site", (e) =>
+      e.nearestSite
+        ? `${e.nearestSite.facility || e.nearestSite.city} (${e.nearestSite.distanceMiles} mi)`
+        : null],
+    ["ageRange", "Age", (e) => e.eligibilityHighlights.ageRange],
+    ["sex", "Sex", (e) => e.eligibilityHighlights.sex],
+    ["biomarkersRequired", "Required biomarkers", (e) => e.eligibilityHighlights.biomarkersRequired],
+    ["matchPercentage", "Match", (e) => e.matchPercentage],
+  ];
+
+  return rows.map(([field, label, getValue]) => {
+    const values = entries.map(getValue);
+    const serialized = values.map((v) => JSON.stringify(v ?? null));
+    return {
+      field,
+      label,
+      values,
+      differs: new Set(serialized).size > 1,
+    };
+  });
+}
+
+function buildFallbackDifferences(rows) {
+  const differing = rows.filter((r) => r.differs && r.field !== "matchPercentage");
+  if (differing.length === 0) {
+    return "These trials look similar on phase, status, arms and basic eligibility.";
+  }
+  return `These trials differ in: ${differing
+    .map((r) => r.label.toLowerCase())
+    .join(", ")}.`;
+}
+
+/**
+ * Compare trials side by side
+ * @param {Array} nctIds - 2-4 NCT IDs
+ * @param {Object} options - { userProfile, userLocation, ai }
+ * @returns {Object} - { trials, rows, notFound, keyDifferences }
+ */
+export async function compareTrials(nctIds, { userProfile = null, userLocation = null, ai = false } = {}) {
+  const fetched = await Promise.all(
+    nctIds.map(async (nctId) => ({ nctId, trial: await fetchTrialById(nctId) }))
+  );
+
+  const notFound = fetched.filter((f) => !f.trial).map((f) => f.nctId);
+  const locationSource =
+    userLocation ||
+    userProfile?.patient?.location ||
+    userProfile?.researcher?.location ||
+    null;
+  const originCoords = parseLocation(locationSource);
+  const origin = isPreciseLocation(originCoords) ? originCoords : null;
+
+  const entries = fetched
+    .filter((f) => f.trial)
+    .map((f) => toComparisonEntry(f.trial, { userProfile, origin }));
+  const rows = buildComparisonRows(entries);
+
+  let keyDifferences = null;
+  if (ai && entries.length >= MIN_COMPARE_TRIALS) {
+    const fallback = buildFallbackDifferences(rows);
+    keyDifferences = await generateTrialComparisonSummary(entries, fallback);
+  }
+
+  return { trials: entries, rows, notFound, keyDifferences };
+}
@@ -0,0 +1,88 @@
+/**
+ * Trial Facets Service
+ * Facet counts and multi-select facet filters over a batch of trial search results
+ */
+
+import {
+  isCenterOfExcellence,
+  isMajorBiotechSponsor,
+} from "./medicalTerminology.service.js";
+import { parseFacetFilters, applyFacets } from "../utils/facets.js";
+
+// Facet key -> query parameter the search route reads its selections from
+export const TRIAL_FACET_PARAMS = {
+  status: "status",
+  phase: "phase",
+  country: "country",
+  sponsorType: "sponsorType",
+  interventionType: "interventionType",
+  centerOfExcellence: "centerOfExcellence",
+};
+
+function splitPhases(phase) {
+  if (!phase || phase === "N/A") return ["NA"];
+  return phase
+    .split(/[,/]/)
+    .map((p) => p.trim().toUpperCase().replace(/\s+/g, ""))
+    .filter(Boolean);
+}
+
+function getCountries(trial) {
+  const fromSites = (trial.sites || []).map((s) => s.country).filter(Boolean);
+  if (fromSites.length > 0) return fromSites;
+  // Fall back to the last part of "City, State, Country" strings
+  return (trial.locations || [])
+    .map((l) => (typeof l === "string" ? l : l.country || ""))
+    .map((l) => l.split(",").pop().trim())
+    .filter(Boolean);
+}
+
+function atCenterOfExcellence(trial) {
+  const places = [
+    trial.location,
+    ...(trial.sites || []).map((s) => s.facility),
+  ];
+  return places.some((place) => isCenterOfExcellence(place));
+}
+
+/**
+ * Facet values a single trial falls under
+ * @returns {Object} - { status: [...], phase: [...], ... }
+ */
+export function getTrialFacetValues(trial) {
+  return {
+    status: trial.status ? [trial.status] : [],
+    phase: splitPhases(trial.phase),
+    country: [...new Set(getCountries(trial))],
+    sponsorType: [
+      trial.isCuraLinkHosted
+        ? "curalink_hosted"
+        : isMajorBiotechSponsor(trial.sponsor)
+        ? "major_biotech"
+        : "other",
+    ],
+    interventionType: trial.interventionTypes || [],
+    centerOfExcellence: [atCenterOfExcellence(trial) ? "yes" : "no"],
+  };
+}
+
+/**
+ * Read trial facet selections from a search query
+ */
+export function parseTrialFacetFilters(query = {}) {
+  return parseFacetFilters(query, TRIAL_FACET_PARAMS);
+}
+
+/**
+ * Apply trial facet filters and count facet values over a batch of trials
+ * @param {Object} countBatches - { status, phase }: batches fetched without that
+ *   facet's selection, for facets ClinicalTrials.gov already filtered by
+ * @returns {Object} - { items, facets: { facetKey: [{ value, count, selected }] } }
+ */
+export function applyTrialFacets(trials, filters = {}, countBatches = {}) {
+  return applyFacets(trials, filters, {
+    facetKeys: Object.keys(TRIAL_FACET_PARAMS),
+    getValues: getTrialFacetValues,
+    countBatches,
+  });
+}
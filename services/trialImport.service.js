@@ -0,0 +1,213 @@
+/**
+ * Trial Import Service
+ * Copies a ClinicalTrials.gov study into the local Trial collection and keeps
+ * the copy in step with the registry on later syncs
+ */
+
+import { Trial } from "../models/Trial.js";
+import { fetchTrialById } from "./urlParser.service.js";
+import { canTransition } from "./hostedTrial.service.js";
+
+export const CLINICAL_TRIALS_SOURCE = "clinicaltrials.gov";
+
+// Fields copied from the registry and compared on sync
+export const SYNCED_FIELDS = [
+  "title",
+  "status",
+  "phase",
+  "conditions",
+  "location",
+  "sites",
+  "eligibility",
+  "gender",
+  "minimumAge",
+  "maximumAge",
+  "description",
+  "contacts",
+];
+
+// ClinicalTrials.gov overallStatus -> hosted lifecycle status
+const STATUS_FROM_CTGOV = {
+  NOT_YET_RECRUITING: "published",
+  RECRUITING: "recruiting",
+  ENROLLING_BY_INVITATION: "recruiting",
+  ACTIVE_NOT_RECRUITING: "closed",
+  SUSPENDED: "closed",
+  TERMINATED: "closed",
+  COMPLETED: "closed",
+  WITHDRAWN: "closed",
+};
+
+/**
+ * "18 Years" / "6 Months" -> whole years, or null when not specified
+ */
+function parseAgeYears(value) {
+  const match = String(value || "").match(/(\d+)\s*(year|month|week|day)/i);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  const divisor = { year: 1, month: 12, week: 52, day: 365 }[match[2].toLowerCase()];
+  return Math.min(120, Math.floor(amount / divisor));
+}
+
+function formatGender(value) {
+  const gender = String(value || "").toUpperCase();
+  if (gender === "FEMALE") return "Female";
+  if (gender === "MALE") return "Male";
+  return "All";
+}
+
+function formatPhase(phase) {
+  if (!phase || phase === "N/A") return "NA";
+  return phase.split(",").map((p) => p.trim()).filter(Boolean).join("/");
+}
+
+/**
+ * Map a trial from fetchTrialById onto the Trial schema fields
+ */
+export function mapStudyToTrial(study) {
+  const sites = (study.locations || []).map((loc) => ({
+    facility: loc.facility || "",
+    city: loc.city || "",
+    state: loc.state || "",
+    country: loc.country || "",
+    lat: loc.lat ?? null,
+    lon: loc.lon ?? null,
+  }));
+  const firstSite = sites[0];
+  const criteria = study.eligibility?.criteria;
+
+  return {
+    title: study.title,
+    status: STATUS_FROM_CTGOV[study.status] || "closed",
+    phase: formatPhase(study.phase),
+    conditions: study.conditions || [],
+    location: firstSite
+      ? [firstSite.city, firstSite.state, firstSite.country].filter(Boolean).join(", ")
+      : "",
+    sites,
+    eligibility: criteria && criteria !== "Not specified" ? criteria : "",
+    gender: formatGender(study.eligibility?.gender),
+    minimumAge: parseAgeYears(study.eligibility?.minimumAge),
+    maximumAge: parseAgeYears(study.eligibility?.maximumAge),
+    description:
+      study.description && study.description !== "No description available."
+        ? study.description
+        : "",
+    contacts: (study.contacts || [])
+      .filter((c) => c.name || c.email || c.phone)
+      .map((c) => ({ name: c.name || "", email: c.email || "", phone: c.phone || "" })),
+  };
+}
+
+// Compare field values the way they are stored (subdocuments included)
+function sameValue(a, b) {
+  const normalize = (v) => JSON.stringify(v === undefined ? null : v);
+  return normalize(a) === normalize(b);
+}
+
+function toPlain(value) {
+  return value?.toObject ? value.toObject() : value;
+}
+
+/**
+ * Import a ClinicalTrials.gov study as a trial owned by a researcher
+ * @returns {Object} - { trial } or { error, status, existingTrialId }
+ */
+export async function importTrialFromClinicalTrials(nctId, ownerResearcherId) {
+  const cleanNctId = String(nctId || "").trim().toUpperCase();
+  if (!/^NCT\d{8}$/.test(cleanNctId)) {
+    return { error: "Invalid NCT ID", status: 400 };
+  }
+
+  const existing = await Trial.findOne({ "source.nctId": cleanNctId })
+    .select("_id")
+    .lean();
+  if (existing) {
+    return {
+      error: `${cleanNctId} has already been imported`,
+      status: 409,
+      existingTrialId: existing._id,
+    };
+  }
+
+  const study = await fetchTrialById(cleanNctId);
+  if (!study) {
+    return { error: `Trial ${cleanNctId} not found on ClinicalTrials.gov`, status: 404 };
+  }
+
+  const fields = mapStudyToTrial(study);
+  const now = new Date();
+  const trial = await Trial.create({
+    ...fields,
+    ownerResearcherId,
+    statusHistory: [{ from: null, to: fields.status, changedAt: now }],
+    publishedAt: now,
+    closedAt: fields.status === "closed" ? now : undefined,
+    source: {
+      registry: CLINICAL_TRIALS_SOURCE,
+      nctId: cleanNctId,
+      url: study.clinicalTrialsGovUrl,
+      importedAt: now,
+      lastSyncedAt: now,
+      lastUpdated: study.lastUpdated,
+      data: fields,
+    },
+  });
+
+  return { trial };
+}
+
+/**
+ * Refresh an imported trial from ClinicalTrials.gov.
+ * Fields the researcher has not edited locally follow the registry; fields
+ * edited on both sides are left alone and flagged as divergences unless
+ * overwrite is set.
+ * @returns {Object} - { trial, updatedFields, divergences } or { error, status }
+ */
+export async function syncImportedTrial(trial, { overwrite = false, now = new Date() } = {}) {
+  const nctId = trial.source?.nctId;
+  if (!nctId) {
+    return { error: "Trial was not imported from ClinicalTrials.gov", status: 400 };
+  }
+
+  const study = await fetchTrialById(nctId);
+  if (!study) {
+    return { error: `Trial ${nctId} not found on ClinicalTrials.gov`, status: 404 };
+  }
+
+  const incoming = mapStudyToTrial(study);
+  const lastImported = trial.source.data || {};
+  const updatedFields = [];
+  const divergences = [];
+
+  for (const field of SYNCED_FIELDS) {
+    const local = toPlain(trial[field]);
+    const source = incoming[field];
+    if (sameValue(local, source)) continue;
+
+    const editedLocally = !sameValue(local, lastImported[field]);
+    const statusBlocked =
+      field === "status" && !canTransition(trial.status, source);
+
+    if ((editedLocally && !overwrite) || statusBlocked) {
+      divergences.push({ field, local, source });
+      continue;
+    }
+
+    if (field === "status") {
+      trial.statusHistory.push({ from: trial.status, to: source, changedAt: now });
+      if (source === "closed") trial.closedAt = now;
+    }
+    trial[field] = source;
+    updatedFields.push(field);
+  }
+
+  trial.source.data = incoming;
+  trial.source.lastSyncedAt = now;
+  trial.source.lastUpdated = study.lastUpdated;
+  trial.source.divergences = divergences.map((d) => ({ ...d, detectedAt: now }));
+  trial.markModified("source");
+  await trial.save();
+
+  return { trial, updatedFields, divergences };
+}
@@ -0,0 +1,192 @@
+/**
+ * Trial Pre-Screening Service
+ * Turns a trial's inclusion/exclusion criteria into a short yes/no/unknown
+ * questionnaire and evaluates a patient's answers per criterion.
+ */
+
+import { parseEligibilityCriteria } from "./eligibilityCriteria.service.js";
+
+const MAX_INCLUSION_QUESTIONS = 8;
+const MAX_EXCLUSION_QUESTIONS = 7;
+const MAX_CRITERION_LENGTH = 300;
+
+// Criteria a patient usually cannot answer reliably without their care team
+const CLINICIAN_TERMS_REGEX =
+  /\b(?:uln|lln|mg\/dl|g\/dl|mm3|10\^9|ml\/min|creatinine|bilirubin|platelets?|neutrophils?|ha?emoglobin|ast|alt|inr|ecog|karnofsky|recist|measurable disease|qtc|lvef|ejection fraction)\b/i;
+
+function truncate(text, max = MAX_CRITERION_LENGTH) {
+  return text.length > max ? `${text.slice(0, max - 1).trim()}…` : text;
+}
+
+function isQuestionWorthy(criterion) {
+  // Skip sub-heading lines such as "Adequate organ function:"
+  if (/:\s*$/.test(criterion)) return false;
+  return criterion.split(/\s+/).length >= 3;
+}
+
+function parseAgeYears(ageStr) {
+  if (!ageStr || ageStr === "Not specified") return null;
+  const match = String(ageStr).match(/(\d+)/);
+  if (!match) return null;
+  const value = parseInt(match[1], 10);
+  // Trials occasionally express ages in months/weeks
+  if (/month/i.test(ageStr)) return Math.floor(value / 12);
+  if (/week|day/i.test(ageStr)) return 0;
+  return value;
+}
+
+function normalizeAnswer(value) {
+  if (value === true) return "yes";
+  if (value === false) return "no";
+  const lower = String(value ?? "").toLowerCase().trim();
+  if (["yes", "y", "true"].includes(lower)) return "yes";
+  if (["no", "n", "false"].includes(lower)) return "no";
+  return "unknown";
+}
+
+/**
+ * Build the pre-screening questionnaire for a trial
+ * @param {Object} trial - Trial from fetchTrialById
+ * @returns {Array} - [{ id, criterionType, criterion, question, requiresClinician }]
+ */
+export function generateScreeningQuestions(trial) {
+  const eligibility = trial?.eligibility || {};
+  const structured =
+    eligibility.structured || parseEligibilityCriteria(eligibility.criteria);
+  const questions = [];
+
+  // Demographic questions from the structured age/sex fields
+  const minAge = parseAgeYears(eligibility.minimumAge);
+  const maxAge = parseAgeYears(eligibility.maximumAge);
+  if (minAge !== null || maxAge !== null) {
+    const range =
+      minAge !== null && maxAge !== null
+        ? `between ${minAge} and ${maxAge} years old`
+        : minAge !== null
+        ? `${minAge} years old or older`
+        : `${maxAge} years old or younger`;
+    questions.push({
+      id: "d1",
+      criterionType: "demographic",
+      criterion: `Age ${range}`,
+      question: `Are you ${range}?`,
+      requiresClinician: false,
+    });
+  }
+
+  const gender = (eligibility.gender || "All").toUpperCase();
+  if (gender === "FEMALE" || gender === "MALE") {
+    questions.push({
+      id: "d2",
+      criterionType: "demographic",
+      criterion: `Sex: ${gender.toLowerCase()}`,
+      question: `Is your sex ${gender.toLowerCase()}?`,
+      requiresClinician: false,
+    });
+  }
+
+  (structured.inclusion || [])
+    .filter(isQuestionWorthy)
+    .slice(0, MAX_INCLUSION_QUESTIONS)
+    .forEach((criterion, index) => {
+      const text = truncate(criterion);
+      questions.push({
+        id: `i${index + 1}`,
+        criterionType: "inclusion",
+        criterion: text,
+        question: `Does this describe you? "${text}"`,
+        requiresClinician: CLINICIAN_TERMS_REGEX.test(criterion),
+      });
+    });
+
+  (structured.exclusion || [])
+    .filter(isQuestionWorthy)
+    .slice(0, MAX_EXCLUSION_QUESTIONS)
+    .forEach((criterion, index) => {
+      const text = truncate(criterion);
+      questions.push({
+        id: `e${index + 1}`,
+        criterionType: "exclusion",
+        criterion: text,
+        question: `Does this apply to you? "${text}"`,
+        requiresClinician: CLINICIAN_TERMS_REGEX.test(criterion),
+      });
+    });
+
+  return questions;
+}
+
+/**
+ * Evaluate answers against the questionnaire
+ * @param {Array} questions - Output of generateScreeningQuestions
+ * @param {Object|Array} answers - { [questionId]: "yes"|"no"|"unknown" } or [{ questionId, answer }]
+ * @returns {Object} - { results, overallStatus, summary }
+ */
+export function evaluateScreening(questions, answers = {}) {
+  const answerMap = Array.isArray(answers)
+    ? Object.fromEntries(answers.map((a) => [a.questionId, a.answer]))
+    : answers || {};
+
+  let patientUnknowns = 0;
+  const results = questions.map((q) => {
+    const answer = normalizeAnswer(answerMap[q.id]);
+    let verdict;
+
+    if (answer === "unknown") {
+      verdict = "needs_review";
+      if (!q.requiresClinician) patientUnknowns++;
+    } else if (q.requiresClinician) {
+      // Lab values, performance status etc. need confirmation from the care team
+      verdict = "needs_review";
+    } else if (q.criterionType === "exclusion") {
+      verdict = answer === "yes" ? "not_met" : "met";
+    } else {
+      verdict = answer === "yes" ? "met" : "not_met";
+    }
+
+    return {
+      questionId: q.id,
+      criterionType: q.criterionType,
+      criterion: q.criterion,
+      answer,
+      verdict,
+    };
+  });
+
+  const summary = {
+    met: results.filter((r) => r.verdict === "met").length,
+    notMet: results.filter((r) => r.verdict === "not_met").length,
+    needsReview: results.filter((r) => r.verdict === "needs_review").length,
+  };
+
+  // Clinician-only criteria do not block a "likely eligible" result on their own
+  const overallStatus =
+    summary.notMet > 0
+      ? "likely_ineligible"
+      : patientUnknowns > 0
+      ? "needs_review"
+      : "likely_eligible";
+
+  return { results, overallStatus, summary };
+}
+
+/**
+ * Compact screening representation for summary reports and meeting requests
+ */
+export function formatScreeningForReport(screening) {
+  const results = screening.results || [];
+  return {
+    screeningId: screening._id?.toString(),
+    nctId: screening.nctId,
+    trialTitle: screening.trialTitle || screening.nctId,
+    overallStatus: screening.overallStatus,
+    summary: screening.summary,
+    criteriaNotMet: results
+      .filter((r) => r.verdict === "not_met")
+      .map((r) => r.criterion),
+    criteriaForDoctorReview: results
+      .filter((r) => r.verdict === "needs_review")
+      .map((r) => r.criterion),
+    completedAt: screening.createdAt,
+  };
+}
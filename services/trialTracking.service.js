@@ -0,0 +1,289 @@
+import { fetchTrialById } from "./urlParser.service.js";
+import { TrialSnapshot } from "../models/TrialSnapshot.js";
+import { TrialChange } from "../models/TrialChange.js";
+import { Favorite } from "../models/Favorite.js";
+import { Notification } from "../models/Notification.js";
+
+// Changes worth notifying users about; enrollment counts move too often
+const MATERIAL_FIELDS = new Set([
+  "status",
+  "locations",
+  "contacts",
+  "primaryCompletionDate",
+  "eligibility.criteria",
+  "eligibility.gender",
+  "eligibility.minimumAge",
+  "eligibility.maximumAge",
+]);
+
+// Favorite item fields a trial's NCT ID may be stored under
+const TRIAL_FAVORITE_KEYS = ["item.id", "item._id", "item.nctId"];
+// Stop starting trial fetches after this so the cron returns before the
+// function timeout
+const REFRESH_TIME_BUDGET_MS = 1000 * 20;
+
+const FIELD_LABELS = {
+  status: "recruitment status",
+  enrollment: "enrollment",
+  locations: "sites",
+  contacts: "contacts",
+  primaryCompletionDate: "primary completion date",
+  "eligibility.criteria": "eligibility criteria",
+  "eligibility.gender": "eligible sex",
+  "eligibility.minimumAge": "minimum age",
+  "eligibility.maximumAge": "maximum age",
+};
+
+/**
+ * Reduce a trial from fetchTrialById to the fields we track for changes
+ */
+export function buildTrialSnapshot(trial) {
+  const eligibility = trial.eligibility || {};
+  const locations = (trial.locations || [])
+    .map((l) => (typeof l === "string" ? l : l.fullAddress || l.address || ""))
+    .filter(Boolean);
+  const contacts = (trial.contacts || [])
+    .map((c) => [c.name, c.email, c.phone].filter(Boolean).join(" | "))
+    .filter(Boolean);
+
+  return {
+    status: trial.status || null,
+    enrollment: trial.enrollment ?? null,
+    primaryCompletionDate: trial.primaryCompletionDate || null,
+    locations: [...new Set(locations)].sort(),
+    contacts: [...new Set(contacts)].sort(),
+    eligibility: {
+      criteria: eligibility.criteria || null,
+      gender: eligibility.gender || null,
+      minimumAge: eligibility.minimumAge || null,
+      maximumAge: eligibility.maximumAge || null,
+    },
+  };
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @returns {Array} - [{ field, before, after, added, removed, material }]
+ */
+export function diffTrialSnapshots(previous, current) {
+  const changes = [];
+
+  const compareValue = (field, before, after) => {
+    if ((before ?? null) !== (after ?? null)) {
+      changes.push({
+        field,
+        before: before ?? null,
+        after: after ?? null,
+        material: MATERIAL_FIELDS.has(field),
+      });
+    }
+  };
+
+  const compareList = (field, before = [], after = []) => {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    const added = after.filter((v) => !beforeSet.has(v));
+    const removed = before.filter((v) => !afterSet.has(v));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({
+        field,
+        before: before.length,
+        after: after.length,
+        added,
+        removed,
+        material: MATERIAL_FIELDS.has(field),
+      });
+    }
+  };
+
+  compareValue("status", previous.status, current.status);
+  compareValue("enrollment", previous.enrollment, current.enrollment);
+  compareValue(
+    "primaryCompletionDate",
+    previous.primaryCompletionDate,
+    current.primaryCompletionDate
+  );
+  compareList("locations", previous.locations, current.locations);
+  compareList("contacts", previous.contacts, current.contacts);
+  for (const key of ["criteria", "gender", "minimumAge", "maximumAge"]) {
+    compareValue(
+      `eligibility.${key}`,
+      previous.eligibility?.[key],
+      current.eligibility?.[key]
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Short human-readable description of a set of changes
+ */
+export function describeTrialChanges(changes) {
+  return changes
+    .map((change) => {
+      const label = FIELD_LABELS[change.field] || change.field;
+      if (change.field === "status") {
+        return `status changed from ${change.before || "unknown"} to ${change.after || "unknown"}`;
+      }
+      if (change.added || change.removed) {
+        const parts = [];
+        if (change.added?.length) parts.push(`${change.added.length} added`);
+        if (change.removed?.length) parts.push(`${change.removed.length} removed`);
+        return `${label}: ${parts.join(", ")}`;
+      }
+      return `${label} updated`;
+    })
+    .join("; ");
+}
+
+/**
+ * Users who favorited a trial, matched on the same ID fields favorites.routes uses
+ */
+async function findTrialFavoriteUserIds(nctId) {
+  return Favorite.distinct("userId", {
+    type: "trial",
+    $or: TRIAL_FAVORITE_KEYS.map((key) => ({ [key]: nctId })),
+  });
+}
+
+async function notifyTrialFavoriters(nctId, title, change) {
+  const userIds = await findTrialFavoriteUserIds(nctId);
+  if (userIds.length === 0) return 0;
+
+  const materialChanges = change.changes.filter((c) => c.material);
+  const statusChange = materialChanges.find((c) => c.field === "status");
+  const message = `${title || nctId}: ${describeTrialChanges(materialChanges)}`;
+
+  await Notification.insertMany(
+    userIds.map((userId) => ({
+      userId,
+      type: "trial_update",
+      relatedItemId: change._id,
+      relatedItemType: "trial_change",
+      title: statusChange ? "Trial Status Changed" : "Trial Updated",
+      message,
+      metadata: {
+        nctId,
+        trialTitle: title,
+        fields: materialChanges.map((c) => c.field),
+        ...(statusChange && {
+          previousStatus: statusChange.before,
+          newStatus: statusChange.after,
+        }),
+      },
+    }))
+  );
+  return userIds.length;
+}
+
+/**
+ * Store the latest snapshot of a fetched trial and record any changes
+ * since the previous snapshot. The first snapshot is only a baseline.
+ * @param {Object} trial - Trial from fetchTrialById
+ * @returns {Object} - { baseline, change }
+ */
+export async function recordTrialSnapshot(trial, { notify = true, now = new Date() } = {}) {
+  const nctId = (trial.id || trial._id || "").toUpperCase();
+  if (!nctId) return { baseline: false, change: null };
+
+  const data = buildTrialSnapshot(trial);
+  const existing = await TrialSnapshot.findOne({ nctId });
+
+  if (!existing) {
+    await TrialSnapshot.create({ nctId, title: trial.title, data, fetchedAt: now });
+    return { baseline: true, change: null };
+  }
+
+  const changes = diffTrialSnapshots(existing.data || {}, data);
+  existing.title = trial.title || existing.title;
+  existing.fetchedAt = now;
+
+  let change = null;
+  if (changes.length > 0) {
+    change = await TrialChange.create({
+      nctId,
+      changes,
+      material: changes.some((c) => c.material),
+    });
+    existing.data = data;
+    existing.lastChangedAt = now;
+
+    if (notify && change.material) {
+      change.notifiedUserCount = await notifyTrialFavoriters(
+        nctId,
+        existing.title,
+        change
+      );
+      await change.save();
+    }
+  }
+
+  await existing.save();
+  return { baseline: false, change };
+}
+
+/**
+ * Fetch a trial and record its snapshot
+ */
+export async function refreshTrialSnapshot(nctId, options = {}) {
+  const trial = await fetchTrialById(nctId);
+  if (!trial) return null;
+  const result = await recordTrialSnapshot(trial, options);
+  return { trial, ...result };
+}
+
+/**
+ * Re-fetch favorited trials, least recently checked first, until limit or
+ * timeBudgetMs runs out; the cron picks up the rest on its next run
+ */
+export async function refreshFavoritedTrials({
+  limit = 40,
+  timeBudgetMs = REFRESH_TIME_BUDGET_MS,
+  now = new Date(),
+} = {}) {
+  const startedAt = Date.now();
+  // Same keys findTrialFavoriteUserIds matches; older favorites lack item.id
+  const favoriteIds = (
+    await Promise.all(
+      TRIAL_FAVORITE_KEYS.map((key) => Favorite.distinct(key, { type: "trial" }))
+    )
+  ).flat();
+  const nctIds = [
+    ...new Set(
+      favoriteIds
+        .filter((id) => typeof id === "string" && /^NCT\d{8}$/i.test(id))
+        .map((id) => id.toUpperCase())
+    ),
+  ];
+
+  const snapshots = await TrialSnapshot.find({ nctId: { $in: nctIds } })
+    .select("nctId fetchedAt")
+    .lean();
+  const lastFetched = new Map(snapshots.map((s) => [s.nctId, s.fetchedAt]));
+  const ordered = nctIds
+    .sort(
+      (a, b) =>
+        (lastFetched.get(a)?.getTime() || 0) - (lastFetched.get(b)?.getTime() || 0)
+    )
+    .slice(0, limit);
+
+  const results = [];
+  for (const nctId of ordered) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    try {
+      const result = await refreshTrialSnapshot(nctId, { now });
+      results.push({
+        nctId,
+        found: Boolean(result),
+        baseline: result?.baseline || false,
+        changed: Boolean(result?.change),
+        material: result?.change?.material || false,
+      });
+    } catch (error) {
+      console.error(`Error refreshing trial snapshot ${nctId}:`, error);
+      results.push({ nctId, error: error.message });
+    }
+  }
+  return results;
+}
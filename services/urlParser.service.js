@@ -1,6 +1,7 @@
 import axios from "axios";
 import { DOMParser } from "xmldom";
 import { searchClinicalTrials } from "./clinicalTrials.service.js";
+import { parseEligibilityCriteria } from "./eligibilityCriteria.service.js";
 
 /**
  * Parse a URL and determine if it's a ClinicalTrials.gov or PubMed URL
@@ -160,6 +161,10 @@ function processStudyData(study, nctId) {
   const eligibilityModule = protocolSection.eligibilityModule || {};
   const designModule = protocolSection.designModule || {};
   const descriptionModule = protocolSection.descriptionModule || {};
+  const armsInterventionsModule = protocolSection.armsInterventionsModule || {};
+  const outcomesModule = protocolSection.outcomesModule || {};
+  const sponsorCollaboratorsModule =
+    protocolSection.sponsorCollaboratorsModule || {};
 
   // IMPORTANT: Use protocolSection.contactsLocationsModule
   // Structure: protocolSection.contactsLocationsModule.locations[]
@@ -197,6 +202,8 @@ function processStudyData(study, nctId) {
         contactName: locationContact.name || loc.contactName || "",
         contactEmail: locationContact.email || loc.contactEmail || "",
         contactPhone: locationContact.phone || loc.contactPhone || "",
+        lat: loc.geoPoint?.lat ?? null,
+        lon: loc.geoPoint?.lon ?? null,
         fullAddress: facilityName
           ? `${facilityName}, ${addressString}`
           : addressString,
@@ -211,6 +218,8 @@ function processStudyData(study, nctId) {
     maximumAge: eligibilityModule.maximumAge || "Not specified",
     healthyVolunteers: eligibilityModule.healthyVolunteers || "Unknown",
     population: eligibilityModule.studyPopulationDescription || "",
+    // Inclusion/exclusion lists and extracted facts (ECOG, prior lines, labs, biomarkers)
+    structured: parseEligibilityCriteria(eligibilityModule.eligibilityCriteria),
   };
 
   // Extract conditions
@@ -242,6 +251,28 @@ function processStudyData(study, nctId) {
   const phases = designModule.phases || [];
   const phase = phases.length > 0 ? phases.join(", ") : "N/A";
 
+  // Intervention arms and what each arm receives
+  const arms =
+    armsInterventionsModule.armGroups?.map((a) => ({
+      label: a.label || "",
+      type: a.type || "",
+      description: a.description || "",
+      interventions: a.interventionNames || [],
+    })) || [];
+  const interventions =
+    armsInterventionsModule.interventions?.map((i) => ({
+      type: i.type || "",
+      name: i.name || "",
+      description: i.description || "",
+    })) || [];
+
+  const primaryOutcomes =
+    outcomesModule.primaryOutcomes?.map((o) => ({
+      measure: o.measure || "",
+      timeFrame: o.timeFrame || "",
+      description: o.description || "",
+    })) || [];
+
   const nctIdFinal = identificationModule.nctId || nctId.toUpperCase();
   return {
     id: nctIdFinal,
@@ -252,6 +283,10 @@ function processStudyData(study, nctId) {
       "Clinical Trial",
     status: statusModule.overallStatus || "Unknown",
     phase,
+    studyType: designModule.studyType || "Unknown",
+    enrollment: designModule.enrollmentInfo?.count ?? null,
+    primaryCompletionDate: statusModule.primaryCompletionDateStruct?.date || null,
+    lastUpdated: statusModule.lastUpdatePostDateStruct?.date || null,
     conditions,
     locations, // Detailed locations array
     location:
@@ -259,6 +294,10 @@ function processStudyData(study, nctId) {
       "Not specified", // Backward compatibility
     eligibility,
     contacts,
+    arms,
+    interventions,
+    primaryOutcomes,
+    sponsor: sponsorCollaboratorsModule.leadSponsor?.name || "",
     description:
       descriptionModule.briefSummary ||
       descriptionModule.detailedDescription ||
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { expandAvailability, isScheduledSlot } from "../services/availability.service.js";
+
+const sundayNight = (timeZone, start, end) => ({
+  timeZone,
+  weeklySlots: [{ dayOfWeek: 0, start, end }],
+  blackoutDates: [],
+});
+
+const toronto = sundayNight("America/Toronto", "01:00", "04:00");
+const sydney = sundayNight("Australia/Sydney", "02:00", "03:30");
+
+// [name, availability, from, to, expected slot starts]
+const expandCases = [
+  [
+    "an ordinary Sunday",
+    toronto,
+    "2026-03-01T00:00:00Z",
+    "2026-03-02T00:00:00Z",
+    ["06:00", "06:30", "07:00", "07:30", "08:00", "08:30"].map((t) => `2026-03-01T${t}:00.000Z`),
+  ],
+  [
+    "spring forward skips 02:00 and 02:30",
+    toronto,
+    "2026-03-08T00:00:00Z",
+    "2026-03-09T00:00:00Z",
+    ["06:00", "06:30", "07:00", "07:30"].map((t) => `2026-03-08T${t}:00.000Z`),
+  ],
+  [
+    "fall back offers the repeated 01:00 and 01:30 once",
+    toronto,
+    "2026-11-01T00:00:00Z",
+    "2026-11-02T00:00:00Z",
+    ["05:00", "05:30", "07:00", "07:30", "08:00", "08:30"].map((t) => `2026-11-01T${t}:00.000Z`),
+  ],
+  [
+    "fall back east of UTC uses the first occurrence",
+    sydney,
+    "2026-04-04T00:00:00Z",
+    "2026-04-06T00:00:00Z",
+    ["15:00", "15:30", "17:00"].map((t) => `2026-04-04T${t}:00.000Z`),
+  ],
+  [
+    "blackout dates are skipped",
+    { ...toronto, blackoutDates: ["2026-03-01"] },
+    "2026-03-01T00:00:00Z",
+    "2026-03-02T00:00:00Z",
+    [],
+  ],
+];
+
+for (const [name, availability, from, to, expected] of expandCases) {
+  test(`expandAvailability: ${name}`, () => {
+    const slots = expandAvailability(availability, { from: new Date(from), to: new Date(to) });
+    assert.deepEqual(slots.map((slot) => slot.toISOString()), expected);
+  });
+}
+
+// [availability, slot start, scheduled?]
+const slotCases = [
+  [toronto, "2026-11-01T05:00:00Z", true],
+  [toronto, "2026-11-01T06:00:00Z", false], // second 01:00 EST
+  [toronto, "2026-03-08T07:00:00Z", true], // 03:00 EDT
+  [toronto, "2026-03-08T06:15:00Z", false],
+  [toronto, "2026-03-08T09:00:00Z", false], // 05:00, after hours
+  [sydney, "2026-04-04T15:00:00Z", true],
+  [sydney, "2026-04-04T16:00:00Z", false], // second 02:00 AEST
+];
+
+for (const [availability, slotStart, expected] of slotCases) {
+  test(`isScheduledSlot(${availability.timeZone}, ${slotStart}) is ${expected}`, () => {
+    assert.equal(isScheduledSlot(availability, new Date(slotStart)), expected);
+  });
+}
+
+test("every expanded slot is a scheduled slot", () => {
+  for (const [, availability, from, to] of expandCases) {
+    for (const slot of expandAvailability(availability, { from: new Date(from), to: new Date(to) })) {
+      assert.ok(isScheduledSlot(availability, slot), slot.toISOString());
+    }
+  }
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseEligibilityCriteria,
+  matchesStructuredEligibility,
+} from "../services/eligibilityCriteria.service.js";
+
+const ecogCases = [
+  { text: "Inclusion Criteria:\n- ECOG performance status 0, 1, or 2", min: 0, max: 2 },
+  { text: "Inclusion Criteria:\n- ECOG performance status 0, 1 and 2", min: 0, max: 2 },
+  { text: "Inclusion Criteria:\n- ECOG 0 or 1", min: 0, max: 1 },
+  { text: "Inclusion Criteria:\n- ECOG 0-1", min: 0, max: 1 },
+  { text: "Inclusion Criteria:\n- ECOG 2 or less", min: 0, max: 2 },
+  { text: "Inclusion Criteria:\n- ECOG performance status of 1 or lower", min: 0, max: 1 },
+  { text: "Inclusion Criteria:\n- ECOG ≤ 1", min: 0, max: 1 },
+  { text: "Inclusion Criteria:\n- ECOG < 2", min: 0, max: 1 },
+  { text: "Exclusion Criteria:\n- ECOG performance status >= 3", min: 0, max: 2 },
+  { text: "Exclusion Criteria:\n- ECOG 3 or higher", min: 0, max: 2 },
+  { text: "Exclusion Criteria:\n- ECOG > 2", min: 0, max: 2 },
+  { text: "Inclusion Criteria:\n- Age 18 or older", min: null, max: null },
+];
+
+for (const { text, min, max } of ecogCases) {
+  test(`ECOG range for ${JSON.stringify(text)}`, () => {
+    const { performanceStatus } = parseEligibilityCriteria(text);
+    assert.equal(performanceStatus.ecogMin, min);
+    assert.equal(performanceStatus.ecogMax, max);
+  });
+}
+
+const biomarkerCases = [
+  { text: "Inclusion Criteria:\n- EGFR wild-type tumors", required: [], excluded: ["EGFR"] },
+  { text: "Inclusion Criteria:\n- No KRAS mutation", required: [], excluded: ["KRAS"] },
+  { text: "Inclusion Criteria:\n- Tumors without BRAF mutation", required: [], excluded: ["BRAF"] },
+  { text: "Inclusion Criteria:\n- HER2-negative breast cancer", required: [], excluded: ["HER2"] },
+  { text: "Inclusion Criteria:\n- EGFR mutation and ALK negative", required: ["EGFR"], excluded: ["ALK"] },
+  { text: "Inclusion Criteria:\n- EGFR mutation with no brain metastases", required: ["EGFR"], excluded: [] },
+  { text: "Inclusion Criteria:\n- Documented KRAS mutation", required: ["KRAS"], excluded: [] },
+  { text: "Exclusion Criteria:\n- Known ALK rearrangement", required: [], excluded: ["ALK"] },
+  { text: "Exclusion Criteria:\n- Patients without ALK rearrangement", required: [], excluded: [] },
+  {
+    text: "Inclusion Criteria:\n- Cohort A: EGFR mutation\n- Cohort B: EGFR wild-type",
+    required: [],
+    excluded: [],
+  },
+];
+
+for (const { text, required, excluded } of biomarkerCases) {
+  test(`biomarkers for ${JSON.stringify(text)}`, () => {
+    const { biomarkers } = parseEligibilityCriteria(text);
+    assert.deepEqual([...biomarkers.required].sort(), required);
+    assert.deepEqual([...biomarkers.excluded].sort(), excluded);
+  });
+}
+
+test("a patient without a negated biomarker is not excluded", () => {
+  const structured = parseEligibilityCriteria("Inclusion Criteria:\n- EGFR wild-type tumors");
+  assert.equal(matchesStructuredEligibility(structured, { biomarkers: "KRAS" }), true);
+  assert.equal(matchesStructuredEligibility(structured, { biomarkers: "EGFR" }), false);
+});
+
+test("ECOG 2 is accepted by a '0, 1, or 2' trial", () => {
+  const structured = parseEligibilityCriteria(
+    "Inclusion Criteria:\n- ECOG performance status 0, 1, or 2"
+  );
+  assert.equal(matchesStructuredEligibility(structured, { ecog: 2 }), true);
+  assert.equal(matchesStructuredEligibility(structured, { ecog: 3 }), false);
+});
@@ -0,0 +1,142 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mergePublicationResults,
+  flagPreprints,
+  publicationItemId,
+  searchPublicationsFederated,
+  setPublicationSource,
+  resetPublicationSources,
+  DEFAULT_PUBLICATION_SOURCES,
+} from "../services/federatedSearch.service.js";
+
+after(() => resetPublicationSources());
+
+const mergeCases = [
+  {
+    name: "same PMID from two sources is one result",
+    input: [
+      { source: "pubmed", items: [{ pmid: "1", title: "Aspirin and stroke" }] },
+      { source: "openalex", items: [{ pmid: "1", openAlexId: "W1", title: "Aspirin and stroke", citations: 12 }] },
+    ],
+    expected: [{ pmid: "1", sources: ["pubmed", "openalex"], citations: 12 }],
+  },
+  {
+    name: "DOIs match regardless of case and doi.org prefix",
+    input: [
+      { source: "openalex", items: [{ doi: "https://doi.org/10.1000/ABC", title: "A" }] },
+      { source: "semanticscholar", items: [{ doi: "10.1000/abc", title: "Something else" }] },
+    ],
+    expected: [{ sources: ["openalex", "semanticscholar"] }],
+  },
+  {
+    name: "near-identical titles within a year are merged",
+    input: [
+      { source: "pubmed", items: [{ pmid: "2", title: "Metformin use in type 2 diabetes: a cohort study", year: "2020" }] },
+      { source: "semanticscholar", items: [{ title: "Metformin use in type 2 diabetes - a cohort study.", year: "2021" }] },
+    ],
+    expected: [{ pmid: "2", sources: ["pubmed", "semanticscholar"] }],
+  },
+  {
+    name: "same title years apart stays separate",
+    input: [
+      { source: "pubmed", items: [{ pmid: "3", title: "Annual report on cancer statistics", year: "2015" }] },
+      { source: "openalex", items: [{ title: "Annual report on cancer statistics", year: "2020" }] },
+    ],
+    expected: [{ pmid: "3", sources: ["pubmed"] }, { sources: ["openalex"] }],
+  },
+  {
+    name: "a preprint is not merged into its journal version by title",
+    input: [
+      { source: "pubmed", items: [{ pmid: "4", title: "Vaccine efficacy trial", year: "2021", doi: "10.1/j" }] },
+      { source: "medrxiv", items: [{ preprintId: "p1", title: "Vaccine efficacy trial", year: "2021", doi: "10.1101/p1", isPreprint: true }] },
+    ],
+    expected: [{ pmid: "4", sources: ["pubmed"] }, { sources: ["medrxiv"] }],
+  },
+  {
+    name: "results found by more sources rank first",
+    input: [
+      { source: "pubmed", items: [{ pmid: "5", title: "Only PubMed" }, { pmid: "6", title: "Both" }] },
+      { source: "openalex", items: [{ pmid: "6", title: "Both" }] },
+    ],
+    expected: [{ pmid: "6", sources: ["pubmed", "openalex"] }, { pmid: "5", sources: ["pubmed"] }],
+  },
+];
+
+for (const { name, input, expected } of mergeCases) {
+  test(`mergePublicationResults: ${name}`, () => {
+    const merged = mergePublicationResults(input);
+    assert.equal(merged.length, expected.length);
+    expected.forEach((fields, index) => {
+      for (const [field, value] of Object.entries(fields)) {
+        assert.deepEqual(merged[index][field], value, `${field} of result ${index}`);
+      }
+    });
+  });
+}
+
+test("flagPreprints keeps a preprint next to its journal version", () => {
+  const items = flagPreprints(
+    mergePublicationResults([
+      { source: "pubmed", items: [{ pmid: "7", title: "Journal title", doi: "10.1/published" }] },
+      { source: "medrxiv", items: [{ preprintId: "p2", title: "Journal title", doi: "10.1101/p2", journal: "medRxiv" }] },
+    ])
+  );
+  assert.deepEqual(
+    items.map((item) => [item.isPreprint, item.peerReviewed]),
+    [
+      [false, true],
+      [true, false],
+    ]
+  );
+});
+
+const itemIdCases = [
+  { publication: { pmid: 123, doi: "10.1/x" }, expected: "123" },
+  { publication: { doi: "https://doi.org/10.1/X", openAlexId: "W1" }, expected: "doi:10.1/x" },
+  { publication: { openAlexId: "W1", semanticScholarId: "s" }, expected: "openalex:W1" },
+  { publication: { semanticScholarId: "abc" }, expected: "s2:abc" },
+  { publication: { title: "No ids" }, expected: null },
+];
+
+for (const { publication, expected } of itemIdCases) {
+  test(`publicationItemId(${JSON.stringify(publication)})`, () => {
+    assert.equal(publicationItemId(publication), expected);
+  });
+}
+
+test("PubMed, OpenAlex and Semantic Scholar are searched by default", () => {
+  assert.deepEqual(DEFAULT_PUBLICATION_SOURCES, ["pubmed", "openalex", "semanticscholar"]);
+});
+
+test("structured queries skip plain-term sources and report them", async () => {
+  const searched = [];
+  const stub = (name, fullQuery = false) =>
+    setPublicationSource(name, {
+      label: name,
+      idField: "pmid",
+      fullQuery,
+      search: async () => {
+        searched.push(name);
+        return { items: [{ pmid: `${name}-1`, title: `${name} result` }], totalCount: 1 };
+      },
+    });
+  stub("pubmed", true);
+  stub("openalex");
+  stub("semanticscholar");
+
+  const result = await searchPublicationsFederated({
+    pubmedQuery: "cancer NOT lung",
+    text: "cancer lung",
+    plainQuery: false,
+  });
+  assert.deepEqual(searched, ["pubmed"]);
+  assert.equal(result.sources.pubmed.ok, true);
+  assert.equal(result.sources.openalex.ok, false);
+  assert.ok(result.sources.openalex.skipped);
+  assert.ok(result.sources.semanticscholar.skipped);
+
+  searched.length = 0;
+  await searchPublicationsFederated({ pubmedQuery: "cancer", text: "cancer", plainQuery: true });
+  assert.deepEqual(searched.sort(), ["openalex", "pubmed", "semanticscholar"]);
+});
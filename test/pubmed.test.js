@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePubMedXml } from "../services/pubmed.service.js";
+
+const article = (title, abstract) => `<?xml version="1.0"?>
+<PubmedArticleSet><PubmedArticle><MedlineCitation>
+  <PMID>1</PMID>
+  <Article>
+    <ArticleTitle>${title}</ArticleTitle>
+    <Abstract><AbstractText>${abstract}</AbstractText></Abstract>
+  </Article>
+</MedlineCitation></PubmedArticle></PubmedArticleSet>`;
+
+const cases = [
+  ["superscript keeps a caret", "Platelets &lt;100 x 10<sup>9</sup>/L", "Platelets <100 x 10^9/L"],
+  ["subscript keeps an underscore", "Serum B<sub>12</sub> levels", "Serum B_12 levels"],
+  ["attributes on sup are ignored", "Ca<sup class=\"x\">2+</sup> flux", "Ca^2+ flux"],
+  ["italic and bold are dropped", "<i>EGFR</i> and <b>ALK</b> fusions", "EGFR and ALK fusions"],
+];
+
+for (const [name, input, expected] of cases) {
+  test(`parsePubMedXml: ${name}`, async () => {
+    const [record] = await parsePubMedXml(article(input, input));
+    assert.equal(record.title, expected);
+  });
+}
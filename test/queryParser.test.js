@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  QuerySyntaxError,
+  compileToClinicalTrials,
+  compileToPubMed,
+  isPlainTermQuery,
+  parseQueryAST,
+  tokenizeQuery,
+} from "../utils/queryParser.js";
+
+test("tokenizeQuery keeps positions into the original query", () => {
+  const tokens = tokenizeQuery('author:"Smith J" -x').map((t) => [t.type, t.value, t.position, t.length]);
+  assert.deepEqual(tokens, [
+    ["FIELD", "author", 0, 7],
+    ["PHRASE", "Smith J", 7, 9],
+    ["NOT", "-", 17, 1],
+    ["WORD", "x", 18, 1],
+  ]);
+});
+
+// [query, PubMed, ClinicalTrials.gov]; an Error means the source rejects the query
+const compileCases = [
+  ["cancer therapy", "cancer therapy", "cancer therapy"],
+  ['"breast cancer" -metastasis', '"breast cancer" NOT metastasis', '"breast cancer" AND NOT metastasis'],
+  [
+    'author:"Smith J" AND title:immunotherapy',
+    '"Smith J"[AU] AND immunotherapy[TI]',
+    'AREA[OverallOfficialName]"Smith J" AND (AREA[BriefTitle]immunotherapy OR AREA[OfficialTitle]immunotherapy)',
+  ],
+  ["au:smith ti:x", "smith[AU] x[TI]", "AREA[OverallOfficialName]smith (AREA[BriefTitle]x OR AREA[OfficialTitle]x)"],
+  [
+    "(lung OR breast) cancer 2019..2023",
+    "(lung OR breast) cancer 2019/01/01:2023/12/31[dp]",
+    "(lung OR breast) cancer AREA[StartDate]RANGE[2019-01-01, 2023-12-31]",
+  ],
+  [
+    "2019/01/01:2023/12/31[dp] covid",
+    "2019/01/01:2023/12/31[dp] covid",
+    "AREA[StartDate]RANGE[2019-01-01, 2023-12-31] covid",
+  ],
+  [
+    "cancer[mh] NOT mice",
+    "cancer[mh] NOT mice",
+    "(AREA[ConditionMeshTerm]cancer OR AREA[InterventionMeshTerm]cancer) AND NOT mice",
+  ],
+  // Unknown word: prefixes are ordinary words
+  ["Cancer: outcomes", "Cancer: outcomes", "Cancer: outcomes"],
+  ["site:nih.gov cancer", "site:nih.gov cancer", "site:nih.gov cancer"],
+  ["journal:nature", "nature[TA]", Error],
+  ["sponsor:pfizer", Error, "AREA[LeadSponsorName]pfizer"],
+];
+
+for (const [query, pubmed, trials] of compileCases) {
+  test(`compiles ${query}`, () => {
+    const ast = parseQueryAST(query);
+    for (const [compile, expected] of [[compileToPubMed, pubmed], [compileToClinicalTrials, trials]]) {
+      if (expected === Error) assert.throws(() => compile(ast), QuerySyntaxError);
+      else assert.equal(compile(ast), expected);
+    }
+  });
+}
+
+// [query, message, position, length]
+const errorCases = [
+  ["cancer AND", "Expected a term after 'AND'", 7, 3],
+  ["(cancer", "Missing closing parenthesis", 0, 1],
+  ['"open', "Unterminated quote", 0, 5],
+  ["-cancer", "A query can't consist only of excluded terms", 0, 1],
+  ["author: smith", "Expected a value right after 'author:'", 0, 7],
+  ["2025..2019", "Date range starts after it ends", 0, 10],
+];
+
+for (const [query, message, position, length] of errorCases) {
+  test(`rejects ${query}`, () => {
+    assert.throws(() => parseQueryAST(query), (error) => {
+      assert.ok(error instanceof QuerySyntaxError);
+      assert.deepEqual(
+        { message: error.message, position: error.position, length: error.length },
+        { message, position, length }
+      );
+      return true;
+    });
+  });
+}
+
+const plainCases = [
+  ["cancer therapy", true],
+  ["cancer 2019..2023", true],
+  ["site:nih.gov cancer", true],
+  ["a OR b", false],
+  ['"breast cancer"', false],
+  ["cancer -mice", false],
+  ["title:cancer", false],
+];
+
+for (const [query, expected] of plainCases) {
+  test(`isPlainTermQuery(${query}) is ${expected}`, () => {
+    assert.equal(isPlainTermQuery(parseQueryAST(query)), expected);
+  });
+}
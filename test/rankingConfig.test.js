@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_RANKING_CONFIG,
+  parseRankingConfigInput,
+} from "../services/rankingConfig.service.js";
+
+test("an empty update returns the defaults", () => {
+  assert.deepEqual(parseRankingConfigInput({}).config, DEFAULT_RANKING_CONFIG);
+});
+
+test("weight groups are scaled to sum to 1; other groups keep their values", () => {
+  const { config } = parseRankingConfigInput({
+    expertMatch: { weights: { interest: 2, location: 1, researchInterests: 1 } },
+  });
+  assert.deepEqual(config.expertMatch.weights, { interest: 0.5, location: 0.25, researchInterests: 0.25 });
+  assert.deepEqual(config.expertMatch.specialtyWeights, DEFAULT_RANKING_CONFIG.expertMatch.specialtyWeights);
+  assert.deepEqual(config.expertDiscovery, DEFAULT_RANKING_CONFIG.expertDiscovery);
+});
+
+test("a partial update builds on the current config, not the defaults", () => {
+  const current = parseRankingConfigInput({ expertDiscovery: { caps: { trialLeadership: 5 } } }).config;
+  const { config } = parseRankingConfigInput(
+    { expertDiscovery: { weights: { recency: 1, trialLeadership: 1, status: 0, impact: 0 } } },
+    current
+  );
+  assert.equal(config.expertDiscovery.caps.trialLeadership, 5);
+  assert.deepEqual(config.expertDiscovery.weights, { recency: 0.5, trialLeadership: 0.5, status: 0, impact: 0 });
+});
+
+// [input, error]
+const errorCases = [
+  [null, "Ranking config must be an object"],
+  ["weights", "Ranking config must be an object"],
+  [{ search: {} }, 'Unknown ranking section "search"'],
+  [{ expertDiscovery: 5 }, "expertDiscovery must be an object"],
+  [{ expertDiscovery: { bonuses: {} } }, 'Unknown setting group "expertDiscovery.bonuses"'],
+  [{ expertDiscovery: { caps: { hIndex: 1 } } }, 'Unknown setting "expertDiscovery.caps.hIndex"'],
+  [{ expertDiscovery: { caps: { trialLeadership: -1 } } }, "expertDiscovery.caps.trialLeadership must be a number of 0 or more"],
+  [{ expertDiscovery: { caps: { trialLeadership: "3" } } }, "expertDiscovery.caps.trialLeadership must be a number of 0 or more"],
+  [{ expertDiscovery: { caps: { trialLeadership: 0 } } }, "expertDiscovery.caps values must be above 0"],
+  [
+    { expertMatch: { weights: { interest: 0, location: 0, researchInterests: 0 } } },
+    "At least one of expertMatch.weights must be above 0",
+  ],
+];
+
+for (const [input, error] of errorCases) {
+  test(`rejects ${JSON.stringify(input)}`, () => {
+    assert.deepEqual(parseRankingConfigInput(input), { error });
+  });
+}
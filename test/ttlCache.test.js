@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTtlCache } from "../utils/ttlCache.js";
+
+test("evicts the oldest entries past maxEntries", () => {
+  const cache = createTtlCache({ ttlMs: 60000, maxEntries: 2 });
+  cache.set("a", 1);
+  cache.set("b", 2);
+  cache.set("a", 3); // rewritten, so "b" is now oldest
+  cache.set("c", 4);
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get("b"), undefined);
+  assert.equal(cache.get("a"), 3);
+  assert.equal(cache.get("c"), 4);
+});
+
+test("expired entries and missing keys read as undefined; null is a value", () => {
+  const cache = createTtlCache({ ttlMs: -1, maxEntries: 10 });
+  cache.set("gone", 1);
+  assert.equal(cache.get("gone"), undefined);
+  assert.equal(cache.get("never"), undefined);
+
+  const live = createTtlCache({ ttlMs: 60000, maxEntries: 10 });
+  live.set("none", null);
+  assert.equal(live.get("none"), null);
+});
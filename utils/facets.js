@@ -0,0 +1,92 @@
+/**
+ * Facet counting and multi-select filtering over an in-memory batch of results
+ */
+
+/**
+ * Read multi-select selections (comma-separated or repeated params) from a query
+ * @param {Object} query - req.query
+ * @param {Object} facetParams - { facetKey: queryParamName }
+ * @returns {Object} - { facetKey: [values] } for facets with a selection
+ */
+export function parseFacetFilters(query = {}, facetParams = {}) {
+  const filters = {};
+  for (const [facet, param] of Object.entries(facetParams)) {
+    const raw = query[param];
+    if (raw === undefined || raw === "") continue;
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .flatMap((v) => String(v).split(","))
+      .map((v) => v.trim())
+      .filter(Boolean);
+    if (values.length > 0) filters[facet] = values;
+  }
+  return filters;
+}
+
+const normalizeValue = (value) => String(value).toLowerCase().replace(/\s+/g, "");
+
+function matchesFacet(values, selected) {
+  const wanted = new Set(selected.map(normalizeValue));
+  return values.some((v) => wanted.has(normalizeValue(v)));
+}
+
+function matchesFilters(facetValues, filters, skipFacet) {
+  return Object.entries(filters).every(
+    ([facet, selected]) =>
+      facet === skipFacet || matchesFacet(facetValues[facet] || [], selected)
+  );
+}
+
+/**
+ * Apply facet filters and count facet values over a batch of items.
+ * Each facet is counted with every other facet's selection applied but not its
+ * own, so chips in a selected facet keep showing their alternatives. When a
+ * selection was already applied upstream, pass a batch fetched without it in
+ * countBatches and that facet is counted over it instead.
+ * @param {Array} items - Batch of results
+ * @param {Object} filters - From parseFacetFilters
+ * @param {Object} options - { facetKeys, getValues(item) -> { facetKey: [values] }, maxValues,
+ *   countBatches: { facetKey: [items] } }
+ * @returns {Object} - { items, facets: { facetKey: [{ value, count, selected }] } }
+ */
+export function applyFacets(
+  items,
+  filters = {},
+  { facetKeys, getValues, maxValues = {}, countBatches = {} }
+) {
+  const withValues = items.map((item) => ({ item, values: getValues(item) }));
+
+  const facets = {};
+  for (const facet of facetKeys) {
+    const counted = countBatches[facet]
+      ? countBatches[facet].map((item) => ({ values: getValues(item) }))
+      : withValues;
+    const counts = new Map();
+    for (const { values } of counted) {
+      if (!matchesFilters(values, filters, facet)) continue;
+      for (const value of new Set(values[facet] || [])) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const selected = filters[facet] || [];
+    const entries = [...counts.entries()]
+      .map(([value, count]) => ({
+        value,
+        count,
+        selected: matchesFacet([value], selected),
+      }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    // Long-tail facets (e.g. MeSH topics) keep their top values plus any selections
+    const limit = maxValues[facet];
+    facets[facet] = limit
+      ? entries.filter((entry, index) => index < limit || entry.selected)
+      : entries;
+  }
+
+  return {
+    items: withValues
+      .filter(({ values }) => matchesFilters(values, filters))
+      .map(({ item }) => item),
+    facets,
+  };
+}
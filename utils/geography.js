@@ -3,6 +3,8 @@
  * For calculating distances between locations (zip codes, cities, etc.)
  */
 
+import { readFileSync } from "fs";
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -31,33 +33,277 @@ function toRad(degrees) {
   return (degrees * Math.PI) / 180;
 }
 
+/* ---------------------------------------------------------
+     OFFLINE GAZETTEER
+     Bundled city / US state / country coordinates (data/gazetteer.json),
+     loaded once at startup so no geocoding API is needed
+     --------------------------------------------------------- */
+const GAZETTEER_PATH = new URL("../data/gazetteer.json", import.meta.url);
+
+const countryIndex = new Map(); // normalized name/alias -> country
+const usStateIndex = new Map(); // normalized name/code -> state
+const cityIndex = new Map(); // normalized name/alias -> [city, ...]
+
+const commaCountryKeys = [];
+
+const resolvedCache = new Map();
+const MAX_RESOLVED_CACHE = 5000;
+
+function normalizePlace(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.']/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function loadGazetteer() {
+  try {
+    const data = JSON.parse(readFileSync(GAZETTEER_PATH, "utf8"));
+
+    for (const country of data.countries || []) {
+      for (const name of [country.name, ...(country.aliases || [])]) {
+        const key = normalizePlace(name);
+        countryIndex.set(key, country);
+        if (key.includes(",")) commaCountryKeys.push(key);
+      }
+    }
+    for (const state of data.usStates || []) {
+      usStateIndex.set(normalizePlace(state.name), state);
+      usStateIndex.set(normalizePlace(state.code), state);
+    }
+    for (const city of data.cities || []) {
+      for (const name of [city.name, ...(city.aliases || [])]) {
+        const key = normalizePlace(name);
+        if (!cityIndex.has(key)) cityIndex.set(key, []);
+        cityIndex.get(key).push(city);
+      }
+    }
+  } catch (error) {
+    console.error("Error loading gazetteer:", error.message);
+  }
+}
+
+loadGazetteer();
+
+function lookupCountry(value) {
+  return value ? countryIndex.get(normalizePlace(value)) || null : null;
+}
+
 /**
- * Parse location string to extract coordinates
- * This is a simplified version - in production, you'd use a geocoding service
- * @param {string} location - Location string (e.g., "90210", "Los Angeles, CA")
- * @returns {Object|null} - {lat, lon} or null if not parseable
+ * Resolve structured place parts against the gazetteer
+ * Falls back from city to US state to country centroid
  */
-export function parseLocation(location) {
-  // This is a placeholder - in production, use a geocoding API
-  // For now, return null to indicate we can't parse it
-  // The actual implementation would use Google Geocoding API, Mapbox, etc.
+function resolvePlace({ city, state, country }) {
+  let countryEntry = lookupCountry(country);
+  const stateEntry = state ? usStateIndex.get(normalizePlace(state)) : null;
+  if (!countryEntry && stateEntry && !country) {
+    countryEntry = lookupCountry("United States");
+  }
+  const isUS = countryEntry?.name === "United States";
+
+  if (city) {
+    let candidates = cityIndex.get(normalizePlace(city)) || [];
+    if (countryEntry) {
+      candidates = candidates.filter((c) => c.country === countryEntry.name);
+    }
+    if (state && candidates.length > 1) {
+      const stateCode = stateEntry?.code || state;
+      const inState = candidates.filter(
+        (c) => normalizePlace(c.state) === normalizePlace(stateCode)
+      );
+      if (inState.length > 0) candidates = inState;
+    }
+    if (candidates.length > 0) {
+      const match = candidates[0];
+      return {
+        lat: match.lat,
+        lon: match.lon,
+        precision: "city",
+        label: [match.name, match.state, match.country].filter(Boolean).join(", "),
+      };
+    }
+  }
+
+  if (stateEntry && (isUS || !countryEntry)) {
+    return {
+      lat: stateEntry.lat,
+      lon: stateEntry.lon,
+      precision: "state",
+      label: `${stateEntry.name}, United States`,
+    };
+  }
+
+  if (countryEntry) {
+    return {
+      lat: countryEntry.lat,
+      lon: countryEntry.lon,
+      precision: "country",
+      label: countryEntry.name,
+    };
+  }
+
+  // A bare "city" may actually be a country or US state name
+  if (city && !country && !state) {
+    const asCountry = lookupCountry(city);
+    if (asCountry) return resolvePlace({ country: city });
+    if (usStateIndex.has(normalizePlace(city))) return resolvePlace({ state: city });
+  }
+
   return null;
 }
 
+/**
+ * Split a free-text location ("Boston, MA", "Boston United States",
+ * "Lyon, Rhône, France") into city / state / country parts
+ */
+function splitLocationString(location) {
+  // Country names that contain commas ("Korea, Republic of")
+  const lower = location.toLowerCase();
+  for (const key of commaCountryKeys) {
+    if (lower.endsWith(key) && lower.length > key.length) {
+      const rest = location.slice(0, location.length - key.length).replace(/[\s,]+$/, "");
+      return { ...splitLocationString(rest), country: key };
+    }
+  }
+
+  const parts = location
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  if (parts.length > 1) {
+    const last = parts[parts.length - 1];
+    if (lookupCountry(last)) {
+      return {
+        city: parts[0],
+        state: parts.length > 2 ? parts[1] : null,
+        country: last,
+      };
+    }
+    // "Boston, MA" / "Boston, Massachusetts"
+    return { city: parts[0], state: last, country: null };
+  }
+
+  // Space separated "City Country" as stored on profiles and search params
+  const tokens = parts[0] ? parts[0].split(/\s+/) : [];
+  let country = null;
+  for (let size = Math.min(4, tokens.length - 1); size >= 1; size--) {
+    const candidate = tokens.slice(tokens.length - size).join(" ");
+    if (lookupCountry(candidate)) {
+      country = candidate;
+      tokens.splice(tokens.length - size, size);
+      break;
+    }
+  }
+
+  // Trailing US state code/name, e.g. "Houston TX"
+  let state = null;
+  if (tokens.length > 1) {
+    for (let size = Math.min(2, tokens.length - 1); size >= 1; size--) {
+      const candidate = tokens.slice(tokens.length - size).join(" ");
+      if (usStateIndex.has(normalizePlace(candidate))) {
+        state = candidate;
+        tokens.splice(tokens.length - size, size);
+        break;
+      }
+    }
+  }
+
+  return { city: tokens.join(" ") || null, state, country };
+}
+
+/**
+ * Parse a location to coordinates using the bundled gazetteer
+ * @param {string|Object} location - "Boston, MA", "Paris France", "42.36,-71.06",
+ *   { city, state, country } or { lat, lon }
+ * @returns {Object|null} - { lat, lon, precision: "point"|"city"|"state"|"country", label } or null
+ */
+export function parseLocation(location) {
+  if (!location) return null;
+
+  if (typeof location === "object") {
+    const lat = parseFloat(location.lat ?? location.latitude);
+    const lon = parseFloat(location.lon ?? location.lng ?? location.longitude);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      return { lat, lon, precision: "point", label: null };
+    }
+    if (!location.city && !location.state && !location.country) return null;
+    return resolvePlace(location);
+  }
+
+  const text = String(location).trim();
+  if (!text) return null;
+
+  const coordMatch = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (coordMatch) {
+    return {
+      lat: parseFloat(coordMatch[1]),
+      lon: parseFloat(coordMatch[2]),
+      precision: "point",
+      label: null,
+    };
+  }
+
+  const cacheKey = normalizePlace(text);
+  if (resolvedCache.has(cacheKey)) return resolvedCache.get(cacheKey);
+
+  const resolved = resolvePlace(splitLocationString(text));
+  if (resolvedCache.size >= MAX_RESOLVED_CACHE) resolvedCache.clear();
+  resolvedCache.set(cacheKey, resolved);
+  return resolved;
+}
+
+/**
+ * Whether coordinates are precise enough for distance calculations
+ * (country/state centroids are not)
+ */
+export function isPreciseLocation(coords) {
+  return Boolean(
+    coords && (coords.precision === "point" || coords.precision === "city")
+  );
+}
+
+/**
+ * Find the site closest to an origin
+ * @param {Object} origin - {lat, lon}
+ * @param {Array} sites - Sites with lat/lon (sites without coordinates are skipped)
+ * @returns {Object|null} - { site, distanceMiles } or null
+ */
+export function findNearestSite(origin, sites = []) {
+  if (!origin) return null;
+
+  let nearest = null;
+  for (const site of sites) {
+    if (typeof site?.lat !== "number" || typeof site?.lon !== "number") continue;
+    const distance = calculateDistance(origin.lat, origin.lon, site.lat, site.lon);
+    if (!nearest || distance < nearest.distanceMiles) {
+      nearest = { site, distanceMiles: distance };
+    }
+  }
+
+  if (!nearest) return null;
+  return {
+    site: nearest.site,
+    distanceMiles: Math.round(nearest.distanceMiles * 10) / 10,
+  };
+}
+
 /**
  * Check if a location is within radius of another location
- * @param {Object} location1 - {lat, lon} or location string
- * @param {Object} location2 - {lat, lon} or location string
+ * @param {Object} location1 - {lat, lon}, {city, state, country} or location string
+ * @param {Object} location2 - {lat, lon}, {city, state, country} or location string
  * @param {number} radiusMiles - Radius in miles
  * @returns {boolean} - True if within radius
  */
 export function isWithinRadius(location1, location2, radiusMiles) {
   // If we can't parse locations, return true (don't filter out)
-  // This is a fallback - in production, you'd always have coordinates
   if (!location1 || !location2) return true;
 
-  const coords1 = typeof location1 === "object" ? location1 : parseLocation(location1);
-  const coords2 = typeof location2 === "object" ? location2 : parseLocation(location2);
+  const coords1 = parseLocation(location1);
+  const coords2 = parseLocation(location2);
 
   if (!coords1 || !coords2) return true; // Can't determine, so include
 
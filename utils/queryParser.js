@@ -1,6 +1,7 @@
 /**
  * Query parsing utilities for PubMed and Google Scholar style queries
- * Supports field tags, Boolean operators, proximity search, and Google Scholar syntax
+ * Supports field tags, Boolean operators, proximity search, and Google Scholar syntax,
+ * plus a query language (AST) that compiles to PubMed and ClinicalTrials.gov syntax
  */
 
 /**
@@ -107,11 +108,19 @@ export function normalizeQuery(query) {
 
 /**
  * Main query parser that applies all transformations
- * Order matters: Google Scholar -> Minus as NOT -> Normalize
+ * Compiles through the query language below; queries it rejects fall back to
+ * the legacy transforms (Google Scholar -> Minus as NOT -> Normalize)
  */
 export function parseQuery(query) {
   if (!query || typeof query !== "string") return query;
 
+  try {
+    const ast = parseQueryAST(query);
+    if (ast) return compileToPubMed(ast);
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+  }
+
   let parsed = query;
 
   // Step 1: Parse Google Scholar operators
@@ -172,3 +181,521 @@ export function removeDateFilterFromQuery(query) {
   return cleaned;
 }
 
+
+// ---------------------------------------------------------------------------
+// Query language
+// Tokenizer -> AST -> PubMed / ClinicalTrials.gov compilers. Supports quoted
+// phrases, field prefixes (author:"Smith J"), PubMed tags ("x"[TI]), AND / OR /
+// NOT / -term, parenthesised groups and year ranges (2019..2023, year:2020).
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised for malformed queries; position/length point at the offending token
+ * in the original query string
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, { token = "", position = 0, length = token.length } = {}) {
+    super(message);
+    this.name = "QuerySyntaxError";
+    this.token = token;
+    this.position = position;
+    this.length = Math.max(1, length);
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      token: this.token,
+      position: this.position,
+      length: this.length,
+    };
+  }
+}
+
+// Field prefix -> PubMed tag and ClinicalTrials.gov AREA[] fields.
+// null means the field can't be searched in that source.
+export const QUERY_FIELDS = {
+  author: { pubmed: "AU", trials: ["OverallOfficialName"] },
+  title: { pubmed: "TI", trials: ["BriefTitle", "OfficialTitle"] },
+  text: { pubmed: "TW", trials: [] },
+  abstract: { pubmed: "TIAB", trials: ["BriefSummary", "DetailedDescription"] },
+  journal: { pubmed: "TA", trials: null },
+  mesh: { pubmed: "MH", trials: ["ConditionMeshTerm", "InterventionMeshTerm"] },
+  affiliation: { pubmed: "AD", trials: ["LocationFacility"] },
+  type: { pubmed: "PT", trials: null },
+  condition: { pubmed: "TIAB", trials: ["Condition"] },
+  intervention: { pubmed: "TIAB", trials: ["InterventionName"] },
+  sponsor: { pubmed: null, trials: ["LeadSponsorName"] },
+  year: { pubmed: "DP", trials: ["StartDate"] },
+};
+
+const FIELD_ALIASES = {
+  au: "author",
+  intitle: "title",
+  ti: "title",
+  intext: "text",
+  ab: "abstract",
+  tiab: "abstract",
+  mh: "mesh",
+  ta: "journal",
+  pt: "type",
+  ad: "affiliation",
+  dp: "year",
+};
+
+// PubMed tags users type directly, e.g. "Smith J"[AU] or cancer[mh]
+const TAG_FIELDS = {
+  AU: "author",
+  TI: "title",
+  TW: "text",
+  TIAB: "abstract",
+  AB: "abstract",
+  TA: "journal",
+  MH: "mesh",
+  MAJR: "mesh",
+  PT: "type",
+  AD: "affiliation",
+};
+
+const MIN_YEAR = 1800;
+const MAX_YEAR = 2100;
+
+function resolveField(name) {
+  const key = name.toLowerCase();
+  const field = FIELD_ALIASES[key] || key;
+  return QUERY_FIELDS[field] ? field : null;
+}
+
+/**
+ * Split a query into tokens with their positions
+ * @returns {Array} - [{ type, value, text, position, length }]
+ */
+export function tokenizeQuery(query) {
+  const tokens = [];
+  const input = String(query || "");
+  let i = 0;
+
+  const push = (type, value, position, end) =>
+    tokens.push({ type, value, text: input.slice(position, end), position, length: end - position });
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      push(char === "(" ? "LPAREN" : "RPAREN", char, i, i + 1);
+      i++;
+    } else if (char === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new QuerySyntaxError("Unterminated quote", {
+          token: input.slice(i),
+          position: i,
+        });
+      }
+      const phrase = input.slice(i + 1, close).trim();
+      if (!phrase) {
+        throw new QuerySyntaxError("Empty phrase", { token: '""', position: i });
+      }
+      push("PHRASE", phrase, i, close + 1);
+      i = close + 1;
+    } else if (char === "[") {
+      const close = input.indexOf("]", i + 1);
+      if (close === -1) {
+        throw new QuerySyntaxError("Unclosed field tag", {
+          token: input.slice(i),
+          position: i,
+        });
+      }
+      const tag = input.slice(i + 1, close).trim();
+      if (!tag) {
+        throw new QuerySyntaxError("Empty field tag", { token: "[]", position: i });
+      }
+      push("TAG", tag, i, close + 1);
+      i = close + 1;
+    } else if (char === "-" && (i === 0 || /[\s(]/.test(input[i - 1]))) {
+      push("NOT", "-", i, i + 1);
+      i++;
+    } else {
+      let end = i;
+      while (end < input.length && !/[\s()"[]/.test(input[end])) end++;
+      const word = input.slice(i, end);
+
+      // Field prefix: a known field name followed by a colon (author:, intitle:, ...).
+      // Anything else ("Cancer:", "site:nih.gov") is an ordinary word.
+      const fieldMatch = word.match(/^([A-Za-z]+):/);
+      const field = fieldMatch && resolveField(fieldMatch[1]);
+      if (field) {
+        const valueStart = i + fieldMatch[0].length;
+        push("FIELD", field, i, valueStart);
+        i = valueStart;
+        continue;
+      }
+
+      if (/^(and|&&)$/i.test(word)) push("AND", word, i, end);
+      else if (/^(or|\|\|)$/i.test(word)) push("OR", word, i, end);
+      else if (/^not$/i.test(word)) push("NOT", word, i, end);
+      else if (/^\d*\.\.\d*$/.test(word)) push("RANGE", word, i, end);
+      else push("WORD", word, i, end);
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+const describe = (token) => token.text ?? token.value;
+
+function tokenError(message, token) {
+  return new QuerySyntaxError(message, {
+    token: describe(token),
+    position: token.position,
+    length: token.length,
+  });
+}
+
+// Year range node from "2019..2023", "2019..", "..2023" or "2020"
+function parseYearRange(token) {
+  const [from, to] = token.type === "RANGE"
+    ? token.value.split("..")
+    : [token.value, token.value];
+  if (!from && !to) {
+    throw tokenError("Date range needs a start or end year, e.g. 2019..2023", token);
+  }
+  const years = [from, to].map((y) => (y ? parseInt(y, 10) : null));
+  if (years.some((y) => y !== null && (y < MIN_YEAR || y > MAX_YEAR))) {
+    throw tokenError(`Years must be between ${MIN_YEAR} and ${MAX_YEAR}`, token);
+  }
+  if (years[0] !== null && years[1] !== null && years[0] > years[1]) {
+    throw tokenError("Date range starts after it ends", token);
+  }
+  return { type: "date", from: years[0], to: years[1], token };
+}
+
+// PubMed-native date filter, e.g. 2019/01/01:2023/12/31[dp]
+function parsePubMedDate(token) {
+  const match = token.value.match(/^(\d{4})(?:\/\d{1,2}){0,2}(?::(\d{4})(?:\/\d{1,2}){0,2})?$/);
+  if (!match) {
+    throw tokenError("Expected a date like 2019/01/01:2023/12/31 before [dp]", token);
+  }
+  return {
+    ...parseYearRange({ ...token, type: "RANGE", value: `${match[1]}..${match[2] || match[1]}` }),
+    raw: token.value,
+  };
+}
+
+const STARTS_PRIMARY = new Set(["WORD", "PHRASE", "FIELD", "LPAREN", "NOT", "RANGE"]);
+
+/**
+ * Parse a query into an AST
+ * Node types: term, phrase, field, date, not, and, or, group
+ * @returns {Object|null} - null for an empty query
+ * @throws {QuerySyntaxError}
+ */
+export function parseQueryAST(query) {
+  const tokens = tokenizeQuery(query);
+  if (tokens.length === 0) return null;
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endToken = () => {
+    const last = tokens[tokens.length - 1];
+    return { type: "END", value: "", position: last.position + last.length, length: 1 };
+  };
+
+  const expectOperand = (operator) => {
+    const token = peek();
+    if (!token || !STARTS_PRIMARY.has(token.type)) {
+      throw tokenError(`Expected a term after '${operator.value}'`, operator);
+    }
+  };
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw tokenError("Unexpected end of query", endToken());
+
+    switch (token.type) {
+      case "LPAREN": {
+        if (peek()?.type === "RPAREN") {
+          throw tokenError("Empty parentheses", token);
+        }
+        const child = parseOr();
+        if (peek()?.type !== "RPAREN") {
+          throw tokenError("Missing closing parenthesis", token);
+        }
+        next();
+        if (peek()?.type === "TAG") {
+          throw tokenError("Field tags can only follow a term or phrase", peek());
+        }
+        return { type: "group", child, token };
+      }
+      case "WORD":
+      case "PHRASE": {
+        const node = { type: token.type === "WORD" ? "term" : "phrase", value: token.value, token };
+        if (peek()?.type !== "TAG") return node;
+        const tag = next();
+        if (/^(dp|pdat|publication date)$/i.test(tag.value)) return parsePubMedDate(token);
+        return { type: "field", field: TAG_FIELDS[tag.value.toUpperCase()] || null, tag: tag.value, value: node, token };
+      }
+      case "RANGE":
+        return parseYearRange(token);
+      case "FIELD": {
+        const value = peek();
+        // The value must follow the colon directly: author:smith, title:"x y"
+        if (!value || value.position !== token.position + token.length ||
+            !["WORD", "PHRASE", "RANGE"].includes(value.type)) {
+          throw tokenError(`Expected a value right after '${token.value}:'`, token);
+        }
+        next();
+        if (token.value === "year") {
+          if (value.type === "RANGE" || /^\d{4}$/.test(value.value)) return parseYearRange(value);
+          throw tokenError("year: expects a year or a range like 2019..2023", value);
+        }
+        if (value.type === "RANGE") {
+          throw tokenError(`Ranges are only supported for year:, not ${token.value}:`, value);
+        }
+        return {
+          type: "field",
+          field: token.value,
+          value: { type: value.type === "WORD" ? "term" : "phrase", value: value.value, token: value },
+          token,
+        };
+      }
+      case "RPAREN":
+        throw tokenError("Unexpected ')' without a matching '('", token);
+      case "TAG":
+        throw tokenError(`Field tag [${token.value}] must follow a term or phrase`, token);
+      default:
+        throw tokenError(`'${token.value}' needs a term before it`, token);
+    }
+  }
+
+  function parseUnary() {
+    if (peek()?.type === "NOT") {
+      const operator = next();
+      expectOperand(operator);
+      if (peek().type === "NOT") {
+        throw tokenError("Double negation is not supported", peek());
+      }
+      return { type: "not", child: parsePrimary(), token: operator };
+    }
+    return parsePrimary();
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    const operators = [];
+    while (peek()) {
+      if (peek().type === "AND") {
+        const operator = next();
+        expectOperand(operator);
+        operators.push("AND");
+      } else if (STARTS_PRIMARY.has(peek().type)) {
+        operators.push("");
+      } else {
+        break;
+      }
+      children.push(parseUnary());
+    }
+
+    // NOT excludes from something; "-cancer" or "a OR NOT b" alone has nothing to exclude from
+    if (children.every((child) => child.type === "not")) {
+      throw tokenError("A query can't consist only of excluded terms", children[0].token);
+    }
+    return children.length === 1 ? children[0] : { type: "and", children, operators };
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "OR") {
+      const operator = next();
+      expectOperand(operator);
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  const ast = parseOr();
+  const leftover = peek();
+  if (leftover) {
+    throw leftover.type === "RPAREN"
+      ? tokenError("Unexpected ')' without a matching '('", leftover)
+      : tokenError(`Unexpected '${describe(leftover)}'`, leftover);
+  }
+  return ast;
+}
+
+// Order AND children so an excluded term is never first
+function orderAndChildren(node) {
+  const pairs = node.children.map((child, i) => ({ child, operator: node.operators[i - 1] ?? "" }));
+  const firstPositive = pairs.findIndex((p) => p.child.type !== "not");
+  if (firstPositive > 0) {
+    const [positive] = pairs.splice(firstPositive, 1);
+    pairs.unshift(positive);
+  }
+  return pairs;
+}
+
+function unsupportedField(node, source) {
+  return tokenError(`${node.field}: can't be used when searching ${source}`, node.token);
+}
+
+function compilePubMedNode(node, parent) {
+  switch (node.type) {
+    case "term":
+      return node.value;
+    case "phrase":
+      return `"${node.value}"`;
+    case "field": {
+      const tag = node.tag || QUERY_FIELDS[node.field].pubmed;
+      if (!tag) throw unsupportedField(node, "publications");
+      return `${compilePubMedNode(node.value)}[${tag}]`;
+    }
+    case "date": {
+      if (node.raw) return `${node.raw}[dp]`;
+      const from = node.from ? `${node.from}/01/01` : `${MIN_YEAR}/01/01`;
+      const to = node.to ? `${node.to}/12/31` : `${MAX_YEAR}/12/31`;
+      return `${from}:${to}[dp]`;
+    }
+    case "not":
+      return compilePubMedNode(node.child, node);
+    case "group":
+      return `(${compilePubMedNode(node.child, node)})`;
+    case "and": {
+      const compiled = orderAndChildren(node)
+        .map(({ child, operator }, i) => {
+          const part = compilePubMedNode(child, node);
+          if (i === 0) return part;
+          if (child.type === "not") return ` NOT ${part}`;
+          return operator ? ` AND ${part}` : ` ${part}`;
+        })
+        .join("");
+      return parent?.type === "or" ? `(${compiled})` : compiled;
+    }
+    case "or": {
+      const compiled = node.children.map((child) => compilePubMedNode(child, node)).join(" OR ");
+      return parent?.type === "and" || parent?.type === "not" ? `(${compiled})` : compiled;
+    }
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * Compile a query AST to PubMed E-utilities syntax
+ * @throws {QuerySyntaxError} - for fields PubMed can't search (sponsor:)
+ */
+export function compileToPubMed(ast) {
+  return ast ? compilePubMedNode(ast, null) : "";
+}
+
+function compileTrialsNode(node, parent) {
+  switch (node.type) {
+    case "term":
+      return node.value;
+    case "phrase":
+      return `"${node.value}"`;
+    case "field": {
+      const field = node.field || TAG_FIELDS[node.tag?.toUpperCase()];
+      const areas = field ? QUERY_FIELDS[field].trials : [];
+      if (areas === null) throw unsupportedField(node, "trials");
+      const value = compileTrialsNode(node.value);
+      if (areas.length === 0) return value;
+      const compiled = areas.map((area) => `AREA[${area}]${value}`);
+      return compiled.length > 1 ? `(${compiled.join(" OR ")})` : compiled[0];
+    }
+    case "date": {
+      const from = node.from ? `${node.from}-01-01` : "MIN";
+      const to = node.to ? `${node.to}-12-31` : "MAX";
+      return `AREA[StartDate]RANGE[${from}, ${to}]`;
+    }
+    case "not":
+      return compileTrialsNode(node.child, node);
+    case "group":
+      return `(${compileTrialsNode(node.child, node)})`;
+    case "and": {
+      const compiled = orderAndChildren(node)
+        .map(({ child, operator }, i) => {
+          const part = compileTrialsNode(child, node);
+          if (i === 0) return part;
+          if (child.type === "not") return ` AND NOT ${part}`;
+          return operator ? ` AND ${part}` : ` ${part}`;
+        })
+        .join("");
+      return parent?.type === "or" ? `(${compiled})` : compiled;
+    }
+    case "or": {
+      const compiled = node.children.map((child) => compileTrialsNode(child, node)).join(" OR ");
+      return parent?.type === "and" || parent?.type === "not" ? `(${compiled})` : compiled;
+    }
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * Compile a query AST to ClinicalTrials.gov (Essie) query.term syntax
+ * @throws {QuerySyntaxError} - for fields trials can't be searched by (journal:, type:)
+ */
+export function compileToClinicalTrials(ast) {
+  return ast ? compileTrialsNode(ast, null) : "";
+}
+
+/**
+ * Whether a query uses anything beyond plain words (operators, phrases,
+ * fields, dates, grouping)
+ */
+export function isAdvancedQuery(ast) {
+  if (!ast) return false;
+  if (ast.type === "term") return false;
+  if (ast.type === "and") {
+    return ast.operators.some(Boolean) || ast.children.some(isAdvancedQuery);
+  }
+  return true;
+}
+
+/**
+ * Whether a query restricts any term to a field or date range
+ */
+export function hasQueryFields(ast) {
+  if (!ast) return false;
+  if (ast.type === "field" || ast.type === "date") return true;
+  if (ast.child) return hasQueryFields(ast.child);
+  return (ast.children || []).some(hasQueryFields);
+}
+
+/**
+ * Whether the query is only words joined by AND (plus date ranges), so its
+ * plain terms from extractQueryTerms mean the same thing to a keyword search
+ */
+export function isPlainTermQuery(ast) {
+  if (!ast) return true;
+  if (ast.type === "term" || ast.type === "date") return true;
+  if (ast.type === "group") return isPlainTermQuery(ast.child);
+  if (ast.type === "and") return ast.children.every(isPlainTermQuery);
+  return false;
+}
+
+/**
+ * Words and phrases the query asks for (excluded terms and dates left out),
+ * used for relevance scoring
+ */
+export function extractQueryTerms(ast) {
+  if (!ast) return [];
+  switch (ast.type) {
+    case "term":
+    case "phrase":
+      return [ast.value];
+    case "field":
+      return extractQueryTerms(ast.value);
+    case "group":
+      return extractQueryTerms(ast.child);
+    case "and":
+    case "or":
+      return ast.children.flatMap(extractQueryTerms);
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,103 @@
+// IANA time zone helpers built on Intl, for converting between a wall-clock
+// time somewhere and an instant
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:MM", weekday: 0-6 (Sunday = 0), ... }
+ */
+export function getZonedParts(instant, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function offsetMinutes(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone. Repeated times resolve
+ * to the first occurrence; times skipped by a DST change come back an hour
+ * off, which getZonedParts on the result will show.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ */
+export function zonedTimeToDate(date, time, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offsets a day either side cover any DST change on this date; the
+  // earliest candidate that reads back as this wall-clock time wins
+  const matches = [-DAY_MS, DAY_MS]
+    .map((shift) => new Date(wallClock - offsetMinutes(new Date(wallClock + shift), timeZone) * 60000))
+    .filter((instant) => {
+      const parts = getZonedParts(instant, timeZone);
+      return parts.date === date && parts.time === time;
+    })
+    .sort((a, b) => a - b);
+  if (matches.length > 0) return matches[0];
+
+  // Skipped time: offset at the guess, then at the corrected instant
+  let instant = new Date(wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000);
+  instant = new Date(wallClock - offsetMinutes(instant, timeZone) * 60000);
+  return instant;
+}
+
+/**
+ * "YYYY-MM-DD" plus a number of days
+ */
+export function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
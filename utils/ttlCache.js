@@ -0,0 +1,40 @@
+/**
+ * In-memory cache with per-entry expiry and a size cap. Once full, the
+ * least recently written entries are evicted first, so caches keyed by
+ * queries or ids can't grow without bound in a long-running server.
+ */
+
+/**
+ * @param {Object} options - { ttlMs, maxEntries }
+ * @returns {Object} - { get(key), set(key, value), clear(), size }
+ */
+export function createTtlCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  return {
+    // undefined when missing or expired, so null can be cached as an answer
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() > entry.expires) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      // Re-inserting moves the key to the end of the eviction order
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}